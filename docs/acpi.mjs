@@ -27,6 +27,7 @@ import {
   defineIf,
   defineNotify,
   makeNameString,
+  makeString,
   defineWhile,
   defineDWordMemory,
   defineQWordMemory,
@@ -41,14 +42,219 @@ import {
  */
 
 /**
- * @param {number} cpuCount
+ * @typedef {import("./reproduce.mjs").TdMemoryLayout} TdMemoryLayout
+ */
+
+/**
+ * Hardware configuration that the tables describe.
+ *
+ * @typedef {Object} AcpiConfig
+ * @property {number} cpuCount CPUs present at boot
+ * @property {number} maxCpuCount CPUs that can be present, including
+ *   hot-pluggable ones
+ * @property {number} memoryBytes Memory present at boot
+ * @property {number} maxMemoryBytes Memory including the hot-pluggable DIMMs
+ * @property {number} memorySlots DIMM slots for memory hotplug
+ * @property {TdMemoryLayout} memoryLayout RAM around the 32-bit PCI hole
+ * @property {bigint} pciHole64Size Minimum size of the 64-bit PCI window
+ * @property {number} diskCount
+ * @property {PciDevice[]} devices
+ * @property {NumaNode[]} numaNodes Empty if the TD has no NUMA description
+ * @property {AcpiCpu[]} cpus
+ */
+
+/**
+ * @typedef {Object} AcpiCpu
+ * @property {number} apicId
+ * @property {boolean} present False for CPUs that can be hot-plugged later
+ * @property {number|null} node NUMA node, or null without NUMA nodes
+ */
+
+/**
+ * NUMA node, or a socket of the TD. CPUs are assigned to nodes in order.
+ *
+ * @typedef {Object} NumaNode
+ * @property {number} cpuCount
+ * @property {number} memoryBytes
+ * @property {number[]} [distances] Distances to each node, 10 to itself. SLIT
+ *   is generated if the nodes have them
+ */
+
+/**
+ * Virtio device on the PCIe root bus, as function 0 of its slot.
+ *
+ * @typedef {Object} PciDevice
+ * @property {PciDeviceType} type
+ * @property {number} slot
+ */
+
+/**
+ * @typedef {"nic"|"vsock"|"rng"|"serial"} PciDeviceType
+ */
+
+/**
+ * @typedef {Object} AcpiOptions
+ * @property {string} [machine] QEMU machine ID, DEFAULT_QEMU_MACHINE by default
+ * @property {PciDevice[]} [devices] DEFAULT_PCI_DEVICES by default
+ * @property {number} [maxCpuCount] CPUs including the hot-pluggable ones,
+ *   cpuCount by default
+ * @property {number} [maxMemoryBytes] Memory including the hot-pluggable
+ *   DIMMs, memoryBytes by default
+ * @property {number} [memorySlots] DIMM slots, required if maxMemoryBytes is
+ *   larger than memoryBytes. 0 by default
+ * @property {TdMemoryLayout} [memoryLayout] How memoryBytes is split around
+ *   the 32-bit PCI hole, as getMemoryLayout returns it for the TD. The q35
+ *   split by default
+ * @property {number} [pciHole64Size] QEMU pci-hole64-size, 32 GB by default
+ * @property {NumaNode[]} [numa] CPUs and memory of each NUMA node, which add
+ *   up to maxCpuCount and memoryBytes. No NUMA nodes by default, or a single
+ *   node with memory hotplug
+ */
+
+/**
+ * @callback AcpiTableBuilder
+ * @param {AcpiConfig} config
+ * @returns {bytes|null} Null if the configuration has no such table
+ */
+
+/**
+ * Describes the ACPI tables that a QEMU version generates for a machine type,
+ * so that other versions can be added without changing getAcpi. FACS comes
+ * first, followed by DSDT, the other tables and RSDT, which points to them.
+ *
+ * @typedef {Object} QemuMachine
+ * @property {string} id
+ * @property {string} name
+ * @property {string} machineType Versioned machine type passed to -machine
+ * @property {number} maxCpus
+ * @property {(config: AcpiConfig) => bytes} dsdt
+ * @property {AcpiTableBuilder[]} tables Tables that RSDT points to, in the
+ *   order QEMU lays them out
+ */
+
+/**
+ * Building blocks of QEMU machines.
+ *
+ * @type {{[name: string]: AcpiTableBuilder}}
+ */
+export const acpiTableBuilders = {
+  dsdt: (config) => getDsdt(config),
+  fadt: ({ maxCpuCount }) => getFadt(maxCpuCount),
+  madt: ({ cpus }) => getMadt(cpus),
+  srat: (config) => (config.numaNodes.length > 0 ? getSrat(config) : null),
+  slit: ({ numaNodes }) =>
+    numaNodes.some((node) => node.distances) ? getSlit(numaNodes) : null,
+  mcfg: () => getMcfg(),
+  waet: () => getWaet(),
+};
+
+/**
+ * @type {Map<string, QemuMachine>}
+ */
+const qemuMachines = new Map([
+  [
+    "pc-q35-8.2",
+    {
+      id: "pc-q35-8.2",
+      name: "QEMU 8.2, pc-q35-8.2",
+      machineType: "pc-q35-8.2",
+      maxCpus: 1024,
+      dsdt: acpiTableBuilders.dsdt,
+      tables: [
+        acpiTableBuilders.fadt,
+        acpiTableBuilders.madt,
+        acpiTableBuilders.srat,
+        acpiTableBuilders.slit,
+        acpiTableBuilders.mcfg,
+        acpiTableBuilders.waet,
+      ],
+    },
+  ],
+]);
+
+export const DEFAULT_QEMU_MACHINE = "pc-q35-8.2";
+
+/**
+ * Adds a QEMU machine or replaces the one with the same ID.
+ *
+ * @param {QemuMachine} machine
+ */
+export function registerQemuMachine(machine) {
+  qemuMachines.set(machine.id, machine);
+}
+
+/**
+ * @returns {QemuMachine[]}
+ */
+export function getQemuMachines() {
+  return Array.from(qemuMachines.values());
+}
+
+/**
+ * @param {string} id
+ * @returns {QemuMachine}
+ */
+export function getQemuMachine(id) {
+  const machine = qemuMachines.get(id);
+  if (!machine) {
+    throw new Error(
+      `Unknown QEMU machine: ${id}. Known machines: ${Array.from(
+        qemuMachines.keys()
+      ).join(", ")}`
+    );
+  }
+  return machine;
+}
+
+/** @type {PciDeviceType[]} */
+export const PCI_DEVICE_TYPES = ["nic", "vsock", "rng", "serial"];
+
+/** @type {PciDevice[]} */
+export const DEFAULT_PCI_DEVICES = [{ type: "nic", slot: 1 }];
+
+const ACPI_BUILD_TABLE_SIZE = 0x20000;
+const HOLE_640K_START = 0xa0000;
+const HOLE_640K_END = 0x100000;
+const ABOVE_4G_MEM_START = 0x100000000;
+const GIB = 0x40000000;
+const MAX_MEMORY_SLOTS = 256;
+const NUMA_DISTANCE_MIN = 10;
+const NUMA_DISTANCE_MAX = 254;
+// QEMU switches to x2APIC at a different APIC ID for each structure: MADT
+// and SRAT CPU entries from APIC ID 255, the MADT NMI structure once the APIC
+// ID limit (the last APIC ID + 1) exceeds 254, and DSDT CPU objects from
+// APIC ID 256
+const X2APIC_MIN_ID = 255;
+const X2APIC_NMI_MIN_LAST_ID = 254;
+const PROCESSOR_MAX_ID = 255;
+const PCI_SLOT_COUNT = 32;
+const PCI_LPC_SLOT = 0x1f;
+const PCI_DISK_ROOT_PORT_SLOT = 2;
+// Window that OVMF reserves for each root port and the size of the 64-bit
+// BAR of a modern virtio device
+const PCI_ROOT_PORT_PREF64_SIZE = 0x800000000n;
+const PCI_DEVICE_BAR64_SIZE = 0x4000n;
+const PCI_HOLE64_DEFAULT_SIZE = 0x800000000;
+// PCIEXBAR, which ends the 32-bit PCI window
+const PCI_HOLE_END = 0xe0000000;
+
+/**
+ * @param {number} cpuCount CPUs present at boot
  * @param {number} memoryBytes
  * @param {number} diskCount
+ * @param {AcpiOptions} [options]
  * @returns {bytes}
  */
-export function getAcpi(cpuCount, memoryBytes, diskCount) {
-  if (cpuCount < 1 || cpuCount > 256) {
-    throw new Error("cpuCount must be 1..256");
+export function getAcpi(cpuCount, memoryBytes, diskCount, options = {}) {
+  const { dsdt, tables, maxCpus } = getQemuMachine(
+    options.machine ?? DEFAULT_QEMU_MACHINE
+  );
+  const maxCpuCount = options.maxCpuCount ?? cpuCount;
+  if (maxCpuCount < 1 || maxCpuCount > maxCpus) {
+    throw new Error(`maxCpuCount must be 1..${maxCpus}`);
+  }
+  if (cpuCount < 1 || cpuCount > maxCpuCount) {
+    throw new Error(`cpuCount must be 1..${maxCpuCount}`);
   }
   if (memoryBytes <= 0) {
     throw new Error("memoryBytes must be > 0");
@@ -56,30 +262,229 @@ export function getAcpi(cpuCount, memoryBytes, diskCount) {
   if (diskCount < 0 || diskCount > 8) {
     throw new Error("diskCount must be 0..8");
   }
-  const result = new Uint8Array(128 * 1024);
-  const facs = getFacs();
-  const dsdt = getDsdt(cpuCount, memoryBytes, diskCount);
-  const fadt = getFadt(cpuCount);
-  const madt = getMadt(cpuCount);
-  const mcfg = getMcfg();
-  const waet = getWaet();
-  const dsdtOffset = facs.length;
-  const fadtOffset = dsdtOffset + dsdt.length;
-  const madtOffset = fadtOffset + fadt.length;
-  const mcfgOffset = madtOffset + madt.length;
-  const waetOffset = mcfgOffset + mcfg.length;
-  const rsdtOffset = waetOffset + waet.length;
-  result.set(facs, 0);
-  result.set(dsdt, dsdtOffset);
-  result.set(fadt, fadtOffset);
-  result.set(madt, madtOffset);
-  result.set(mcfg, mcfgOffset);
-  result.set(waet, waetOffset);
-  result.set(
-    getRsdt([fadtOffset, madtOffset, mcfgOffset, waetOffset]),
-    rsdtOffset
+  const devices = options.devices ?? DEFAULT_PCI_DEVICES;
+  validatePciDevices(devices, diskCount);
+  const maxMemoryBytes = options.maxMemoryBytes ?? memoryBytes;
+  const memorySlots = options.memorySlots ?? 0;
+  if (!Number.isInteger(memorySlots) || memorySlots < 0) {
+    throw new Error("memorySlots must be >= 0");
+  }
+  if (memorySlots > MAX_MEMORY_SLOTS) {
+    throw new Error(`memorySlots must be at most ${MAX_MEMORY_SLOTS}`);
+  }
+  if (maxMemoryBytes < memoryBytes) {
+    throw new Error("maxMemoryBytes must be >= memoryBytes");
+  }
+  if (maxMemoryBytes > memoryBytes && memorySlots === 0) {
+    throw new Error("memorySlots must be > 0 for hot-pluggable memory");
+  }
+  if (maxMemoryBytes === memoryBytes && memorySlots > 0) {
+    throw new Error(
+      "maxMemoryBytes must be larger than memoryBytes with slots"
+    );
+  }
+  const memoryLayout = options.memoryLayout ?? getQ35MemoryLayout(memoryBytes);
+  validateMemoryLayout(memoryLayout, memoryBytes);
+  const pciHole64Size = options.pciHole64Size ?? PCI_HOLE64_DEFAULT_SIZE;
+  if (!Number.isInteger(pciHole64Size) || pciHole64Size < 0) {
+    throw new Error("pciHole64Size must be >= 0");
+  }
+  // QEMU adds a NUMA node for memory hotplug if there is none
+  const numaNodes =
+    options.numa?.length || memorySlots === 0
+      ? options.numa ?? []
+      : [{ cpuCount: maxCpuCount, memoryBytes }];
+  validateNumaNodes(numaNodes, maxCpuCount, memoryBytes);
+  /** @type {AcpiConfig} */
+  const config = {
+    cpuCount,
+    maxCpuCount,
+    memoryBytes,
+    maxMemoryBytes,
+    memorySlots,
+    memoryLayout,
+    // QEMU rounds the end of the window up to 1 GB
+    pciHole64Size: BigInt(Math.ceil(pciHole64Size / GIB) * GIB),
+    diskCount,
+    devices,
+    numaNodes,
+    cpus: getCpus(cpuCount, maxCpuCount, numaNodes),
+  };
+  const parts = [getFacs(), dsdt(config)];
+  let offset = parts[0].length + parts[1].length;
+  /**
+   * @type {number[]}
+   */
+  const pointers = [];
+  for (const table of tables.map((build) => build(config))) {
+    if (!table) {
+      continue;
+    }
+    parts.push(table);
+    pointers.push(offset);
+    offset += table.length;
+  }
+  parts.push(getRsdt(pointers));
+  offset += parts[parts.length - 1].length;
+  // QEMU pads the blob to a multiple of the table size
+  return concatBytes(
+    parts,
+    Math.ceil(offset / ACPI_BUILD_TABLE_SIZE) * ACPI_BUILD_TABLE_SIZE
   );
-  return result;
+}
+
+/**
+ * Parses a device description such as "vsock:5".
+ *
+ * @param {string} spec Device type and PCI slot separated by a colon
+ * @returns {PciDevice}
+ */
+export function parsePciDevice(spec) {
+  const [type, slot, ...rest] = spec.trim().split(":");
+  const device = /** @type {PciDevice} */ ({
+    type,
+    slot: /^(0x[0-9a-f]+|\d+)$/i.test(slot ?? "") ? Number(slot) : NaN,
+  });
+  if (rest.length > 0 || isNaN(device.slot)) {
+    throw new Error(`Invalid PCI device: ${spec}. Expected type:slot`);
+  }
+  return device;
+}
+
+/**
+ * Throws if the devices have unknown types or take slots that are out of
+ * range, used twice or taken by the host bridge, the disk root ports or the
+ * LPC controller.
+ *
+ * @param {PciDevice[]} devices
+ * @param {number} diskCount
+ */
+export function validatePciDevices(devices, diskCount) {
+  const lastRootPortSlot =
+    diskCount > 0 ? PCI_DISK_ROOT_PORT_SLOT + Math.floor(diskCount / 8) : -1;
+  /** @type {Set<number>} */
+  const slots = new Set();
+  for (const device of devices) {
+    if (!PCI_DEVICE_TYPES.includes(device.type)) {
+      throw new Error(
+        `Unknown PCI device type: ${
+          device.type
+        }. Known types: ${PCI_DEVICE_TYPES.join(", ")}`
+      );
+    }
+    if (
+      !Number.isInteger(device.slot) ||
+      device.slot < 1 ||
+      device.slot >= PCI_SLOT_COUNT ||
+      device.slot === PCI_LPC_SLOT
+    ) {
+      throw new Error(`PCI slot must be 1..30, got ${device.slot}`);
+    }
+    if (
+      device.slot >= PCI_DISK_ROOT_PORT_SLOT &&
+      device.slot <= lastRootPortSlot
+    ) {
+      throw new Error(`PCI slot ${device.slot} is taken by disk root ports`);
+    }
+    if (slots.has(device.slot)) {
+      throw new Error(`PCI slot ${device.slot} is used more than once`);
+    }
+    slots.add(device.slot);
+  }
+  if (devices.filter((device) => device.type === "vsock").length > 1) {
+    throw new Error("A TD can have only one vsock device");
+  }
+}
+
+/**
+ * Throws unless the nodes add up to the TD's possible CPUs, including the
+ * hot-pluggable ones, and its memory and can be
+ * described as sockets of the same size. Distances, if any, must be given
+ * for every pair of nodes.
+ *
+ * @param {NumaNode[]} nodes
+ * @param {number} cpuCount
+ * @param {number} memoryBytes
+ */
+export function validateNumaNodes(nodes, cpuCount, memoryBytes) {
+  if (nodes.length === 0) {
+    return;
+  }
+  for (const node of nodes) {
+    if (!Number.isInteger(node.cpuCount) || node.cpuCount < 1) {
+      throw new Error("Each NUMA node must have at least one CPU");
+    }
+    if (!Number.isInteger(node.memoryBytes) || node.memoryBytes <= 0) {
+      throw new Error("Each NUMA node must have memory");
+    }
+    if (node.cpuCount !== nodes[0].cpuCount) {
+      throw new Error("NUMA nodes must have the same number of CPUs");
+    }
+  }
+  const nodeCpuCount = nodes.reduce((sum, node) => sum + node.cpuCount, 0);
+  if (nodeCpuCount !== cpuCount) {
+    throw new Error(
+      `NUMA nodes have ${nodeCpuCount} CPUs in total, expected ${cpuCount}`
+    );
+  }
+  const nodeMemoryBytes = nodes.reduce(
+    (sum, node) => sum + node.memoryBytes,
+    0
+  );
+  if (nodeMemoryBytes !== memoryBytes) {
+    throw new Error(
+      `NUMA nodes have ${nodeMemoryBytes} bytes of memory in total, expected ${memoryBytes}`
+    );
+  }
+  if (!nodes.some((node) => node.distances)) {
+    return;
+  }
+  nodes.forEach((node, i) => {
+    if (node.distances?.length !== nodes.length) {
+      throw new Error(
+        `NUMA node ${i} must have a distance to each of ${nodes.length} nodes`
+      );
+    }
+    node.distances.forEach((distance, j) => {
+      if (
+        !Number.isInteger(distance) ||
+        distance < NUMA_DISTANCE_MIN ||
+        distance > NUMA_DISTANCE_MAX
+      ) {
+        throw new Error(
+          `NUMA distance must be ${NUMA_DISTANCE_MIN}..${NUMA_DISTANCE_MAX}, got ${distance}`
+        );
+      }
+      if (i === j && distance !== NUMA_DISTANCE_MIN) {
+        throw new Error(
+          `Distance of NUMA node ${i} to itself must be ${NUMA_DISTANCE_MIN}`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Possible CPUs in the order of their ACPI processor UIDs, the first
+ * cpuCount of them present. Each NUMA node is a socket, and QEMU gives every
+ * socket a power-of-two range of APIC IDs.
+ *
+ * @param {number} cpuCount
+ * @param {number} maxCpuCount
+ * @param {NumaNode[]} numaNodes
+ * @returns {AcpiCpu[]}
+ */
+function getCpus(cpuCount, maxCpuCount, numaNodes) {
+  const coreCount = numaNodes.length > 0 ? numaNodes[0].cpuCount : maxCpuCount;
+  const coreBits = Math.ceil(Math.log2(coreCount));
+  return [...Array(maxCpuCount).keys()].map((id) => {
+    const socket = Math.floor(id / coreCount);
+    return {
+      apicId: socket * 2 ** coreBits + (id % coreCount),
+      present: id < cpuCount,
+      node: numaNodes.length > 0 ? socket : null,
+    };
+  });
 }
 
 /**
@@ -94,17 +499,15 @@ function getFacs() {
 }
 
 /**
- * @param {number} cpuCount
- * @param {number} memoryBytes
- * @param {number} diskCount
+ * @param {AcpiConfig} config
  * @returns {bytes}
  */
-function getDsdt(cpuCount, memoryBytes, diskCount) {
+function getDsdt(config) {
   const result = concatBytes([
     hexToBytes(
       "44534454ac1f00000100424f434853204258504320202020010000004258504301000000"
     ),
-    getDsdtAml(cpuCount, memoryBytes, diskCount),
+    getDsdtAml(config),
   ]);
   const view = new DataView(result.buffer);
   view.setUint32(4, result.length, LE);
@@ -112,12 +515,20 @@ function getDsdt(cpuCount, memoryBytes, diskCount) {
 }
 
 /**
- * @param {number} cpuCount
- * @param {number} memoryBytes
- * @param {number} diskCount
+ * @param {AcpiConfig} config
  * @returns {bytes}
  */
-function getDsdtAml(cpuCount, memoryBytes, diskCount) {
+function getDsdtAml({
+  maxCpuCount,
+  memorySlots,
+  memoryLayout,
+  pciHole64Size,
+  diskCount,
+  devices,
+  cpus,
+}) {
+  const hole64Size = getPciHole64Size(diskCount, devices, pciHole64Size);
+  const holeStart = memoryLayout.below4gMemSize;
   return concatBytes([
     defineScope("\\", [
       hexToBytes(
@@ -174,7 +585,7 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
           2,
           false,
           0,
-          [...Array(cpuCount).keys()].map((id) =>
+          [...Array(maxCpuCount).keys()].map((id) =>
             defineIf(defineEqual(ops.arg0, makeInteger(id)), [
               defineNotify(makeNameString(getDsdtProcessorName(id)), ops.arg1),
             ])
@@ -197,7 +608,7 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
             defineWhile(
               defineAnd(
                 defineEqual(ops.local0, makeInteger(1)),
-                defineLess(ops.local3, makeInteger(cpuCount))
+                defineLess(ops.local3, makeInteger(maxCpuCount))
               ),
               [
                 hexToBytes(
@@ -214,37 +625,13 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
         hexToBytes(
           "144d09434f53540c5b235c2f045f53425f504349305052455343504c4bffff70685c2f045f53425f50434930505245534353454c70015c2f045f53425f504349305052455343434d4470695c2f045f53425f504349305052455343444154700a025c2f045f53425f504349305052455343434d44706a5c2f045f53425f5043493050524553434441545b275c2f045f53425f504349305052455343504c4b"
         ),
-        ...[...Array(cpuCount).keys()].map((id) =>
-          defineProcessor(getDsdtProcessorName(id), id, 0, 0, [
-            defineMethod("_STA", 0, true, 0, [
-              defineReturn(invokeMethod("CSTA", [makeInteger(id)])),
-            ]),
-            defineName(
-              "_MAT",
-              defineBuffer(
-                new Uint8Array([0x00, 0x08, id, id, 0x01, 0x00, 0x00, 0x00])
-              )
-            ),
-            id > 0
-              ? defineMethod("_EJ0", 1, false, 0, [
-                  invokeMethod("CEJ0", [makeInteger(id)]),
-                ])
-              : new Uint8Array(0),
-            defineMethod("_OST", 3, true, 0, [
-              invokeMethod("COST", [
-                makeInteger(id),
-                ops.arg0,
-                ops.arg1,
-                ops.arg2,
-              ]),
-            ]),
-          ])
-        ),
+        ...cpus.map(getDsdtProcessor),
       ]),
     ]),
     defineMethod("\\_GPE._E02", 0, false, 0, [
       hexToBytes("5c2f035f53425f435055534353434e"),
     ]),
+    ...(memorySlots > 0 ? getDsdtMemoryHotplug(memorySlots) : []),
     defineScope("\\_SB.PCI0", [
       defineName(
         "_CRS",
@@ -267,10 +654,10 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
             defineDWordMemory(
               false,
               0x00000000,
-              memoryBytes > 0xb0000000 ? 0x80000000 : memoryBytes,
-              0xdfffffff,
+              holeStart,
+              PCI_HOLE_END - 1,
               0x00000000,
-              memoryBytes > 0xb0000000 ? 0x60000000 : 0xe0000000 - memoryBytes
+              PCI_HOLE_END - holeStart
             ),
             defineDWordMemory(
               false,
@@ -284,13 +671,9 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
               true,
               0x0000000000000000n,
               0x0000380000000000n,
-              0x00003807ffffffffn +
-                (diskCount > 0 ? 0x4000n : 0n) +
-                0x800000000n * BigInt(diskCount),
+              0x0000380000000000n + hole64Size - 1n,
               0x0000000000000000n,
-              0x0000000800000000n +
-                (diskCount > 0 ? 0x4000n : 0n) +
-                0x800000000n * BigInt(diskCount)
+              hole64Size
             ),
             new Uint8Array([0x79, 0x00]),
           ])
@@ -311,18 +694,7 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
     defineScope("\\_SB", [
       defineScope("PCI0", [
         defineDevice("S00", [defineName("_ADR", makeInteger(0))]),
-        defineDevice("S08", [defineName("_ADR", makeInteger(0x00010000))]),
-        ...[...Array(diskCount).keys()].map((id) =>
-          defineDevice(getDiskDeviceName(id), [
-            defineName("_ADR", makeInteger(getDiskAddress(id))),
-            defineDevice("S00", [defineName("_ADR", makeInteger(0))]),
-          ])
-        ),
-        diskCount > 0
-          ? defineDevice(getDiskDeviceName(diskCount), [
-              defineName("_ADR", makeInteger(getDiskAddress(diskCount))),
-            ])
-          : new Uint8Array(0),
+        ...getPciBusDevices(diskCount, devices),
         defineDevice("SF8", [
           hexToBytes(
             "085f4144520c00001f005b8050495251020a600a0c1043045c5f53425f5b813a2f03504349305346385f50495251015052514108505251420850525143085052514408002050525145085052514608505251470850525148085b82255254435f085f4849440c41d00b00085f43525311100a0d47017000700001082200017900"
@@ -333,6 +705,124 @@ function getDsdtAml(cpuCount, memoryBytes, diskCount) {
   ]);
 }
 
+/**
+ * CPUs with an APIC ID that fits in a Processor declaration are declared
+ * with it, and the others as processor devices. _MAT marks even absent CPUs
+ * enabled, since _STA reports if they are present.
+ *
+ * @param {AcpiCpu} cpu
+ * @param {number} id ACPI processor UID
+ * @returns {bytes}
+ */
+function getDsdtProcessor(cpu, id) {
+  const terms = [
+    defineMethod("_STA", 0, true, 0, [
+      defineReturn(invokeMethod("CSTA", [makeInteger(id)])),
+    ]),
+    defineName("_MAT", defineBuffer(getMadtCpuEntry(cpu, id, true))),
+    id > 0
+      ? defineMethod("_EJ0", 1, false, 0, [
+          invokeMethod("CEJ0", [makeInteger(id)]),
+        ])
+      : new Uint8Array(0),
+    defineMethod("_OST", 3, true, 0, [
+      invokeMethod("COST", [makeInteger(id), ops.arg0, ops.arg1, ops.arg2]),
+    ]),
+    cpu.node !== null
+      ? defineName("_PXM", makeInteger(cpu.node))
+      : new Uint8Array(0),
+  ];
+  if (cpu.apicId <= PROCESSOR_MAX_ID) {
+    return defineProcessor(getDsdtProcessorName(id), id, 0, 0, terms);
+  }
+  return defineDevice(getDsdtProcessorName(id), [
+    defineName("_HID", makeString("ACPI0007")),
+    defineName("_UID", makeInteger(id)),
+    ...terms,
+  ]);
+}
+
+/**
+ * Memory hotplug controller with a device for each DIMM slot.
+ *
+ * @param {number} slotCount
+ * @returns {bytes[]}
+ */
+function getDsdtMemoryHotplug(slotCount) {
+  const ids = [...Array(slotCount).keys()];
+  return [
+    hexToBytes(
+      "5b824d055c2f035f53425f504349304d485044085f4849440d504e503041303600085f5549440d4d656d6f727920686f74706c7567207265736f757263657300085f435253110d0a0a4701000a000a001879005b8048504d52010b000a0a18"
+    ),
+    defineDevice("\\_SB.MHPC", [
+      hexToBytes(
+        "085f4849440d504e503041303600085f5549440d44494d4d206465766963657300"
+      ),
+      defineName("MDNR", makeInteger(slotCount)),
+      hexToBytes(
+        [
+          "5b812e5c2f045f53425f504349304d48504448504d52034d52424c204d524248204d524c4c204d524c48204d50585f205b812c5c2f045f53425f504349304d48504448504d524100400a4d45535f014d494e53014d524d56014d454a5f015b81245c2f045f53425f504349304d48504448504d52034d53454c204d4f4556204d4f53432014135f53544100a009934d444e5200a400a40a0b5b014d4c434b001441064d53434e00a009934d444e5200a4007000605b234d4c434bffffa23c95604d444e5270604d53454ca013934d494e53014d544659600170014d494e53a116a014934d524d56014d544659600a0370",
+          "014d524d56726001605b274d4c434ba401142d4d525354017000605b234d4c434bffff709968004d53454ca00b934d45535f01700a0f605b274d4c434ba4601441184d435253095b234d4c434bffff709968004d53454c084d52363411330a308a2b00000c0300000000000000000000000000000000feffffffffffffff0000000000000000ffffffffffffffff79008a4d5236340a0e4d494e4c8a4d5236340a124d494e488a4d5236340a264c454e4c8a4d5236340a2a4c454e488a4d5236340a164d41584c8a4d5236340a1a4d415848704d5242484d494e48704d52424c4d494e4c704d524c484c454e48704d52",
+          "4c4c4c454e4c724d494e4c4c454e4c4d41584c724d494e484c454e484d415848a014954d41584c4d494e4c724d415848014d415848a011954d41584c01744d415848014d415848744d41584c014d41584ca04407934d41584800084d523332111f0a1c871700000c030000000000000000feffffff00000000ffffffff79008a4d5233320a0a4d494e5f8a4d5233320a0e4d41585f8a4d5233320a164c454e5f704d494e4c4d494e5f704d41584c4d41585f704c454e4c4c454e5f5b274d4c434ba44d5233325b274d4c434ba44d52363414244d50584d015b234d4c434bffff709968004d53454c704d50585f605b27",
+          "4d4c434ba46014284d4f5354045b234d4c434bffff709968004d53454c70694d4f4556706a4d4f53435b274d4c434b14224d454a30025b234d4c434bffff709968004d53454c70014d454a5f5b274d4c434b",
+        ].join("")
+      ),
+      ...ids.map(getDsdtMemoryDevice),
+      defineMethod(
+        "MTFY",
+        2,
+        false,
+        0,
+        ids.map((id) =>
+          defineIf(defineEqual(ops.arg0, makeInteger(id)), [
+            defineNotify(makeNameString(getDsdtMemoryDeviceName(id)), ops.arg1),
+          ])
+        )
+      ),
+    ]),
+    defineMethod("\\_GPE._E03", 0, false, 0, [
+      hexToBytes("5c2f035f53425f4d4850434d53434e"),
+    ]),
+  ];
+}
+
+/**
+ * @param {number} id
+ * @returns {bytes}
+ */
+function getDsdtMemoryDevice(id) {
+  const uid = makeNameString("_UID");
+  return defineDevice(getDsdtMemoryDeviceName(id), [
+    defineName(
+      "_UID",
+      makeString(`0x${id.toString(16).toUpperCase().padStart(2, "0")}`)
+    ),
+    // EisaId("PNP0C80")
+    defineName("_HID", makeInteger(0x800cd041)),
+    defineMethod("_CRS", 0, false, 0, [
+      defineReturn(invokeMethod("MCRS", [uid])),
+    ]),
+    defineMethod("_STA", 0, false, 0, [
+      defineReturn(invokeMethod("MRST", [uid])),
+    ]),
+    defineMethod("_PXM", 0, false, 0, [
+      defineReturn(invokeMethod("MPXM", [uid])),
+    ]),
+    defineMethod("_OST", 3, false, 0, [
+      invokeMethod("MOST", [uid, ops.arg0, ops.arg1, ops.arg2]),
+    ]),
+    defineMethod("_EJ0", 1, false, 0, [invokeMethod("MEJ0", [uid, ops.arg0])]),
+  ]);
+}
+
+/**
+ * @param {number} id
+ * @returns {string}
+ */
+function getDsdtMemoryDeviceName(id) {
+  return `MP${id.toString(16).toUpperCase().padStart(2, "0")}`;
+}
+
 /**
  * @param {number} id
  * @returns {string}
@@ -342,67 +832,345 @@ function getDsdtProcessorName(id) {
 }
 
 /**
- * @param {number} id
+ * Devices on the PCIe root bus between the host bridge and the LPC
+ * controller, in the order of their device and function numbers: the extra
+ * devices and a root port for each disk plus a spare one.
+ *
+ * @param {number} diskCount
+ * @param {PciDevice[]} devices
+ * @returns {bytes[]}
+ */
+function getPciBusDevices(diskCount, devices) {
+  /**
+   * @type {[number, bytes][]}
+   */
+  const entries = devices.map((device) => {
+    const devfn = device.slot * 8;
+    return [
+      devfn,
+      defineDevice(getPciDeviceName(devfn), [
+        defineName("_ADR", makeInteger(getPciAddress(devfn))),
+      ]),
+    ];
+  });
+  const rootPortCount = diskCount > 0 ? diskCount + 1 : 0;
+  for (let id = 0; id < rootPortCount; id++) {
+    const devfn = PCI_DISK_ROOT_PORT_SLOT * 8 + id;
+    entries.push([
+      devfn,
+      defineDevice(getPciDeviceName(devfn), [
+        defineName("_ADR", makeInteger(getPciAddress(devfn))),
+        id < diskCount
+          ? defineDevice("S00", [defineName("_ADR", makeInteger(0))])
+          : new Uint8Array(0),
+      ]),
+    ]);
+  }
+  return entries.sort((a, b) => a[0] - b[0]).map((entry) => entry[1]);
+}
+
+/**
+ * The 64-bit window spans the BARs and bridge windows that OVMF assigns, and
+ * is at least pci-hole64-size.
+ *
+ * @param {number} diskCount
+ * @param {PciDevice[]} devices
+ * @param {bigint} minSize
+ * @returns {bigint}
+ */
+function getPciHole64Size(diskCount, devices, minSize) {
+  const rootPortCount = diskCount > 0 ? diskCount + 1 : 0;
+  const used =
+    PCI_ROOT_PORT_PREF64_SIZE * BigInt(rootPortCount) +
+    PCI_DEVICE_BAR64_SIZE * BigInt(devices.length);
+  return used > minSize ? used : minSize;
+}
+
+/**
+ * @param {number} devfn
  * @returns {number}
  */
-function getDiskAddress(id) {
-  return 0x00020000 + Math.floor(id / 8) * 0x00010000 + (id % 8);
+function getPciAddress(devfn) {
+  return ((devfn >> 3) << 16) | (devfn & 7);
 }
 
 /**
- * @param {number} id
+ * @param {number} devfn
  * @returns {string}
  */
-function getDiskDeviceName(id) {
-  return `S${(id + 0x10).toString(16).toUpperCase().padStart(2, "0")}`;
+function getPciDeviceName(devfn) {
+  return `S${devfn.toString(16).toUpperCase().padStart(2, "0")}`;
 }
 
 /**
- * @param {number} cpuCount
+ * @param {number} maxCpuCount
  * @returns {bytes}
  */
-function getFadt(cpuCount) {
+function getFadt(maxCpuCount) {
   const result = hexToBytes(
     "46414350f40000000300424f434853204258504320202020010000004258504301000000000000004000000001000900000000000000000000060000000000000406000000000000000000000806000020060000000000000402000410000000ff0fff0f000000000000000032000000a584000001080000f90c0000000000000f00000000000000000000004000000000000000012000000006000000000000000000000000000000000000011000000406000000000000000000000000000000000000000000000000000000000000012000000806000000000000018000002006000000000000000000000000000000000000"
   );
   result.set(
-    new Uint8Array([0xa5, 0x84, cpuCount > 8 ? 0x04 : 0x00, 0x00]),
+    new Uint8Array([0xa5, 0x84, maxCpuCount > 8 ? 0x04 : 0x00, 0x00]),
     112
   );
   return result;
 }
 
 /**
- * @param {number} cpuCount
+ * @param {AcpiCpu[]} cpus
  * @returns {bytes}
  */
-function getMadt(cpuCount) {
+function getMadt(cpus) {
   const header = hexToBytes(
     "415049431e0100000300424f4348532042585043202020200100000042585043010000000000e0fe01000000"
   );
-  const footer = hexToBytes(
-    "010c00000000c0fe00000000020a0000020000000500020a0001010000000500020a0002020000000500020a0003030000000500020a0004040000000500020a0005050000000500020a0006060000000500020a0007070000000500020a0008080000000500020a0009090000000500020a000a0a0000000500020a000b0b0000000500020a000c0c0000000500020a000d0d0000000500020a000e0e0000000500020a000f0f00000005000406ff000001"
+  const interruptControllers = hexToBytes(
+    "010c00000000c0fe00000000020a0000020000000500020a0001010000000500020a0002020000000500020a0003030000000500020a0004040000000500020a0005050000000500020a0006060000000500020a0007070000000500020a0008080000000500020a0009090000000500020a000a0a0000000500020a000b0b0000000500020a000c0c0000000500020a000d0d0000000500020a000e0e0000000500020a000f0f0000000500"
   );
-  const cpuEntrySize = 8;
-  const result = new Uint8Array(
-    header.length + cpuCount * cpuEntrySize + footer.length
+  // Local APIC NMI structure for all processors, or its x2APIC variant
+  const nmi = hexToBytes(
+    cpus[cpus.length - 1].apicId >= X2APIC_NMI_MIN_LAST_ID
+      ? "0a0c0000ffffffff01000000"
+      : "0406ff000001"
   );
+  const result = concatBytes([
+    header,
+    ...cpus.map((cpu, id) => getMadtCpuEntry(cpu, id, cpu.present)),
+    interruptControllers,
+    nmi,
+  ]);
   const view = new DataView(result.buffer);
-
-  result.set(header, 0);
   view.setUint32(4, result.length, LE);
+  return result;
+}
 
-  for (let i = 0; i < cpuCount; i++) {
-    const offset = header.length + i * cpuEntrySize;
-    result[offset] = 0;
-    result[offset + 1] = 8;
-    result[offset + 2] = i;
-    result[offset + 3] = i;
-    view.setUint32(offset + 4, 1, LE);
+/**
+ * Processor Local APIC structure, or Processor Local x2APIC structure for
+ * APIC IDs from 255.
+ *
+ * @param {AcpiCpu} cpu
+ * @param {number} id ACPI processor UID
+ * @param {boolean} enabled
+ * @returns {bytes}
+ */
+function getMadtCpuEntry({ apicId }, id, enabled) {
+  const flags = enabled ? 0x01 : 0x00;
+  if (apicId < X2APIC_MIN_ID) {
+    return new Uint8Array([0x00, 0x08, id, apicId, flags, 0x00, 0x00, 0x00]);
   }
+  const result = new Uint8Array(16);
+  const view = new DataView(result.buffer);
+  result[0] = 0x09;
+  result[1] = 16;
+  view.setUint32(4, apicId, LE);
+  view.setUint32(8, flags, LE);
+  view.setUint32(12, id, LE);
+  return result;
+}
 
-  result.set(footer, header.length + cpuCount * cpuEntrySize);
+/**
+ * System Resource Affinity Table with the NUMA node of each CPU and of each
+ * memory range. Like QEMU, it splits the node memory around the 640 KB hole
+ * and the PCI hole, adds disabled entries up to the number of nodes + 2 and
+ * assigns the hot-pluggable range to the last node.
+ *
+ * @param {AcpiConfig} config
+ * @returns {bytes}
+ */
+function getSrat({
+  memoryBytes,
+  maxMemoryBytes,
+  memorySlots,
+  memoryLayout,
+  numaNodes,
+  cpus,
+}) {
+  const header = new Uint8Array(48);
+  header.set(getTableHeader("SRAT", 1), 0);
+  new DataView(header.buffer).setUint32(36, 1, LE);
+  const cpuEntries = cpus.map(({ apicId, node }) => {
+    const proximityDomain = node ?? 0;
+    if (apicId < X2APIC_MIN_ID) {
+      const result = new Uint8Array(16);
+      const view = new DataView(result.buffer);
+      result[0] = 0;
+      result[1] = 16;
+      result[2] = proximityDomain;
+      result[3] = apicId;
+      view.setUint32(4, 1, LE);
+      return result;
+    }
+    const result = new Uint8Array(24);
+    const view = new DataView(result.buffer);
+    result[0] = 2;
+    result[1] = 24;
+    view.setUint32(4, proximityDomain, LE);
+    view.setUint32(8, apicId, LE);
+    view.setUint32(12, 1, LE);
+    return result;
+  });
 
+  const below4gMemoryBytes = memoryLayout.below4gMemSize;
+  const memoryEntries = [];
+  let nextBase = 0;
+  for (const [node, { memoryBytes: nodeMemoryBytes }] of numaNodes.entries()) {
+    let base = nextBase;
+    let length = nodeMemoryBytes;
+    nextBase = base + length;
+    if (base <= HOLE_640K_START && nextBase > HOLE_640K_START) {
+      length -= nextBase - HOLE_640K_START;
+      if (length > 0) {
+        memoryEntries.push(getSratMemoryEntry(base, length, node, 1));
+      }
+      if (nextBase <= HOLE_640K_END) {
+        nextBase = HOLE_640K_END;
+        continue;
+      }
+      base = HOLE_640K_END;
+      length = nextBase - HOLE_640K_END;
+    }
+    if (base <= below4gMemoryBytes && nextBase > below4gMemoryBytes) {
+      length -= nextBase - below4gMemoryBytes;
+      if (length > 0) {
+        memoryEntries.push(getSratMemoryEntry(base, length, node, 1));
+      }
+      base = memoryLayout.above4gMemStart;
+      length = nextBase - below4gMemoryBytes;
+      nextBase = base + length;
+    }
+    if (length > 0) {
+      memoryEntries.push(getSratMemoryEntry(base, length, node, 1));
+    }
+  }
+  while (memoryEntries.length < numaNodes.length + 2) {
+    memoryEntries.push(getSratMemoryEntry(0, 0, 0, 0));
+  }
+  if (memorySlots > 0) {
+    const { base, size } = getDeviceMemoryRange(
+      memoryLayout,
+      memoryBytes,
+      maxMemoryBytes,
+      memorySlots
+    );
+    memoryEntries.push(
+      getSratMemoryEntry(base, size, numaNodes.length - 1, 1 | 2)
+    );
+  }
+
+  const result = concatBytes([header, ...cpuEntries, ...memoryEntries]);
+  new DataView(result.buffer).setUint32(4, result.length, LE);
+  return result;
+}
+
+/**
+ * @param {number} base
+ * @param {number} length
+ * @param {number} node
+ * @param {number} flags 1 if enabled, | 2 if hot-pluggable
+ * @returns {bytes}
+ */
+function getSratMemoryEntry(base, length, node, flags) {
+  const result = new Uint8Array(40);
+  const view = new DataView(result.buffer);
+  result[0] = 1;
+  result[1] = 40;
+  view.setUint32(2, node, LE);
+  view.setBigUint64(8, BigInt(base), LE);
+  view.setBigUint64(16, BigInt(length), LE);
+  view.setUint32(28, flags, LE);
+  return result;
+}
+
+/**
+ * System Locality Information Table with the distances between NUMA nodes.
+ *
+ * @param {NumaNode[]} numaNodes
+ * @returns {bytes}
+ */
+function getSlit(numaNodes) {
+  const result = concatBytes([
+    getTableHeader("SLIT", 1),
+    new Uint8Array(8),
+    ...numaNodes.map((node) => new Uint8Array(node.distances ?? [])),
+  ]);
+  const view = new DataView(result.buffer);
+  view.setUint32(4, result.length, LE);
+  view.setBigUint64(36, BigInt(numaNodes.length), LE);
+  return result;
+}
+
+/**
+ * Address range that QEMU reserves for hot-pluggable DIMMs above the RAM,
+ * with room to align each slot to 1 GB.
+ *
+ * @param {TdMemoryLayout} memoryLayout
+ * @param {number} memoryBytes
+ * @param {number} maxMemoryBytes
+ * @param {number} memorySlots
+ * @returns {{base: number, size: number}}
+ */
+function getDeviceMemoryRange(
+  memoryLayout,
+  memoryBytes,
+  maxMemoryBytes,
+  memorySlots
+) {
+  const above4gEnd = memoryLayout.above4gMemStart + memoryLayout.above4gMemSize;
+  return {
+    base: Math.ceil(above4gEnd / GIB) * GIB,
+    size: maxMemoryBytes - memoryBytes + GIB * memorySlots,
+  };
+}
+
+/**
+ * Memory layout of a q35 machine without max-ram-below-4g.
+ *
+ * @param {number} memoryBytes
+ * @returns {TdMemoryLayout}
+ */
+function getQ35MemoryLayout(memoryBytes) {
+  const below4gMemSize = memoryBytes >= 0xb0000000 ? 0x80000000 : memoryBytes;
+  return {
+    below4gMemSize,
+    above4gMemSize: memoryBytes - below4gMemSize,
+    above4gMemStart: ABOVE_4G_MEM_START,
+  };
+}
+
+/**
+ * Throws if the layout does not add up to the memory or overlaps the PCI
+ * windows.
+ *
+ * @param {TdMemoryLayout} memoryLayout
+ * @param {number} memoryBytes
+ */
+function validateMemoryLayout(memoryLayout, memoryBytes) {
+  const { below4gMemSize, above4gMemSize, above4gMemStart } = memoryLayout;
+  if (below4gMemSize + above4gMemSize !== memoryBytes) {
+    throw new Error("Memory layout must add up to memoryBytes");
+  }
+  if (below4gMemSize <= 0 || below4gMemSize > PCI_HOLE_END) {
+    throw new Error("RAM below 4 GB must end before the 32-bit PCI window");
+  }
+  if (above4gMemStart < ABOVE_4G_MEM_START) {
+    throw new Error("RAM above 4 GB must start at 4 GB or higher");
+  }
+}
+
+/**
+ * Header of a table that QEMU builds, with zero length and checksum.
+ *
+ * @param {string} signature
+ * @param {number} revision
+ * @returns {bytes}
+ */
+function getTableHeader(signature, revision) {
+  const result = hexToBytes(
+    "00000000000000000000424f434853204258504320202020010000004258504301000000"
+  );
+  utf8encoder.encodeInto(signature, result);
+  result[8] = revision;
   return result;
 }
 
@@ -0,0 +1,829 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import { diffAml } from "./aml.mjs";
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} AcpiField
+ * @property {string} name
+ * @property {number|string} value Counts and sizes are numbers; addresses,
+ *   IDs and flags are hex strings
+ */
+
+/**
+ * Structure of a table, such as a MADT interrupt controller entry.
+ *
+ * @typedef {Object} AcpiNode
+ * @property {string} name
+ * @property {AcpiField[]} fields
+ * @property {AcpiNode[]} children
+ */
+
+/**
+ * @typedef {Object} DecodedAcpiTable
+ * @property {string} name Signature of the table
+ * @property {string} signature
+ * @property {number} offset
+ * @property {number} length
+ * @property {AcpiChecksum} checksum
+ * @property {AcpiField[]} fields Header fields followed by the fixed fields
+ *   of the table
+ * @property {AcpiNode[]} children
+ * @property {bytes} [aml] Definition block of DSDT and SSDT
+ */
+
+/**
+ * "unset" if the checksum is 0, as in the QEMU fw_cfg blob, where the table
+ * loader fills it in after patching the pointers. "none" for FACS.
+ *
+ * @typedef {"valid"|"invalid"|"unset"|"none"} AcpiChecksum
+ */
+
+const HEADER_SIZE = 36;
+
+/**
+ * @type {{[signature: string]: (table: TableReader) => void}}
+ */
+const tableDecoders = {
+  FACP: decodeFadt,
+  APIC: decodeMadt,
+  MCFG: decodeMcfg,
+  WAET: (table) => table.field("Emulated Device Flags", table.hex32(36)),
+  RSDT: (table) => decodePointers(table, 4),
+  XSDT: (table) => decodePointers(table, 8),
+  SRAT: decodeSrat,
+  SLIT: decodeSlit,
+  HPET: decodeHpet,
+  DSDT: decodeDefinitionBlock,
+  SSDT: decodeDefinitionBlock,
+};
+
+/**
+ * Decodes concatenated ACPI tables, such as the etc/acpi/tables blob of QEMU
+ * or tables that a VMM passes in the TD HOB. Pointers to other tables, as
+ * offsets in the blob before the table loader patches them, are annotated
+ * with the table they point to.
+ *
+ * @param {bytes} bytes
+ * @returns {DecodedAcpiTable[]}
+ */
+export function decodeAcpiTables(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  /**
+   * @type {{signature: string, offset: number, length: number}[]}
+   */
+  const entries = [];
+  let offset = 0;
+  // QEMU pads the blob with zeros
+  while (offset + 8 <= bytes.length && view.getUint32(offset, LE) !== 0) {
+    const signature = latin1Decoder.decode(bytes.subarray(offset, offset + 4));
+    const length = view.getUint32(offset + 4, LE);
+    const minLength = signature === "FACS" ? 8 : HEADER_SIZE;
+    if (length < minLength || offset + length > bytes.length) {
+      throw new Error(
+        `Invalid length of ${signature} at offset ${hex(offset)}: ${length}`
+      );
+    }
+    entries.push({ signature, offset, length });
+    offset += length;
+  }
+
+  /**
+   * @param {number} address
+   * @returns {string}
+   */
+  function formatPointer(address) {
+    const target = entries.find((entry) => entry.offset === address);
+    return target ? `${hex(address)} (${target.signature})` : hex(address);
+  }
+
+  return entries.map(({ signature, offset: tableOffset, length }) => {
+    const table = new TableReader(
+      bytes.subarray(tableOffset, tableOffset + length),
+      formatPointer
+    );
+    if (signature === "FACS") {
+      decodeFacs(table);
+    } else {
+      decodeHeader(table);
+      tableDecoders[signature]?.(table);
+    }
+    return {
+      name: signature,
+      signature,
+      offset: tableOffset,
+      length,
+      checksum: signature === "FACS" ? "none" : getChecksum(table.bytes),
+      fields: table.fields,
+      children: table.children,
+      aml: table.aml,
+    };
+  });
+}
+
+/**
+ * Difference between two sets of ACPI tables in a table, a field, the count or
+ * the fields of structures, or an AML object.
+ *
+ * @typedef {Object} AcpiDifference
+ * @property {string} table Signature of the table, followed by its number if
+ *   there are several, e.g. "SSDT 2"
+ * @property {string} path Field, structure or AML object, empty for the whole
+ *   table
+ * @property {string|null} actual Value in the first tables, null if only the
+ *   second ones have it
+ * @property {string|null} expected Value in the second tables, null if only
+ *   the first ones have it
+ */
+
+/**
+ * Compares decoded tables, such as the uploaded ones and the ones getAcpi
+ * generates, table by table and field by field. Structures of the same type
+ * are compared in order, and the AML of DSDT and SSDT object by object.
+ * Pointers are compared by the tables they point to.
+ *
+ * @param {DecodedAcpiTable[]} actual
+ * @param {DecodedAcpiTable[]} expected
+ * @returns {AcpiDifference[]}
+ */
+export function diffAcpiTables(actual, expected) {
+  const actualTables = getTableKeys(actual);
+  const expectedTables = getTableKeys(expected);
+  /** @type {AcpiDifference[]} */
+  const differences = [];
+  for (const [key, table] of actualTables) {
+    const other = expectedTables.get(key);
+    if (!other) {
+      differences.push({
+        table: key,
+        path: "",
+        actual: `${table.length} bytes`,
+        expected: null,
+      });
+      continue;
+    }
+    differences.push(...diffAcpiNodes(key, "", table, other));
+    if (table.aml && other.aml) {
+      for (const difference of diffAml(table.aml, other.aml)) {
+        differences.push({ table: key, ...difference });
+      }
+    }
+  }
+  for (const [key, table] of expectedTables) {
+    if (!actualTables.has(key)) {
+      differences.push({
+        table: key,
+        path: "",
+        actual: null,
+        expected: `${table.length} bytes`,
+      });
+    }
+  }
+  return differences;
+}
+
+/**
+ * @param {DecodedAcpiTable[]} tables
+ * @returns {Map<string, DecodedAcpiTable>} Tables by signature, numbered from
+ *   2 if the signature repeats
+ */
+function getTableKeys(tables) {
+  /** @type {Map<string, DecodedAcpiTable>} */
+  const keys = new Map();
+  for (const table of tables) {
+    let key = table.signature;
+    for (let i = 2; keys.has(key); i++) {
+      key = `${table.signature} ${i}`;
+    }
+    keys.set(key, table);
+  }
+  return keys;
+}
+
+/**
+ * @param {string} table
+ * @param {string} prefix Path of the node
+ * @param {AcpiNode} actual
+ * @param {AcpiNode} expected
+ * @returns {AcpiDifference[]}
+ */
+function diffAcpiNodes(table, prefix, actual, expected) {
+  /** @type {AcpiDifference[]} */
+  const differences = [];
+  const expectedFields = new Map(
+    expected.fields.map((field) => [field.name, String(field.value)])
+  );
+  // Follows from the other differences
+  expectedFields.delete("Checksum");
+  for (const field of actual.fields) {
+    if (field.name === "Checksum") {
+      continue;
+    }
+    const value = String(field.value);
+    const other = expectedFields.get(field.name) ?? null;
+    if (other === null || getPointerTarget(value) !== getPointerTarget(other)) {
+      differences.push({
+        table,
+        path: prefix + field.name,
+        actual: value,
+        expected: other,
+      });
+    }
+    expectedFields.delete(field.name);
+  }
+  for (const [name, value] of expectedFields) {
+    differences.push({
+      table,
+      path: prefix + name,
+      actual: null,
+      expected: value,
+    });
+  }
+
+  const actualChildren = groupAcpiNodes(actual.children);
+  const expectedChildren = groupAcpiNodes(expected.children);
+  const names = new Set([...actualChildren.keys(), ...expectedChildren.keys()]);
+  for (const name of names) {
+    const actualNodes = actualChildren.get(name) ?? [];
+    const expectedNodes = expectedChildren.get(name) ?? [];
+    if (actualNodes.length !== expectedNodes.length) {
+      differences.push({
+        table,
+        path: `${prefix}${name} count`,
+        actual: String(actualNodes.length),
+        expected: String(expectedNodes.length),
+      });
+    }
+    const count = Math.min(actualNodes.length, expectedNodes.length);
+    for (let i = 0; i < count; i++) {
+      differences.push(
+        ...diffAcpiNodes(
+          table,
+          `${prefix}${name} ${i} › `,
+          actualNodes[i],
+          expectedNodes[i]
+        )
+      );
+    }
+  }
+  return differences;
+}
+
+/**
+ * @param {AcpiNode[]} nodes
+ * @returns {Map<string, AcpiNode[]>} Nodes by name, in order
+ */
+function groupAcpiNodes(nodes) {
+  /** @type {Map<string, AcpiNode[]>} */
+  const groups = new Map();
+  for (const node of nodes) {
+    groups.set(node.name, [...(groups.get(node.name) ?? []), node]);
+  }
+  return groups;
+}
+
+/**
+ * @param {string} value
+ * @returns {string} Signature of the table that a pointer field points to, or
+ *   the value itself
+ */
+function getPointerTarget(value) {
+  return value.replace(/^0x[0-9a-f]+ \((.{4})\)$/, "$1");
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {AcpiChecksum}
+ */
+function getChecksum(bytes) {
+  if (bytes.reduce((sum, byte) => (sum + byte) & 0xff, 0) === 0) {
+    return "valid";
+  }
+  return bytes[9] === 0 ? "unset" : "invalid";
+}
+
+class TableReader {
+  /**
+   * @param {bytes} bytes
+   * @param {(address: number) => string} formatPointer
+   */
+  constructor(bytes, formatPointer) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.formatPointer = formatPointer;
+    /** @type {AcpiField[]} */
+    this.fields = [];
+    /** @type {AcpiNode[]} */
+    this.children = [];
+    /** @type {bytes|undefined} */
+    this.aml = undefined;
+  }
+
+  /**
+   * @param {string} name
+   * @param {number|string} value
+   */
+  field(name, value) {
+    this.fields.push({ name, value });
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {boolean} True if the table is long enough for a field at offset
+   */
+  has(offset) {
+    return offset <= this.bytes.length;
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {number}
+   */
+  u8(offset) {
+    return this.bytes[offset];
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {number}
+   */
+  u16(offset) {
+    return this.view.getUint16(offset, LE);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {number}
+   */
+  u32(offset) {
+    return this.view.getUint32(offset, LE);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {bigint}
+   */
+  u64(offset) {
+    return this.view.getBigUint64(offset, LE);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  hex8(offset) {
+    return hex(this.u8(offset), 2);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  hex16(offset) {
+    return hex(this.u16(offset), 4);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  hex32(offset) {
+    return hex(this.u32(offset), 8);
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  hex64(offset) {
+    return hex(this.u64(offset), 16);
+  }
+
+  /**
+   * @param {number} offset
+   * @param {number} length
+   * @returns {string}
+   */
+  string(offset, length) {
+    return latin1Decoder
+      .decode(this.bytes.subarray(offset, offset + length))
+      .replace(/[\0 ]+$/, "");
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  pointer32(offset) {
+    return this.formatPointer(this.u32(offset));
+  }
+
+  /**
+   * @param {number} offset
+   * @returns {string}
+   */
+  pointer64(offset) {
+    const address = this.u64(offset);
+    // Unused 64-bit pointers are 0 rather than the offset of the first table
+    return address > 0n && address <= BigInt(Number.MAX_SAFE_INTEGER)
+      ? this.formatPointer(Number(address))
+      : hex(address);
+  }
+
+  /**
+   * Generic Address Structure.
+   *
+   * @param {number} offset
+   * @returns {string}
+   */
+  gas(offset) {
+    const spaceId = this.u8(offset);
+    const space = ADDRESS_SPACES[spaceId] ?? `Space ${hex(spaceId, 2)}`;
+    return `${space} ${this.hex64(offset + 4)}, ${this.u8(
+      offset + 1
+    )} bits at ${this.u8(offset + 2)}, access size ${this.u8(offset + 3)}`;
+  }
+
+  /**
+   * Splits the table into structures that start with a type byte and a
+   * length byte, as in MADT and SRAT.
+   *
+   * @param {number} offset
+   * @param {{[type: number]: [string, (entry: TableReader) => void]}} decoders
+   */
+  entries(offset, decoders) {
+    while (offset + 2 <= this.bytes.length) {
+      const type = this.u8(offset);
+      const length = this.u8(offset + 1);
+      if (length < 2 || offset + length > this.bytes.length) {
+        throw new Error(
+          `Invalid length of structure ${type} at offset ${hex(
+            offset
+          )}: ${length}`
+        );
+      }
+      const entry = new TableReader(
+        this.bytes.subarray(offset, offset + length),
+        this.formatPointer
+      );
+      const [name, decode] = decoders[type] ?? [`Type ${type}`, null];
+      if (decode) {
+        decode(entry);
+      } else {
+        entry.field("Length", length);
+      }
+      this.children.push({ name, fields: entry.fields, children: [] });
+      offset += length;
+    }
+  }
+}
+
+/**
+ * @typedef {"u8"|"u16"|"hex8"|"hex16"|"hex32"|"hex64"|"pointer32"|"pointer64"|"gas"} FieldType
+ */
+
+/** @type {Record<FieldType, number>} */
+const FIELD_SIZES = {
+  u8: 1,
+  u16: 2,
+  hex8: 1,
+  hex16: 2,
+  hex32: 4,
+  hex64: 8,
+  pointer32: 4,
+  pointer64: 8,
+  gas: 12,
+};
+
+/** @type {{[id: number]: string}} */
+const ADDRESS_SPACES = {
+  0: "SystemMemory",
+  1: "SystemIO",
+  2: "PCI_Config",
+  3: "EmbeddedControl",
+  4: "SMBus",
+  0x7f: "FFixedHW",
+};
+
+/**
+ * @param {TableReader} table
+ */
+function decodeHeader(table) {
+  table.field("Signature", table.string(0, 4));
+  table.field("Length", table.u32(4));
+  table.field("Revision", table.u8(8));
+  table.field("Checksum", table.hex8(9));
+  table.field("OEM ID", table.string(10, 6));
+  table.field("OEM Table ID", table.string(16, 8));
+  table.field("OEM Revision", table.hex32(24));
+  table.field("Creator ID", table.string(28, 4));
+  table.field("Creator Revision", table.hex32(32));
+}
+
+/**
+ * @param {TableReader} table
+ */
+function decodeFacs(table) {
+  table.field("Signature", table.string(0, 4));
+  table.field("Length", table.u32(4));
+  if (!table.has(40)) {
+    return;
+  }
+  table.field("Hardware Signature", table.hex32(8));
+  table.field("Firmware Waking Vector", table.hex32(12));
+  table.field("Global Lock", table.hex32(16));
+  table.field("Flags", table.hex32(20));
+  table.field("X Firmware Waking Vector", table.hex64(24));
+  table.field("Version", table.u8(32));
+  table.field("OSPM Flags", table.hex32(36));
+}
+
+/**
+ * Fixed ACPI Description Table, up to the fields of the table's length.
+ *
+ * @param {TableReader} table
+ */
+function decodeFadt(table) {
+  /**
+   * @type {[number, string, FieldType][]}
+   */
+  const fields = [
+    [36, "Firmware Control", "pointer32"],
+    [40, "DSDT", "pointer32"],
+    [45, "Preferred PM Profile", "u8"],
+    [46, "SCI Interrupt", "u16"],
+    [48, "SMI Command Port", "hex32"],
+    [52, "ACPI Enable Value", "hex8"],
+    [53, "ACPI Disable Value", "hex8"],
+    [54, "S4BIOS Command", "hex8"],
+    [55, "P-State Control", "hex8"],
+    [56, "PM1A Event Block", "hex32"],
+    [60, "PM1B Event Block", "hex32"],
+    [64, "PM1A Control Block", "hex32"],
+    [68, "PM1B Control Block", "hex32"],
+    [72, "PM2 Control Block", "hex32"],
+    [76, "PM Timer Block", "hex32"],
+    [80, "GPE0 Block", "hex32"],
+    [84, "GPE1 Block", "hex32"],
+    [88, "PM1 Event Block Length", "u8"],
+    [89, "PM1 Control Block Length", "u8"],
+    [90, "PM2 Control Block Length", "u8"],
+    [91, "PM Timer Block Length", "u8"],
+    [92, "GPE0 Block Length", "u8"],
+    [93, "GPE1 Block Length", "u8"],
+    [94, "GPE1 Base Offset", "u8"],
+    [95, "_CST Support", "hex8"],
+    [96, "C2 Latency", "u16"],
+    [98, "C3 Latency", "u16"],
+    [100, "Cache Flush Size", "u16"],
+    [102, "Cache Flush Stride", "u16"],
+    [104, "Duty Cycle Offset", "u8"],
+    [105, "Duty Cycle Width", "u8"],
+    [106, "RTC Day Alarm Index", "hex8"],
+    [107, "RTC Month Alarm Index", "hex8"],
+    [108, "RTC Century Index", "hex8"],
+    [109, "Boot Architecture Flags", "hex16"],
+    [112, "Flags", "hex32"],
+    [116, "Reset Register", "gas"],
+    [128, "Reset Value", "hex8"],
+    [129, "ARM Boot Architecture Flags", "hex16"],
+    [131, "FADT Minor Version", "u8"],
+    [132, "X Firmware Control", "pointer64"],
+    [140, "X DSDT", "pointer64"],
+    [148, "X PM1A Event Block", "gas"],
+    [160, "X PM1B Event Block", "gas"],
+    [172, "X PM1A Control Block", "gas"],
+    [184, "X PM1B Control Block", "gas"],
+    [196, "X PM2 Control Block", "gas"],
+    [208, "X PM Timer Block", "gas"],
+    [220, "X GPE0 Block", "gas"],
+    [232, "X GPE1 Block", "gas"],
+    [244, "Sleep Control Register", "gas"],
+    [256, "Sleep Status Register", "gas"],
+    [268, "Hypervisor Vendor Identity", "hex64"],
+  ];
+  for (const [offset, name, type] of fields) {
+    if (!table.has(offset + FIELD_SIZES[type])) {
+      break;
+    }
+    table.field(name, table[type](offset));
+  }
+}
+
+/**
+ * Multiple APIC Description Table.
+ *
+ * @param {TableReader} table
+ */
+function decodeMadt(table) {
+  table.field("Local APIC Address", table.hex32(36));
+  table.field("Flags", table.hex32(40));
+  table.entries(44, {
+    0: [
+      "Processor Local APIC",
+      (entry) => {
+        entry.field("ACPI Processor UID", entry.u8(2));
+        entry.field("APIC ID", entry.u8(3));
+        entry.field("Flags", entry.hex32(4));
+      },
+    ],
+    1: [
+      "I/O APIC",
+      (entry) => {
+        entry.field("I/O APIC ID", entry.u8(2));
+        entry.field("Address", entry.hex32(4));
+        entry.field("Global System Interrupt Base", entry.u32(8));
+      },
+    ],
+    2: [
+      "Interrupt Source Override",
+      (entry) => {
+        entry.field("Bus", entry.u8(2));
+        entry.field("Source", entry.u8(3));
+        entry.field("Global System Interrupt", entry.u32(4));
+        entry.field("Flags", entry.hex16(8));
+      },
+    ],
+    3: [
+      "NMI Source",
+      (entry) => {
+        entry.field("Flags", entry.hex16(2));
+        entry.field("Global System Interrupt", entry.u32(4));
+      },
+    ],
+    4: [
+      "Local APIC NMI",
+      (entry) => {
+        entry.field("ACPI Processor UID", entry.hex8(2));
+        entry.field("Flags", entry.hex16(3));
+        entry.field("Local APIC LINT#", entry.u8(5));
+      },
+    ],
+    5: [
+      "Local APIC Address Override",
+      (entry) => entry.field("Local APIC Address", entry.hex64(4)),
+    ],
+    9: [
+      "Processor Local x2APIC",
+      (entry) => {
+        entry.field("X2APIC ID", entry.u32(4));
+        entry.field("Flags", entry.hex32(8));
+        entry.field("ACPI Processor UID", entry.u32(12));
+      },
+    ],
+    10: [
+      "Local x2APIC NMI",
+      (entry) => {
+        entry.field("Flags", entry.hex16(2));
+        entry.field("ACPI Processor UID", entry.hex32(4));
+        entry.field("Local x2APIC LINT#", entry.u8(8));
+      },
+    ],
+  });
+}
+
+/**
+ * PCI Express memory-mapped configuration space base address table.
+ *
+ * @param {TableReader} table
+ */
+function decodeMcfg(table) {
+  for (let offset = 44; offset + 16 <= table.bytes.length; offset += 16) {
+    table.children.push({
+      name: "Configuration Space",
+      fields: [
+        { name: "Base Address", value: table.hex64(offset) },
+        { name: "PCI Segment Group", value: table.u16(offset + 8) },
+        { name: "Start Bus", value: table.u8(offset + 10) },
+        { name: "End Bus", value: table.u8(offset + 11) },
+      ],
+      children: [],
+    });
+  }
+}
+
+/**
+ * @param {TableReader} table
+ * @param {4|8} size
+ */
+function decodePointers(table, size) {
+  for (
+    let offset = HEADER_SIZE, i = 0;
+    offset + size <= table.bytes.length;
+    offset += size, i++
+  ) {
+    table.field(
+      `Entry ${i}`,
+      size === 4 ? table.pointer32(offset) : table.pointer64(offset)
+    );
+  }
+}
+
+/**
+ * System Resource Affinity Table.
+ *
+ * @param {TableReader} table
+ */
+function decodeSrat(table) {
+  table.field("Table Revision", table.u32(36));
+  table.entries(48, {
+    0: [
+      "Processor Local APIC Affinity",
+      (entry) => {
+        entry.field(
+          "Proximity Domain",
+          entry.u8(2) | (entry.u8(9) << 8) | (entry.u16(10) << 16)
+        );
+        entry.field("APIC ID", entry.u8(3));
+        entry.field("Flags", entry.hex32(4));
+      },
+    ],
+    1: [
+      "Memory Affinity",
+      (entry) => {
+        entry.field("Proximity Domain", entry.u32(2));
+        entry.field("Base Address", entry.hex64(8));
+        entry.field("Length", entry.hex64(16));
+        entry.field("Flags", entry.hex32(28));
+      },
+    ],
+    2: [
+      "Processor Local x2APIC Affinity",
+      (entry) => {
+        entry.field("Proximity Domain", entry.u32(4));
+        entry.field("X2APIC ID", entry.u32(8));
+        entry.field("Flags", entry.hex32(12));
+      },
+    ],
+  });
+}
+
+/**
+ * System Locality Information Table.
+ *
+ * @param {TableReader} table
+ */
+function decodeSlit(table) {
+  const count = Number(table.u64(36));
+  table.field("Localities", count);
+  for (let i = 0; i < count; i++) {
+    const offset = 44 + i * count;
+    if (offset + count > table.bytes.length) {
+      throw new Error("SLIT is too short for its localities");
+    }
+    table.field(
+      `Locality ${i}`,
+      Array.from(table.bytes.subarray(offset, offset + count)).join(", ")
+    );
+  }
+}
+
+/**
+ * High Precision Event Timer table.
+ *
+ * @param {TableReader} table
+ */
+function decodeHpet(table) {
+  table.field("Event Timer Block ID", table.hex32(36));
+  table.field("Base Address", table.gas(40));
+  table.field("HPET Number", table.u8(52));
+  table.field("Minimum Clock Tick", table.u16(53));
+  table.field("Page Protection", table.hex8(55));
+}
+
+/**
+ * @param {TableReader} table
+ */
+function decodeDefinitionBlock(table) {
+  table.aml = table.bytes.subarray(HEADER_SIZE);
+  table.field("AML Length", table.aml.length);
+}
+
+/**
+ * @param {number|bigint} value
+ * @param {number} [digits]
+ * @returns {string}
+ */
+function hex(value, digits = 0) {
+  return `0x${value.toString(16).padStart(digits, "0")}`;
+}
+
+const latin1Decoder = new TextDecoder("latin1");
+const LE = true;
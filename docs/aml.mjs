@@ -285,6 +285,18 @@ export function makeNameString(name) {
   return concatBytes(result);
 }
 
+/**
+ * @param {string} value
+ * @returns {bytes}
+ */
+export function makeString(value) {
+  return concatBytes([
+    ops.string,
+    utf8encoder.encode(value),
+    new Uint8Array([0x00]),
+  ]);
+}
+
 /**
  * @param {string} segment
  * @returns {bytes}
@@ -388,6 +400,7 @@ export function makeInteger(i) {
 
 export const ops = {
   scope: new Uint8Array([0x10]),
+  string: new Uint8Array([0x0d]),
   buffer: new Uint8Array([0x11]),
   method: new Uint8Array([0x14]),
   device: new Uint8Array([0x5b, 0x82]),
@@ -413,6 +426,1411 @@ export const ops = {
   return: new Uint8Array([0xa4]),
 };
 
+/**
+ * Object or statement of disassembled AML.
+ *
+ * @typedef {Object} AmlTerm
+ * @property {string} text ASL of the term, e.g. "Device (S10)" or
+ *   "Store (Zero, Local0)"
+ * @property {AmlTerm[]} [children] Terms in braces after the text, such as
+ *   the objects in a scope or the elements of a package
+ * @property {string} [closing] Text after the closing brace, e.g. ")" of a
+ *   Name whose value is a package
+ * @property {string} [path] Absolute path of the scope, device, method or
+ *   name that the term defines, e.g. "\_SB.PCI0"
+ */
+
+/**
+ * Disassembles AML, such as the definition block of a DSDT or an SSDT, into
+ * ASL-like text.
+ *
+ * @param {bytes} aml
+ * @returns {string}
+ */
+export function disassembleAml(aml) {
+  return formatAmlTerms(decodeAml(aml), "").join("\n");
+}
+
+/**
+ * Difference between two definition blocks in an object that they define.
+ *
+ * @typedef {Object} AmlDifference
+ * @property {string} path Absolute path of the object, or of the scope of a
+ *   term that defines no name, such as Field
+ * @property {string|null} actual ASL of the object in the first definition
+ *   block, null if only the second one has it
+ * @property {string|null} expected ASL of the object in the second definition
+ *   block, null if only the first one has it
+ */
+
+/**
+ * Compares two definition blocks object by object: devices, methods, names and
+ * the other terms of each scope. The objects of a device that only one of the
+ * blocks has are not listed separately.
+ *
+ * @param {bytes} actual
+ * @param {bytes} expected
+ * @returns {AmlDifference[]}
+ */
+export function diffAml(actual, expected) {
+  const actualObjects = collectAmlObjects(decodeAml(actual), "\\", null);
+  const expectedObjects = collectAmlObjects(decodeAml(expected), "\\", null);
+  /** @type {AmlDifference[]} */
+  const differences = [];
+  for (const [key, object] of actualObjects) {
+    const other = expectedObjects.get(key);
+    if (!other) {
+      if (object.parent === null || expectedObjects.has(object.parent)) {
+        differences.push({
+          path: object.path,
+          actual: object.text,
+          expected: null,
+        });
+      }
+    } else if (other.text !== object.text) {
+      differences.push({
+        path: object.path,
+        actual: object.text,
+        expected: other.text,
+      });
+    }
+  }
+  for (const [key, object] of expectedObjects) {
+    if (
+      !actualObjects.has(key) &&
+      (object.parent === null || actualObjects.has(object.parent))
+    ) {
+      differences.push({
+        path: object.path,
+        actual: null,
+        expected: object.text,
+      });
+    }
+  }
+  return differences;
+}
+
+/**
+ * @typedef {Object} AmlObject
+ * @property {string} path
+ * @property {string} text ASL of the object, or only the heading of a device
+ *   or another object whose contents are collected separately
+ * @property {string|null} parent Key of the device, processor, power resource
+ *   or thermal zone that contains the object
+ */
+
+const AML_SCOPE_TERM = /^(Scope|Device|Processor|PowerResource|ThermalZone) \(/;
+
+/**
+ * Flattens decoded AML into the objects that diffAml compares, keyed by their
+ * paths. Terms that define no name are keyed by their scope and heading.
+ *
+ * @param {AmlTerm[]} terms
+ * @param {string} scope
+ * @param {string|null} parent
+ * @param {Map<string, AmlObject>} [objects]
+ * @returns {Map<string, AmlObject>}
+ */
+function collectAmlObjects(terms, scope, parent, objects = new Map()) {
+  for (const term of terms) {
+    const isScope = term.path !== undefined && AML_SCOPE_TERM.test(term.text);
+    const base = term.path ?? `${scope} ${term.text}`;
+    let key = base;
+    for (let i = 2; objects.has(key); i++) {
+      key = `${base} #${i}`;
+    }
+    const path = term.path ?? scope;
+    if (!isScope) {
+      objects.set(key, {
+        path,
+        text: formatAmlTerms([term], "").join("\n"),
+        parent,
+      });
+    } else if (term.text.startsWith("Scope")) {
+      collectAmlObjects(term.children ?? [], path, parent, objects);
+    } else {
+      objects.set(key, { path, text: term.text, parent });
+      collectAmlObjects(term.children ?? [], path, key, objects);
+    }
+  }
+  return objects;
+}
+
+/**
+ * Decodes AML into the ASL of its objects and statements. Names of methods
+ * that the AML defines or declares External are decoded as calls with their
+ * arguments. A term that cannot be decoded is replaced with a comment, and
+ * decoding continues after the package that contains it.
+ *
+ * @param {bytes} aml
+ * @returns {AmlTerm[]}
+ */
+export function decodeAml(aml) {
+  /** @type {Map<string, number>} */
+  const methods = new Map();
+  // Methods can be called before they are defined, so find them first
+  new AmlDecoder(aml, methods, true).decodeTermList(aml.length);
+  return new AmlDecoder(aml, methods, false).decodeTermList(aml.length);
+}
+
+/**
+ * @param {AmlTerm[]} terms
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function formatAmlTerms(terms, indent) {
+  return terms.flatMap((term) =>
+    term.children
+      ? [
+          indent + term.text,
+          `${indent}{`,
+          ...formatAmlTerms(term.children, indent + "    "),
+          `${indent}}${term.closing ?? ""}`,
+        ]
+      : [indent + term.text]
+  );
+}
+
+/**
+ * @param {AmlTerm} term
+ * @returns {string}
+ */
+function formatAmlTermInline(term) {
+  return term.children
+    ? `${term.text} {${term.children.map(formatAmlTermInline).join(" ")}}${
+        term.closing ?? ""
+      }`
+    : term.text;
+}
+
+/**
+ * Formats an operator and its operands. A last operand with children, such
+ * as a package, keeps them on separate lines.
+ *
+ * @param {string} name
+ * @param {AmlTerm[]} args Empty texts for omitted targets
+ * @returns {AmlTerm}
+ */
+function formatAmlCall(name, args) {
+  const trimmed = [...args];
+  while (trimmed.length > 0 && trimmed[trimmed.length - 1].text === "") {
+    trimmed.pop();
+  }
+  const last = trimmed[trimmed.length - 1];
+  if (last?.children && trimmed.slice(0, -1).every((arg) => !arg.children)) {
+    return {
+      text: `${name} (${trimmed.map((arg) => arg.text).join(", ")}`,
+      children: last.children,
+      closing: `${last.closing ?? ""})`,
+    };
+  }
+  return { text: `${name} (${trimmed.map(formatAmlTermInline).join(", ")})` };
+}
+
+/**
+ * @param {AmlTerm[]} terms
+ * @returns {AmlTerm[]}
+ */
+function separateAmlTerms(terms) {
+  return terms.map((term, i) => {
+    if (i === terms.length - 1) {
+      return term;
+    }
+    return term.children
+      ? { ...term, closing: `${term.closing ?? ""},` }
+      : { ...term, text: `${term.text},` };
+  });
+}
+
+/**
+ * Opcodes whose operands are all term arguments, names or targets:
+ * t - TermArg, s - SuperName, T - Target, which can be omitted, n - NameString,
+ * b, w, d - byte, word and dword constants.
+ *
+ * @type {{[opcode: number]: [string, string]}}
+ */
+const AML_OPERATORS = {
+  0x06: ["Alias", "nn"],
+  0x70: ["Store", "ts"],
+  0x71: ["RefOf", "s"],
+  0x72: ["Add", "ttT"],
+  0x73: ["Concatenate", "ttT"],
+  0x74: ["Subtract", "ttT"],
+  0x75: ["Increment", "s"],
+  0x76: ["Decrement", "s"],
+  0x77: ["Multiply", "ttT"],
+  0x78: ["Divide", "ttTT"],
+  0x79: ["ShiftLeft", "ttT"],
+  0x7a: ["ShiftRight", "ttT"],
+  0x7b: ["And", "ttT"],
+  0x7c: ["NAnd", "ttT"],
+  0x7d: ["Or", "ttT"],
+  0x7e: ["NOr", "ttT"],
+  0x7f: ["XOr", "ttT"],
+  0x80: ["Not", "tT"],
+  0x81: ["FindSetLeftBit", "tT"],
+  0x82: ["FindSetRightBit", "tT"],
+  0x83: ["DerefOf", "t"],
+  0x84: ["ConcatenateResTemplate", "ttT"],
+  0x85: ["Mod", "ttT"],
+  0x86: ["Notify", "st"],
+  0x87: ["SizeOf", "s"],
+  0x88: ["Index", "ttT"],
+  0x8a: ["CreateDWordField", "ttn"],
+  0x8b: ["CreateWordField", "ttn"],
+  0x8c: ["CreateByteField", "ttn"],
+  0x8d: ["CreateBitField", "ttn"],
+  0x8e: ["ObjectType", "s"],
+  0x8f: ["CreateQWordField", "ttn"],
+  0x90: ["LAnd", "tt"],
+  0x91: ["LOr", "tt"],
+  0x92: ["LNot", "t"],
+  0x93: ["LEqual", "tt"],
+  0x94: ["LGreater", "tt"],
+  0x95: ["LLess", "tt"],
+  0x96: ["ToBuffer", "tT"],
+  0x97: ["ToDecimalString", "tT"],
+  0x98: ["ToHexString", "tT"],
+  0x99: ["ToInteger", "tT"],
+  0x9c: ["ToString", "ttT"],
+  0x9d: ["CopyObject", "ts"],
+  0x9e: ["Mid", "tttT"],
+  0xa4: ["Return", "t"],
+};
+
+/**
+ * Operators that follow the 0x5b prefix.
+ *
+ * @type {{[opcode: number]: [string, string]}}
+ */
+const AML_EXT_OPERATORS = {
+  0x01: ["Mutex", "nb"],
+  0x02: ["Event", "n"],
+  0x12: ["CondRefOf", "sT"],
+  0x13: ["CreateField", "tttn"],
+  0x1f: ["LoadTable", "tttttt"],
+  0x20: ["Load", "ns"],
+  0x21: ["Stall", "t"],
+  0x22: ["Sleep", "t"],
+  0x23: ["Acquire", "sw"],
+  0x24: ["Signal", "s"],
+  0x25: ["Wait", "st"],
+  0x26: ["Reset", "s"],
+  0x27: ["Release", "s"],
+  0x28: ["FromBCD", "tT"],
+  0x29: ["ToBCD", "tT"],
+  0x2a: ["Unload", "s"],
+  0x32: ["Fatal", "bdt"],
+  0x88: ["DataRegion", "nttt"],
+};
+
+/** @type {{[opcode: number]: string}} */
+const AML_KEYWORDS = {
+  0x00: "Zero",
+  0x01: "One",
+  0xff: "Ones",
+  0x9f: "Continue",
+  0xa3: "Noop",
+  0xa5: "Break",
+  0xcc: "BreakPoint",
+};
+
+/** @type {{[opcode: number]: string}} */
+const AML_EXT_KEYWORDS = {
+  0x30: "Revision",
+  0x31: "Debug",
+  0x33: "Timer",
+};
+
+const AML_REGION_SPACES = [
+  "SystemMemory",
+  "SystemIO",
+  "PCI_Config",
+  "EmbeddedControl",
+  "SMBus",
+  "SystemCMOS",
+  "PciBarTarget",
+  "IPMI",
+  "GeneralPurposeIo",
+  "GenericSerialBus",
+  "PCC",
+  "PlatformRtMechanism",
+];
+
+const AML_ACCESS_TYPES = [
+  "AnyAcc",
+  "ByteAcc",
+  "WordAcc",
+  "DWordAcc",
+  "QWordAcc",
+  "BufferAcc",
+];
+
+const AML_UPDATE_RULES = ["Preserve", "WriteAsOnes", "WriteAsZeros"];
+
+const AML_OBJECT_TYPES = [
+  "UnknownObj",
+  "IntObj",
+  "StrObj",
+  "BuffObj",
+  "PkgObj",
+  "FieldUnitObj",
+  "DeviceObj",
+  "EventObj",
+  "MethodObj",
+  "MutexObj",
+  "OpRegionObj",
+  "PowerResObj",
+  "ProcessorObj",
+  "ThermalZoneObj",
+  "BuffFieldObj",
+  "DDBHandleObj",
+];
+
+const AML_MATCH_OPERATORS = ["MTR", "MEQ", "MLE", "MLT", "MGE", "MGT"];
+
+const AML_METHOD_OBJECT_TYPE = 8;
+
+/**
+ * @typedef {Object} AmlName
+ * @property {string} text Name as written in ASL, e.g. "\_SB.PCI0"
+ * @property {boolean} isRoot
+ * @property {number} parentCount Number of ^ prefixes
+ * @property {string[]} segments Four-character segments
+ */
+
+class AmlDecoder {
+  /**
+   * @param {bytes} bytes
+   * @param {Map<string, number>} methods Argument counts of the methods by
+   *   absolute path
+   * @param {boolean} isCollecting Only collect the methods into methods,
+   *   skipping their bodies
+   */
+  constructor(bytes, methods, isCollecting) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.methods = methods;
+    this.isCollecting = isCollecting;
+    this.position = 0;
+    /**
+     * Segments of the current scope
+     *
+     * @type {string[]}
+     */
+    this.scope = [];
+  }
+
+  /**
+   * @param {number} end
+   * @returns {AmlTerm[]}
+   */
+  decodeTermList(end) {
+    /** @type {AmlTerm[]} */
+    const terms = [];
+    while (this.position < end) {
+      const start = this.position;
+      try {
+        terms.push(this.decodeTerm(true));
+      } catch (e) {
+        terms.push({
+          text: `// Cannot decode ${end - start} bytes at ${formatAt(start)}: ${
+            e.message
+          }`,
+        });
+        this.position = end;
+      }
+    }
+    return terms;
+  }
+
+  /**
+   * @param {boolean} canInvoke False where a name is not a method call, as in
+   *   package elements
+   * @returns {AmlTerm}
+   */
+  decodeTerm(canInvoke) {
+    const start = this.position;
+    const opcode = this.peekByte();
+    if (isAmlNameChar(opcode)) {
+      return this.decodeNameOrCall(canInvoke);
+    }
+    this.position++;
+    if (opcode >= 0x60 && opcode <= 0x67) {
+      return { text: `Local${opcode - 0x60}` };
+    }
+    if (opcode >= 0x68 && opcode <= 0x6e) {
+      return { text: `Arg${opcode - 0x68}` };
+    }
+    if (opcode in AML_KEYWORDS) {
+      return { text: AML_KEYWORDS[opcode] };
+    }
+    if (opcode === 0x92 && [0x93, 0x94, 0x95].includes(this.peekByte())) {
+      const name = ["LNotEqual", "LLessEqual", "LGreaterEqual"][
+        this.readByte() - 0x93
+      ];
+      return formatAmlCall(name, this.decodeArgs("tt"));
+    }
+    if (opcode in AML_OPERATORS) {
+      const [name, args] = AML_OPERATORS[opcode];
+      return formatAmlCall(name, this.decodeArgs(args));
+    }
+    switch (opcode) {
+      case 0x0a:
+        return { text: formatAmlHex(this.readByte(), 2) };
+      case 0x0b:
+        return { text: formatAmlHex(this.readWord(), 4) };
+      case 0x0c:
+        return { text: formatAmlHex(this.readDWord(), 8) };
+      case 0x0e:
+        return { text: formatAmlHex(this.readQWord(), 16) };
+      case 0x0d:
+        return { text: this.decodeString() };
+      case 0x08: {
+        const name = this.decodeName();
+        const segment = name.segments[name.segments.length - 1];
+        // Device IDs are compressed EISA IDs, such as EisaId ("PNP0A08")
+        const value =
+          (segment === "_HID" || segment === "_CID") && this.peekByte() === 0x0c
+            ? (this.position++, { text: formatEisaId(this.readDWord()) })
+            : this.decodeTerm(false);
+        return {
+          ...formatAmlCall("Name", [{ text: name.text }, value]),
+          path: formatAmlPath(this.getPath(name)),
+        };
+      }
+      case 0x10:
+        return this.decodeScope("Scope");
+      case 0x11:
+        return this.decodeBuffer();
+      case 0x12:
+      case 0x13:
+        return this.decodePackage(opcode === 0x13);
+      case 0x14:
+        return this.decodeMethod();
+      case 0x15:
+        return this.decodeExternal();
+      case 0x89:
+        return this.decodeMatch();
+      case 0xa0:
+      case 0xa2: {
+        const end = this.readPackageEnd();
+        const predicate = this.decodeTerm(true);
+        return {
+          text: `${opcode === 0xa0 ? "If" : "While"} (${formatAmlTermInline(
+            predicate
+          )})`,
+          children: this.decodeTermList(end),
+        };
+      }
+      case 0xa1: {
+        const end = this.readPackageEnd();
+        return { text: "Else", children: this.decodeTermList(end) };
+      }
+      case 0x5b:
+        return this.decodeExtTerm(start);
+    }
+    throw new Error(
+      `Unknown opcode 0x${hexByte(opcode)} at ${formatAt(start)}`
+    );
+  }
+
+  /**
+   * @param {number} start
+   * @returns {AmlTerm}
+   */
+  decodeExtTerm(start) {
+    const opcode = this.readByte();
+    if (opcode in AML_EXT_KEYWORDS) {
+      return { text: AML_EXT_KEYWORDS[opcode] };
+    }
+    if (opcode in AML_EXT_OPERATORS) {
+      const [name, args] = AML_EXT_OPERATORS[opcode];
+      return formatAmlCall(name, this.decodeArgs(args));
+    }
+    switch (opcode) {
+      case 0x80: {
+        const name = this.decodeName().text;
+        const space = this.readByte();
+        return formatAmlCall("OperationRegion", [
+          { text: name },
+          {
+            text:
+              space === 0x7f
+                ? "FFixedHW"
+                : AML_REGION_SPACES[space] ?? formatAmlHex(space, 2),
+          },
+          this.decodeTerm(true),
+          this.decodeTerm(true),
+        ]);
+      }
+      case 0x81: {
+        const end = this.readPackageEnd();
+        const region = this.decodeName().text;
+        return this.decodeFieldList("Field", [region], end);
+      }
+      case 0x86: {
+        const end = this.readPackageEnd();
+        const index = this.decodeName().text;
+        const data = this.decodeName().text;
+        return this.decodeFieldList("IndexField", [index, data], end);
+      }
+      case 0x87: {
+        const end = this.readPackageEnd();
+        const region = this.decodeName().text;
+        const bank = this.decodeName().text;
+        const value = formatAmlTermInline(this.decodeTerm(true));
+        return this.decodeFieldList("BankField", [region, bank, value], end);
+      }
+      case 0x82:
+        return this.decodeScope("Device");
+      case 0x83:
+        return this.decodeScope("Processor", "bdb");
+      case 0x84:
+        return this.decodeScope("PowerResource", "bw");
+      case 0x85:
+        return this.decodeScope("ThermalZone");
+    }
+    throw new Error(
+      `Unknown opcode 0x5b 0x${hexByte(opcode)} at ${formatAt(start)}`
+    );
+  }
+
+  /**
+   * @param {string} spec
+   * @returns {AmlTerm[]}
+   */
+  decodeArgs(spec) {
+    return Array.from(spec, (arg) => {
+      switch (arg) {
+        case "t":
+          return this.decodeTerm(true);
+        case "s":
+          return this.decodeSuperName();
+        case "T":
+          if (this.peekByte() === 0x00) {
+            this.position++;
+            return { text: "" };
+          }
+          return this.decodeSuperName();
+        case "n":
+          return { text: this.decodeName().text };
+        case "b":
+          return { text: formatAmlHex(this.readByte(), 2) };
+        case "w":
+          return { text: formatAmlHex(this.readWord(), 4) };
+        case "d":
+          return { text: formatAmlHex(this.readDWord(), 8) };
+      }
+      throw new Error(`Unknown operand type ${arg}`);
+    });
+  }
+
+  /**
+   * @returns {AmlTerm}
+   */
+  decodeSuperName() {
+    return isAmlNameChar(this.peekByte())
+      ? { text: this.decodeName().text }
+      : this.decodeTerm(true);
+  }
+
+  /**
+   * @param {boolean} canInvoke
+   * @returns {AmlTerm}
+   */
+  decodeNameOrCall(canInvoke) {
+    const name = this.decodeName();
+    const argCount = canInvoke ? this.findMethod(name) : undefined;
+    if (argCount === undefined) {
+      return { text: name.text };
+    }
+    const args = [];
+    for (let i = 0; i < argCount; i++) {
+      args.push(this.decodeTerm(true));
+    }
+    return formatAmlCall(name.text, args);
+  }
+
+  /**
+   * Looks a method up the way the interpreter resolves names: a single
+   * segment is searched for in the current scope and then in its parents.
+   *
+   * @param {AmlName} name
+   * @returns {number|undefined} Argument count, or undefined if the name is
+   *   not a known method
+   */
+  findMethod(name) {
+    if (name.isRoot || name.parentCount > 0 || name.segments.length > 1) {
+      return this.methods.get(formatAmlPath(this.getPath(name)));
+    }
+    for (let i = this.scope.length; i >= 0; i--) {
+      const path = formatAmlPath([...this.scope.slice(0, i), ...name.segments]);
+      if (this.methods.has(path)) {
+        return this.methods.get(path);
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {AmlName} name
+   * @returns {string[]} Segments of the absolute path
+   */
+  getPath(name) {
+    if (name.isRoot) {
+      return name.segments;
+    }
+    return [
+      ...this.scope.slice(0, this.scope.length - name.parentCount),
+      ...name.segments,
+    ];
+  }
+
+  /**
+   * @param {string} keyword
+   * @param {string} [args] Operands after the name
+   * @returns {AmlTerm}
+   */
+  decodeScope(keyword, args = "") {
+    const end = this.readPackageEnd();
+    const name = this.decodeName();
+    const header = formatAmlCall(keyword, [
+      { text: name.text },
+      ...this.decodeArgs(args),
+    ]);
+    return {
+      text: header.text,
+      path: formatAmlPath(this.getPath(name)),
+      children: this.withScope(name, end),
+    };
+  }
+
+  /**
+   * @returns {AmlTerm}
+   */
+  decodeMethod() {
+    const end = this.readPackageEnd();
+    const name = this.decodeName();
+    const flags = this.readByte();
+    const argCount = flags & 0x07;
+    if (this.isCollecting) {
+      this.methods.set(formatAmlPath(this.getPath(name)), argCount);
+      this.position = end;
+      return { text: "" };
+    }
+    const syncLevel = flags >> 4;
+    return {
+      text: `Method (${name.text}, ${argCount}, ${
+        flags & 0x08 ? "Serialized" : "NotSerialized"
+      }${syncLevel ? `, ${syncLevel}` : ""})`,
+      path: formatAmlPath(this.getPath(name)),
+      children: this.withScope(name, end),
+    };
+  }
+
+  /**
+   * @param {AmlName} name
+   * @param {number} end
+   * @returns {AmlTerm[]}
+   */
+  withScope(name, end) {
+    const scope = this.scope;
+    this.scope = this.getPath(name);
+    try {
+      return this.decodeTermList(end);
+    } finally {
+      this.scope = scope;
+    }
+  }
+
+  /**
+   * @returns {AmlTerm}
+   */
+  decodeExternal() {
+    const name = this.decodeName();
+    const type = this.readByte();
+    const argCount = this.readByte();
+    if (type === AML_METHOD_OBJECT_TYPE) {
+      this.methods.set(formatAmlPath(this.getPath(name)), argCount);
+    }
+    return {
+      text: `External (${name.text}, ${
+        AML_OBJECT_TYPES[type] ?? formatAmlHex(type, 2)
+      })${type === AML_METHOD_OBJECT_TYPE ? ` // ${argCount} arguments` : ""}`,
+    };
+  }
+
+  /**
+   * @returns {AmlTerm}
+   */
+  decodeBuffer() {
+    const end = this.readPackageEnd();
+    const sizeStart = this.position;
+    const size = this.decodeTerm(true);
+    const isConstantSize = [0x00, 0x01, 0x0a, 0x0b, 0x0c].includes(
+      this.bytes[sizeStart]
+    );
+    const data = this.bytes.subarray(this.position, end);
+    this.position = end;
+    const resources = decodeResourceTemplate(data);
+    if (
+      resources &&
+      isConstantSize &&
+      Number(size.text.replace(/^Zero$/, "0").replace(/^One$/, "1")) ===
+        data.length
+    ) {
+      return {
+        text: "ResourceTemplate ()",
+        children: resources.map((text) => ({ text })),
+      };
+    }
+    /** @type {AmlTerm[]} */
+    const lines = [];
+    for (let i = 0; i < data.length; i += 8) {
+      lines.push({
+        text: Array.from(data.subarray(i, i + 8), (byte) =>
+          formatAmlHex(byte, 2)
+        ).join(", "),
+      });
+    }
+    const text = `Buffer (${formatAmlTermInline(size)})`;
+    return lines.length > 0
+      ? { text, children: separateAmlTerms(lines) }
+      : { text: `${text} {}` };
+  }
+
+  /**
+   * @param {boolean} isVariable
+   * @returns {AmlTerm}
+   */
+  decodePackage(isVariable) {
+    const end = this.readPackageEnd();
+    const size = isVariable
+      ? formatAmlTermInline(this.decodeTerm(true))
+      : formatAmlHex(this.readByte(), 2);
+    /** @type {AmlTerm[]} */
+    const elements = [];
+    while (this.position < end) {
+      elements.push(this.decodeTerm(false));
+    }
+    const text = `Package (${size})`;
+    return elements.length > 0
+      ? { text, children: separateAmlTerms(elements) }
+      : { text: `${text} {}` };
+  }
+
+  /**
+   * @returns {AmlTerm}
+   */
+  decodeMatch() {
+    const searchPackage = this.decodeTerm(true);
+    const args = [searchPackage];
+    for (let i = 0; i < 2; i++) {
+      const operator = this.readByte();
+      args.push({
+        text: AML_MATCH_OPERATORS[operator] ?? formatAmlHex(operator, 2),
+      });
+      args.push(this.decodeTerm(true));
+    }
+    args.push(this.decodeTerm(true));
+    return formatAmlCall("Match", args);
+  }
+
+  /**
+   * @param {string} keyword
+   * @param {string[]} names Region, or index and data, and bank operands
+   * @param {number} end
+   * @returns {AmlTerm}
+   */
+  decodeFieldList(keyword, names, end) {
+    const flags = this.readByte();
+    const header = [
+      ...names,
+      AML_ACCESS_TYPES[flags & 0x0f] ?? formatAmlHex(flags & 0x0f, 2),
+      flags & 0x10 ? "Lock" : "NoLock",
+      AML_UPDATE_RULES[(flags >> 5) & 0x03] ?? formatAmlHex(flags >> 5, 2),
+    ];
+    /** @type {AmlTerm[]} */
+    const fields = [];
+    let bitOffset = 0;
+    while (this.position < end) {
+      const type = this.readByte();
+      switch (type) {
+        case 0x00: {
+          const bits = this.readPackageLength();
+          bitOffset += bits;
+          fields.push({
+            text:
+              bitOffset % 8 === 0
+                ? `Offset (${formatAmlHex(bitOffset / 8, 2)})`
+                : `, ${bits}`,
+          });
+          break;
+        }
+        case 0x01: {
+          const accessType = this.readByte();
+          const attribute = this.readByte();
+          fields.push({
+            text: `AccessAs (${
+              AML_ACCESS_TYPES[accessType & 0x0f] ?? formatAmlHex(accessType, 2)
+            }, ${formatAmlHex(attribute, 2)})`,
+          });
+          break;
+        }
+        case 0x02:
+          fields.push({
+            text: `Connection (${formatAmlTermInline(
+              this.peekByte() === 0x11
+                ? (this.position++, this.decodeBuffer())
+                : { text: this.decodeName().text }
+            )})`,
+          });
+          break;
+        case 0x03: {
+          const accessType = this.readByte();
+          const attribute = this.readByte();
+          const length = this.readByte();
+          fields.push({
+            text: `AccessAs (${
+              AML_ACCESS_TYPES[accessType & 0x0f] ?? formatAmlHex(accessType, 2)
+            }, ${formatAmlHex(attribute, 2)}, ${formatAmlHex(length, 2)})`,
+          });
+          break;
+        }
+        default: {
+          this.position--;
+          const name = formatAmlSegment(this.readNameSegment());
+          const bits = this.readPackageLength();
+          bitOffset += bits;
+          fields.push({ text: `${name}, ${bits}` });
+        }
+      }
+    }
+    return {
+      text: `${keyword} (${header.join(", ")})`,
+      children: separateAmlTerms(fields),
+    };
+  }
+
+  /**
+   * @returns {AmlName}
+   */
+  decodeName() {
+    let isRoot = false;
+    let parentCount = 0;
+    if (this.peekByte() === 0x5c) {
+      this.position++;
+      isRoot = true;
+    }
+    while (this.peekByte() === 0x5e) {
+      this.position++;
+      parentCount++;
+    }
+    let segmentCount = 1;
+    switch (this.peekByte()) {
+      case 0x00:
+        this.position++;
+        segmentCount = 0;
+        break;
+      case 0x2e:
+        this.position++;
+        segmentCount = 2;
+        break;
+      case 0x2f:
+        this.position++;
+        segmentCount = this.readByte();
+        break;
+    }
+    /** @type {string[]} */
+    const segments = [];
+    for (let i = 0; i < segmentCount; i++) {
+      segments.push(this.readNameSegment());
+    }
+    const prefix = isRoot ? "\\" : "^".repeat(parentCount);
+    return {
+      text: prefix + segments.map(formatAmlSegment).join("."),
+      isRoot,
+      parentCount,
+      segments,
+    };
+  }
+
+  /**
+   * @returns {string}
+   */
+  readNameSegment() {
+    const start = this.position;
+    const segment = String.fromCharCode(
+      ...Array.from({ length: 4 }, () => this.readByte())
+    );
+    if (!/^[A-Z_][A-Z0-9_]{3}$/.test(segment)) {
+      throw new Error(`Invalid name segment at ${formatAt(start)}`);
+    }
+    return segment;
+  }
+
+  /**
+   * @returns {string}
+   */
+  decodeString() {
+    let text = "";
+    for (let byte = this.readByte(); byte !== 0; byte = this.readByte()) {
+      text +=
+        byte === 0x22 || byte === 0x5c
+          ? `\\${String.fromCharCode(byte)}`
+          : byte >= 0x20 && byte < 0x7f
+          ? String.fromCharCode(byte)
+          : `\\x${hexByte(byte)}`;
+    }
+    return `"${text}"`;
+  }
+
+  /**
+   * @returns {number} Offset where the package that starts here ends
+   */
+  readPackageEnd() {
+    const start = this.position;
+    const end = start + this.readPackageLength();
+    if (end > this.bytes.length || end < this.position) {
+      throw new Error(`Invalid package length at ${formatAt(start)}`);
+    }
+    return end;
+  }
+
+  /**
+   * @returns {number}
+   */
+  readPackageLength() {
+    const lead = this.readByte();
+    const byteCount = lead >> 6;
+    if (byteCount === 0) {
+      return lead & 0x3f;
+    }
+    let length = lead & 0x0f;
+    for (let i = 0; i < byteCount; i++) {
+      length |= this.readByte() << (4 + 8 * i);
+    }
+    return length;
+  }
+
+  /**
+   * @returns {number}
+   */
+  peekByte() {
+    if (this.position >= this.bytes.length) {
+      throw new Error("Unexpected end of AML");
+    }
+    return this.bytes[this.position];
+  }
+
+  /**
+   * @returns {number}
+   */
+  readByte() {
+    const byte = this.peekByte();
+    this.position++;
+    return byte;
+  }
+
+  /**
+   * @returns {number}
+   */
+  readWord() {
+    this.checkAvailable(2);
+    const value = this.view.getUint16(this.position, LE);
+    this.position += 2;
+    return value;
+  }
+
+  /**
+   * @returns {number}
+   */
+  readDWord() {
+    this.checkAvailable(4);
+    const value = this.view.getUint32(this.position, LE);
+    this.position += 4;
+    return value;
+  }
+
+  /**
+   * @returns {bigint}
+   */
+  readQWord() {
+    this.checkAvailable(8);
+    const value = this.view.getBigUint64(this.position, LE);
+    this.position += 8;
+    return value;
+  }
+
+  /**
+   * @param {number} length
+   */
+  checkAvailable(length) {
+    if (this.position + length > this.bytes.length) {
+      throw new Error("Unexpected end of AML");
+    }
+  }
+}
+
+/**
+ * Decodes the descriptors of a resource template, which ends with an end
+ * tag.
+ *
+ * @param {bytes} data
+ * @returns {string[]|null} ASL of each descriptor, or null if the data is not
+ *   a resource template
+ */
+function decodeResourceTemplate(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  /** @type {string[]} */
+  const lines = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const tag = data[offset];
+    let line;
+    if (tag & 0x80) {
+      if (offset + 3 > data.length) {
+        return null;
+      }
+      const length = view.getUint16(offset + 1, LE);
+      if (offset + 3 + length > data.length) {
+        return null;
+      }
+      line = decodeLargeResource(
+        tag & 0x7f,
+        data.subarray(offset + 3, offset + 3 + length)
+      );
+      offset += 3 + length;
+    } else {
+      const type = (tag >> 3) & 0x0f;
+      const length = tag & 0x07;
+      if (offset + 1 + length > data.length) {
+        return null;
+      }
+      // End tag, followed by nothing
+      if (type === 0x0f) {
+        return offset + 1 + length === data.length ? lines : null;
+      }
+      line = decodeSmallResource(
+        type,
+        data.subarray(offset + 1, offset + 1 + length)
+      );
+      offset += 1 + length;
+    }
+    if (line === null) {
+      return null;
+    }
+    lines.push(line);
+  }
+  return null;
+}
+
+/**
+ * @param {number} type
+ * @param {bytes} body
+ * @returns {string|null}
+ */
+function decodeSmallResource(type, body) {
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  switch (type) {
+    case 0x04: {
+      if (body.length < 2) {
+        return null;
+      }
+      const irqs = getSetBits(view.getUint16(0, LE)).join(",");
+      if (body.length === 2) {
+        return `IRQNoFlags () {${irqs}}`;
+      }
+      const flags = body[2];
+      return `IRQ (${flags & 0x01 ? "Edge" : "Level"}, ${
+        flags & 0x08 ? "ActiveLow" : "ActiveHigh"
+      }, ${flags & 0x10 ? "Shared" : "Exclusive"}) {${irqs}}`;
+    }
+    case 0x05: {
+      if (body.length !== 2) {
+        return null;
+      }
+      const flags = body[1];
+      return `DMA (${
+        ["Compatibility", "TypeA", "TypeB", "TypeF"][(flags >> 5) & 0x03]
+      }, ${flags & 0x04 ? "BusMaster" : "NotBusMaster"}, ${
+        ["Transfer8", "Transfer8_16", "Transfer16", "Transfer16"][flags & 0x03]
+      }) {${getSetBits(body[0]).join(",")}}`;
+    }
+    case 0x06:
+      return body.length === 0
+        ? "StartDependentFnNoPri ()"
+        : `StartDependentFn (${body[0] & 0x03}, ${(body[0] >> 2) & 0x03})`;
+    case 0x07:
+      return "EndDependentFn ()";
+    case 0x08:
+      if (body.length !== 7) {
+        return null;
+      }
+      return `IO (${body[0] & 0x01 ? "Decode16" : "Decode10"}, ${formatAmlHex(
+        view.getUint16(1, LE),
+        4
+      )}, ${formatAmlHex(view.getUint16(3, LE), 4)}, ${formatAmlHex(
+        body[5],
+        2
+      )}, ${formatAmlHex(body[6], 2)})`;
+    case 0x09:
+      if (body.length !== 3) {
+        return null;
+      }
+      return `FixedIO (${formatAmlHex(
+        view.getUint16(0, LE),
+        4
+      )}, ${formatAmlHex(body[2], 2)})`;
+    case 0x0a:
+      if (body.length !== 5) {
+        return null;
+      }
+      return `FixedDMA (${formatAmlHex(
+        view.getUint16(0, LE),
+        4
+      )}, ${formatAmlHex(view.getUint16(2, LE), 4)}, Width${8 << body[4]}bit)`;
+    case 0x0e:
+      return `VendorShort () {${formatAmlBytes(body)}}`;
+  }
+  return null;
+}
+
+/**
+ * @param {number} type
+ * @param {bytes} body
+ * @returns {string|null}
+ */
+function decodeLargeResource(type, body) {
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  const access = body[0] & 0x01 ? "ReadWrite" : "ReadOnly";
+  switch (type) {
+    case 0x01:
+      if (body.length !== 9) {
+        return null;
+      }
+      return `Memory24 (${access}, ${[1, 3, 5, 7]
+        .map((offset) => formatAmlHex(view.getUint16(offset, LE), 4))
+        .join(", ")})`;
+    case 0x02:
+      if (body.length !== 12) {
+        return null;
+      }
+      return `Register (${
+        body[0] === 0x7f
+          ? "FFixedHW"
+          : AML_REGION_SPACES[body[0]] ?? formatAmlHex(body[0], 2)
+      }, ${formatAmlHex(body[1], 2)}, ${formatAmlHex(
+        body[2],
+        2
+      )}, ${formatAmlHex(view.getBigUint64(4, LE), 16)}, ${body[3]})`;
+    case 0x04:
+      return `VendorLong () {${formatAmlBytes(body)}}`;
+    case 0x05:
+      if (body.length !== 17) {
+        return null;
+      }
+      return `Memory32 (${access}, ${[1, 5, 9, 13]
+        .map((offset) => formatAmlHex(view.getUint32(offset, LE), 8))
+        .join(", ")})`;
+    case 0x06:
+      if (body.length !== 9) {
+        return null;
+      }
+      return `Memory32Fixed (${access}, ${formatAmlHex(
+        view.getUint32(1, LE),
+        8
+      )}, ${formatAmlHex(view.getUint32(5, LE), 8)})`;
+    case 0x07:
+      return decodeAddressResource("DWord", 4, body);
+    case 0x08:
+      return decodeAddressResource("Word", 2, body);
+    case 0x0a:
+      return decodeAddressResource("QWord", 8, body);
+    case 0x09: {
+      if (body.length < 2 || body.length < 2 + body[1] * 4) {
+        return null;
+      }
+      const flags = body[0];
+      const interrupts = Array.from({ length: body[1] }, (_, i) =>
+        formatAmlHex(view.getUint32(2 + i * 4, LE), 8)
+      );
+      return `Interrupt (${
+        flags & 0x01 ? "ResourceConsumer" : "ResourceProducer"
+      }, ${flags & 0x02 ? "Edge" : "Level"}, ${
+        flags & 0x04 ? "ActiveLow" : "ActiveHigh"
+      }, ${flags & 0x08 ? "Shared" : "Exclusive"}) {${interrupts.join(", ")}}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * WordIO, DWordMemory, QWordMemory and the other address space descriptors.
+ *
+ * @param {string} prefix
+ * @param {2|4|8} size Size of each address field
+ * @param {bytes} body
+ * @returns {string|null}
+ */
+function decodeAddressResource(prefix, size, body) {
+  if (body.length < 3 + 5 * size) {
+    return null;
+  }
+  const view = new DataView(body.buffer, body.byteOffset, body.byteLength);
+  const [resourceType, flags, typeFlags] = body;
+  const addresses = [0, 1, 2, 3, 4].map((i) => {
+    const offset = 3 + i * size;
+    const value =
+      size === 2
+        ? view.getUint16(offset, LE)
+        : size === 4
+        ? view.getUint32(offset, LE)
+        : view.getBigUint64(offset, LE);
+    return formatAmlHex(value, size * 2);
+  });
+  const usage = flags & 0x01 ? "ResourceConsumer" : "ResourceProducer";
+  const decode = flags & 0x02 ? "SubDecode" : "PosDecode";
+  const minFixed = flags & 0x04 ? "MinFixed" : "MinNotFixed";
+  const maxFixed = flags & 0x08 ? "MaxFixed" : "MaxNotFixed";
+  switch (resourceType) {
+    case 0:
+      return `${prefix}Memory (${[
+        usage,
+        decode,
+        minFixed,
+        maxFixed,
+        ["NonCacheable", "Cacheable", "WriteCombining", "Prefetchable"][
+          (typeFlags >> 1) & 0x03
+        ],
+        typeFlags & 0x01 ? "ReadWrite" : "ReadOnly",
+        ...addresses,
+      ].join(", ")})`;
+    case 1:
+      return `${prefix}IO (${[
+        usage,
+        minFixed,
+        maxFixed,
+        decode,
+        ["", "NonISAOnlyRanges", "ISAOnlyRanges", "EntireRange"][
+          typeFlags & 0x03
+        ] || formatAmlHex(typeFlags & 0x03, 2),
+        ...addresses,
+      ].join(", ")})`;
+    case 2:
+      return `${prefix}BusNumber (${[
+        usage,
+        minFixed,
+        maxFixed,
+        decode,
+        ...addresses,
+      ].join(", ")})`;
+  }
+  return `${prefix}Space (${[
+    formatAmlHex(resourceType, 2),
+    usage,
+    decode,
+    minFixed,
+    maxFixed,
+    formatAmlHex(typeFlags, 2),
+    ...addresses,
+  ].join(", ")})`;
+}
+
+/**
+ * @param {number} byte
+ * @returns {boolean} True if a name string starts with the byte
+ */
+function isAmlNameChar(byte) {
+  return (
+    (byte >= 0x41 && byte <= 0x5a) ||
+    [0x5f, 0x5c, 0x5e, 0x2e, 0x2f].includes(byte)
+  );
+}
+
+/**
+ * @param {string} segment
+ * @returns {string} Segment without the trailing underscores that pad it
+ */
+function formatAmlSegment(segment) {
+  return segment.replace(/(?<=.)_+$/, "");
+}
+
+/**
+ * @param {string[]} segments
+ * @returns {string}
+ */
+function formatAmlPath(segments) {
+  return `\\${segments.map(formatAmlSegment).join(".")}`;
+}
+
+/**
+ * @param {number|bigint} value
+ * @param {number} digits
+ * @returns {string}
+ */
+function formatAmlHex(value, digits) {
+  return `0x${value.toString(16).toUpperCase().padStart(digits, "0")}`;
+}
+
+/**
+ * @param {number} id
+ * @returns {string}
+ */
+function formatEisaId(id) {
+  const value =
+    ((id & 0xff) << 24) |
+    ((id & 0xff00) << 8) |
+    ((id >> 8) & 0xff00) |
+    ((id >>> 24) & 0xff);
+  const vendor = String.fromCharCode(
+    ((value >>> 26) & 0x1f) + 0x40,
+    ((value >>> 21) & 0x1f) + 0x40,
+    ((value >>> 16) & 0x1f) + 0x40
+  );
+  const product = (value & 0xffff).toString(16).toUpperCase().padStart(4, "0");
+  return `EisaId ("${vendor}${product}")`;
+}
+
+/**
+ * @param {bytes} data
+ * @returns {string}
+ */
+function formatAmlBytes(data) {
+  return Array.from(data, (byte) => formatAmlHex(byte, 2)).join(", ");
+}
+
+/**
+ * @param {number} mask
+ * @returns {number[]}
+ */
+function getSetBits(mask) {
+  const bits = [];
+  for (let i = 0; mask >> i; i++) {
+    if ((mask >> i) & 1) {
+      bits.push(i);
+    }
+  }
+  return bits;
+}
+
+/**
+ * @param {number} byte
+ * @returns {string}
+ */
+function hexByte(byte) {
+  return byte.toString(16).padStart(2, "0");
+}
+
+/**
+ * @param {number} offset
+ * @returns {string}
+ */
+function formatAt(offset) {
+  return `offset 0x${offset.toString(16)}`;
+}
+
 const utf8encoder = new TextEncoder();
 const LE = true;
 
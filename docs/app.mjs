@@ -14,17 +14,39 @@
 
 // @ts-check
 
-import { getAcpi } from "./acpi.mjs";
 import {
-  parseFirmware,
-  reproduceMrtd,
+  DEFAULT_QEMU_MACHINE,
+  getAcpi,
+  getQemuMachine,
+  getQemuMachines,
+  parsePciDevice,
+  validateNumaNodes,
+  validatePciDevices,
+} from "./acpi.mjs";
+import { decodeAcpiTables, diffAcpiTables } from "./acpitables.mjs";
+import { disassembleAml } from "./aml.mjs";
+import {
+  DEFAULT_VMM,
   bytesToHex,
-  reproduceRtmr,
+  getFirmwareProfiles,
+  getMemoryLayout,
+  getVmms,
+  replayRtmr,
 } from "./reproduce.mjs";
+import { parseQuote } from "./quote.mjs";
+import {
+  diffEvents,
+  parseCcelTable,
+  parseEventLog,
+  serializeEventLog,
+} from "./eventlog.mjs";
 
 /**
  * @typedef {Object} FirmwareModel
  * @property {File|undefined} file
+ * @property {string} profile Firmware profile ID, or "auto" to detect it
+ * @property {import("./worker.mjs").FirmwareInfo|null} value
+ * @property {string} error
  */
 
 const firmwareView = {
@@ -34,43 +56,258 @@ const firmwareView = {
   fileBlock: /** @type {HTMLElement} */ (
     document.getElementById("firmware-file-field")
   ),
+  profile: /** @type {HTMLSelectElement} */ (
+    document.getElementById("firmware-profile")
+  ),
+  build: /** @type {HTMLElement} */ (document.getElementById("firmware-build")),
+  warnings: /** @type {HTMLElement} */ (
+    document.getElementById("firmware-warnings")
+  ),
+  keys: /** @type {HTMLElement} */ (
+    document.getElementById("secure-boot-keys")
+  ),
+  error: /** @type {HTMLElement} */ (document.getElementById("firmware-error")),
+  /**
+   * Firmware whose keys are shown, so that progress updates do not rebuild
+   * the list and collapse expanded entries.
+   *
+   * @type {import("./worker.mjs").FirmwareInfo|null}
+   */
+  shown: null,
+  /**
+   * @param {FirmwareModel} model
+   */
+  render: function (model) {
+    if (model.value !== this.shown) {
+      this.shown = model.value;
+      this.build.innerHTML = model.value ? renderBuild(model.value) : "";
+      this.warnings.innerHTML = (model.value?.warnings ?? [])
+        .map((warning) => `<p>${escapeHtml(warning)}</p>`)
+        .join("");
+      const keys = model.value?.secureBootKeys ?? new Map();
+      this.keys.innerHTML =
+        keys.size > 0
+          ? "<h3>Secure Boot keys</h3>"
+          : "<p>No Secure Boot keys enrolled.</p>";
+      for (const [name, lists] of keys) {
+        this.keys.innerHTML += renderSignatureLists(name, lists);
+      }
+    }
+    this.error.innerText = model.error;
+    toggle(this.build, Boolean(model.value) && !model.error);
+    toggle(
+      this.warnings,
+      Boolean(model.value?.warnings.length) && !model.error
+    );
+    toggle(this.keys, Boolean(model.value) && !model.error);
+    toggle(this.error, Boolean(model.error));
+  },
 };
 
+for (const profile of getFirmwareProfiles()) {
+  firmwareView.profile.add(new Option(profile.name, profile.id));
+}
+
 /** @type {FirmwareModel} */
 const firmwareModel = {
   file: firmwareView.file.files?.[0],
+  profile: firmwareView.profile.value,
+  value: null,
+  error: "",
 };
 
+/**
+ * @param {import("./worker.mjs").FirmwareInfo} firmware
+ * @returns {string}
+ */
+function renderBuild(firmware) {
+  const build = firmware.build;
+  return `
+<dl class="report-fields">
+  <dt>Version</dt>
+  <dd>${escapeHtml(build.versions.join(", ") || "Not recognized")}</dd>
+  <dt>Event sequence</dt>
+  <dd>${escapeHtml(firmware.profileName)}</dd>
+  <dt>TDX modules</dt>
+  <dd>${escapeHtml(build.tdxModules.join(", ") || "None found")}</dd>
+</dl>
+<details class="field">
+  <summary>${build.modules.length} ${
+    build.modules.length === 1 ? "module" : "modules"
+  }</summary>
+  <p>${build.modules.map(escapeHtml).join(", ")}</p>
+</details>`;
+}
+
+/**
+ * @param {string} name
+ * @param {import("./reproduce.mjs").EfiSignatureList[]} lists
+ * @returns {string}
+ */
+function renderSignatureLists(name, lists) {
+  const count = lists.reduce((sum, list) => sum + list.signatures.length, 0);
+  let html = `
+<details class="field">
+  <summary><code>${name}</code>, ${count} ${
+    count === 1 ? "entry" : "entries"
+  }</summary>`;
+  for (const list of lists) {
+    if (list.error) {
+      html += `
+  <dl class="report-fields signature-data">
+    <dt>Error</dt>
+    <dd class="error">${escapeHtml(list.error)}</dd>
+    <dt>Data</dt>
+    <dd class="hash">${bytesToHex(list.raw)}</dd>
+  </dl>`;
+    }
+    for (const signature of list.signatures) {
+      const cert = signature.certificate;
+      html += cert
+        ? `
+  <dl class="report-fields signature-data">
+    <dt>Subject</dt>
+    <dd>${escapeHtml(cert.subjectName)}</dd>
+    <dt>Issuer</dt>
+    <dd>${escapeHtml(cert.issuerName)}</dd>
+    <dt>Valid</dt>
+    <dd>${formatDate(cert.notBefore)} – ${formatDate(cert.notAfter)}</dd>
+    <dt>SHA-256 fingerprint</dt>
+    <dd class="hash">${bytesToHex(cert.fingerprint)}</dd>
+    <dt>Owner</dt>
+    <dd class="hash">${signature.owner}</dd>
+  </dl>`
+        : `
+  <dl class="report-fields signature-data">
+    <dt><code>${list.signatureTypeName}</code></dt>
+    <dd class="hash">${bytesToHex(signature.data)}</dd>${
+            signature.error
+              ? `
+    <dt>Error</dt>
+    <dd class="error">${escapeHtml(signature.error)}</dd>`
+              : ""
+          }
+    <dt>Owner</dt>
+    <dd class="hash">${signature.owner}</dd>
+  </dl>`;
+    }
+  }
+  return html + "\n</details>";
+}
+
+/**
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
 /**
  * @typedef {Object} HardwareModel
  * @property {number|null} cpuCount
+ * @property {number|null} maxCpuCount Null if CPUs cannot be hot-plugged
  * @property {number|null} ramMb
  * @property {number|null} ramBytes
+ * @property {number|null} maxRamMb Null if memory cannot be hot-plugged
+ * @property {number|null} memorySlots
+ * @property {number|null} maxRamBelow4gMb Null if not capped
+ * @property {number|null} pciHole64SizeMb Null for the QEMU default
+ * @property {import("./reproduce.mjs").TdMemoryLayout} memoryLayout
+ * @property {string} memoryLayoutError
  * @property {number|null} diskCount
+ * @property {string} vmm
  * @property {string} configuration
+ * @property {string} machine QEMU machine ID of the default configuration
+ * @property {string} pciDevices Comma-separated type:slot pairs
+ * @property {import("./acpi.mjs").PciDevice[]} pciDeviceList
+ * @property {string} pciDevicesError
+ * @property {string} numa Comma-separated cpus:MiB pairs, one for each node
+ * @property {string} numaDistances Semicolon-separated rows of
+ *   comma-separated distances
+ * @property {import("./acpi.mjs").NumaNode[]} numaNodeList
+ * @property {string} numaError
  * @property {File|undefined} acpiTables
  * @property {boolean} isCustom
  * @property {boolean} isFilled
  * @property {boolean} isValid
  * @property {() => Promise<Uint8Array<ArrayBuffer>|null>} getAcpiTables
+ * @property {(machine: string) => Uint8Array<ArrayBuffer>|null}
+ *   getDefaultAcpiTables Tables of the default configuration for a QEMU
+ *   machine, null if it is not filled
  */
 
 const hardwareView = {
   cpu: /** @type {HTMLInputElement} */ (document.getElementById("cpu")),
+  cpuMax: /** @type {HTMLElement} */ (document.getElementById("cpu-max")),
   cpuBlock: /** @type {HTMLInputElement} */ (
     document.getElementById("cpu-field")
   ),
+  maxCpu: /** @type {HTMLInputElement} */ (document.getElementById("max-cpu")),
+  maxCpuBlock: /** @type {HTMLElement} */ (
+    document.getElementById("max-cpu-field")
+  ),
   ram: /** @type {HTMLInputElement} */ (document.getElementById("ram")),
   ramBlock: /** @type {HTMLInputElement} */ (
     document.getElementById("ram-field")
   ),
+  maxRam: /** @type {HTMLInputElement} */ (document.getElementById("max-ram")),
+  memorySlots: /** @type {HTMLInputElement} */ (
+    document.getElementById("memory-slots")
+  ),
+  memoryHotplugBlock: /** @type {HTMLElement} */ (
+    document.getElementById("memory-hotplug-field")
+  ),
+  maxRamBelow4g: /** @type {HTMLInputElement} */ (
+    document.getElementById("max-ram-below-4g")
+  ),
+  pciHole64Size: /** @type {HTMLInputElement} */ (
+    document.getElementById("pci-hole64-size")
+  ),
+  pciHole64SizeBlock: /** @type {HTMLElement} */ (
+    document.getElementById("pci-hole64-size-field")
+  ),
+  memoryLayout: /** @type {HTMLElement} */ (
+    document.getElementById("memory-layout")
+  ),
+  memoryLayoutBlock: /** @type {HTMLElement} */ (
+    document.getElementById("memory-layout-field")
+  ),
+  memoryLayoutError: /** @type {HTMLElement} */ (
+    document.getElementById("memory-layout-error")
+  ),
   disks: /** @type {HTMLInputElement} */ (document.getElementById("disks")),
   disksBlock: /** @type {HTMLInputElement} */ (
     document.getElementById("disks-field")
   ),
+  pciDevices: /** @type {HTMLInputElement} */ (
+    document.getElementById("pci-devices")
+  ),
+  pciDevicesBlock: /** @type {HTMLElement} */ (
+    document.getElementById("pci-devices-field")
+  ),
+  pciDevicesError: /** @type {HTMLElement} */ (
+    document.getElementById("pci-devices-error")
+  ),
+  numa: /** @type {HTMLInputElement} */ (document.getElementById("numa")),
+  numaDistances: /** @type {HTMLInputElement} */ (
+    document.getElementById("numa-distances")
+  ),
+  numaBlock: /** @type {HTMLElement} */ (document.getElementById("numa-field")),
+  numaError: /** @type {HTMLElement} */ (document.getElementById("numa-error")),
+  vmm: /** @type {HTMLSelectElement} */ (document.getElementById("vmm")),
   configuration: /** @type {HTMLSelectElement} */ (
     document.getElementById("hardware-configuration")
   ),
+  configurationBlock: /** @type {HTMLElement} */ (
+    document.getElementById("hardware-configuration-field")
+  ),
+  machine: /** @type {HTMLSelectElement} */ (
+    document.getElementById("qemu-machine")
+  ),
+  machineBlock: /** @type {HTMLElement} */ (
+    document.getElementById("qemu-machine-field")
+  ),
   get selectedConfigurationOption() {
     return hardwareView.configuration.options[
       hardwareView.configuration.selectedIndex
@@ -80,6 +317,12 @@ const hardwareView = {
   acpiTablesBlock: /** @type {HTMLElement} */ (
     document.getElementById("acpi-field")
   ),
+  acpiTablesFwCfgHint: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-hint-fw-cfg")
+  ),
+  acpiTablesHobHint: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-hint-hob")
+  ),
   downloadHardwareFiles: /** @type {HTMLElement} */ (
     document.getElementById("download-hardware-files")
   ),
@@ -89,65 +332,247 @@ const hardwareView = {
   downloadLibvirtXml: /** @type {HTMLAnchorElement} */ (
     document.getElementById("download-libvirt-xml")
   ),
+  /**
+   * Configuration that the downloads are generated for, so that the tables
+   * and the XML are generated once rather than on every render.
+   *
+   * @type {string|null}
+   */
+  downloaded: null,
   /**
    * @param {HardwareModel} model
    */
   render: function (model) {
-    if (!model.isCustom && model.isFilled && model.isValid) {
-      const acpiTables = getAcpi(
-        /** @type {number} */ (model.cpuCount),
-        /** @type {number} */ (model.ramBytes),
-        /** @type {number} */ (model.diskCount)
-      );
-      const acpiBlob = new Blob([acpiTables], {
-        type: "application/octet-stream",
-      });
-      this.downloadAcpiTables.href = URL.createObjectURL(acpiBlob);
-      const libvirtXmlBlob = new Blob(
-        [
-          getLibvirtXml(
-            /** @type {number} */ (model.cpuCount),
-            /** @type {number} */ (model.ramMb),
-            /** @type {number} */ (model.diskCount)
-          ),
-        ],
-        {
-          type: "application/xml",
-        }
-      );
-      this.downloadLibvirtXml.href = URL.createObjectURL(libvirtXmlBlob);
-    } else {
+    const downloaded =
+      !model.isCustom && model.isFilled && model.isValid
+        ? JSON.stringify([
+            model.machine,
+            model.cpuCount,
+            model.maxCpuCount,
+            model.ramMb,
+            model.maxRamMb,
+            model.memorySlots,
+            model.memoryLayout,
+            model.maxRamBelow4gMb,
+            model.pciHole64SizeMb,
+            model.diskCount,
+            model.pciDeviceList,
+            model.numaNodeList,
+          ])
+        : null;
+    if (downloaded !== this.downloaded) {
+      this.downloaded = downloaded;
       URL.revokeObjectURL(this.downloadAcpiTables.href);
       URL.revokeObjectURL(this.downloadLibvirtXml.href);
+      if (downloaded !== null) {
+        const acpiTables = getAcpi(
+          /** @type {number} */ (model.cpuCount),
+          /** @type {number} */ (model.ramBytes),
+          /** @type {number} */ (model.diskCount),
+          {
+            machine: model.machine,
+            maxCpuCount: model.maxCpuCount ?? undefined,
+            maxMemoryBytes:
+              model.maxRamMb === null
+                ? undefined
+                : model.maxRamMb * 1024 * 1024,
+            memorySlots: model.memorySlots ?? undefined,
+            memoryLayout: model.memoryLayout,
+            pciHole64Size:
+              model.pciHole64SizeMb === null
+                ? undefined
+                : model.pciHole64SizeMb * 1024 * 1024,
+            devices: model.pciDeviceList,
+            numa: model.numaNodeList,
+          }
+        );
+        const acpiBlob = new Blob([acpiTables], {
+          type: "application/octet-stream",
+        });
+        this.downloadAcpiTables.href = URL.createObjectURL(acpiBlob);
+        const libvirtXmlBlob = new Blob(
+          [
+            getLibvirtXml(
+              /** @type {number} */ (model.cpuCount),
+              /** @type {number} */ (model.maxCpuCount ?? model.cpuCount),
+              /** @type {number} */ (model.ramMb),
+              model.maxRamMb ?? /** @type {number} */ (model.ramMb),
+              model.memorySlots ?? 0,
+              /** @type {number} */ (model.diskCount),
+              model.pciDeviceList,
+              model.numaNodeList,
+              getQemuMachine(model.machine).machineType,
+              model.maxRamBelow4gMb,
+              model.pciHole64SizeMb
+            ),
+          ],
+          {
+            type: "application/xml",
+          }
+        );
+        this.downloadLibvirtXml.href = URL.createObjectURL(libvirtXmlBlob);
+      } else {
+        this.downloadAcpiTables.href = "";
+        this.downloadLibvirtXml.href = "";
+      }
     }
+    toggle(this.configurationBlock, model.vmm === DEFAULT_VMM);
     toggle(this.acpiTablesBlock, model.isCustom);
+    toggle(this.acpiTablesFwCfgHint, model.vmm === DEFAULT_VMM);
+    toggle(this.acpiTablesHobHint, model.vmm !== DEFAULT_VMM);
     toggle(
       this.downloadHardwareFiles,
       !model.isCustom && model.isFilled && model.isValid
     );
+    const maxCpus = getQemuMachine(model.machine).maxCpus;
+    this.cpu.max = String(maxCpus);
+    this.cpuMax.innerText = String(maxCpus);
+    this.maxCpu.max = String(maxCpus);
+    toggle(this.machineBlock, !model.isCustom);
     toggle(this.cpuBlock, !model.isCustom);
+    toggle(this.maxCpuBlock, !model.isCustom);
+    toggle(this.memoryHotplugBlock, !model.isCustom);
+    this.memoryLayout.innerHTML =
+      model.ramMb !== null && !model.memoryLayoutError
+        ? renderMemoryLayout(model.memoryLayout)
+        : "";
+    this.memoryLayoutError.innerText = model.memoryLayoutError;
+    toggle(this.memoryLayoutBlock, model.vmm === DEFAULT_VMM);
+    toggle(this.pciHole64SizeBlock, !model.isCustom);
+    toggle(this.memoryLayoutError, Boolean(model.memoryLayoutError));
     toggle(this.disksBlock, !model.isCustom);
+    this.pciDevicesError.innerText = model.pciDevicesError;
+    toggle(this.pciDevicesBlock, !model.isCustom);
+    toggle(this.pciDevicesError, Boolean(model.pciDevicesError));
+    this.numaError.innerText = model.numaError;
+    toggle(this.numaBlock, !model.isCustom);
+    toggle(this.numaError, Boolean(model.numaError));
   },
 };
 
+for (const machine of getQemuMachines()) {
+  hardwareView.machine.add(
+    new Option(machine.name, machine.id, machine.id === DEFAULT_QEMU_MACHINE)
+  );
+}
+
+for (const vmm of getVmms()) {
+  hardwareView.vmm.add(new Option(vmm.name, vmm.id, vmm.id === DEFAULT_VMM));
+}
+
 /** @type {HardwareModel} */
 const hardwareModel = {
   cpuCount: isNaN(parseInt(hardwareView.cpu.value))
     ? null
     : parseInt(hardwareView.cpu.value),
+  maxCpuCount: isNaN(parseInt(hardwareView.maxCpu.value))
+    ? null
+    : parseInt(hardwareView.maxCpu.value),
   ramMb: isNaN(parseInt(hardwareView.ram.value))
     ? null
     : parseInt(hardwareView.ram.value),
   get ramBytes() {
     return this.ramMb === null ? null : this.ramMb * 1024 * 1024;
   },
+  maxRamMb: isNaN(parseInt(hardwareView.maxRam.value))
+    ? null
+    : parseInt(hardwareView.maxRam.value),
+  memorySlots: isNaN(parseInt(hardwareView.memorySlots.value))
+    ? null
+    : parseInt(hardwareView.memorySlots.value),
+  maxRamBelow4gMb: isNaN(parseInt(hardwareView.maxRamBelow4g.value))
+    ? null
+    : parseInt(hardwareView.maxRamBelow4g.value),
+  pciHole64SizeMb: isNaN(parseInt(hardwareView.pciHole64Size.value))
+    ? null
+    : parseInt(hardwareView.pciHole64Size.value),
+  get memoryLayout() {
+    return getMemoryLayout({
+      totalMemoryBytes: this.ramBytes ?? 0,
+      vmm: this.vmm,
+      maxRamBelow4g:
+        this.maxRamBelow4gMb === null
+          ? undefined
+          : this.maxRamBelow4gMb * 1024 * 1024,
+    });
+  },
+  get memoryLayoutError() {
+    try {
+      this.memoryLayout;
+      return "";
+    } catch (e) {
+      return e.message;
+    }
+  },
   diskCount: isNaN(parseInt(hardwareView.disks.value))
     ? null
     : parseInt(hardwareView.disks.value),
+  vmm: hardwareView.vmm.value,
   configuration: hardwareView.configuration.value,
+  machine: hardwareView.machine.value,
+  pciDevices: hardwareView.pciDevices.value,
+  get pciDeviceList() {
+    return this.pciDevices
+      .split(",")
+      .filter((spec) => spec.trim())
+      .map(parsePciDevice);
+  },
+  get pciDevicesError() {
+    try {
+      validatePciDevices(this.pciDeviceList, this.diskCount ?? 0);
+      return "";
+    } catch (e) {
+      return e.message;
+    }
+  },
+  numa: hardwareView.numa.value,
+  numaDistances: hardwareView.numaDistances.value,
+  get numaNodeList() {
+    const distances = this.numaDistances
+      .split(";")
+      .filter((row) => row.trim())
+      .map((row) => row.split(",").map((distance) => Number(distance)));
+    const nodes = this.numa
+      .split(",")
+      .filter((spec) => spec.trim())
+      .map((spec) => {
+        const [cpuCount, memoryMb, ...rest] = spec.trim().split(":");
+        if (
+          rest.length > 0 ||
+          !/^\d+$/.test(cpuCount) ||
+          !/^\d+$/.test(memoryMb ?? "")
+        ) {
+          throw new Error(`Invalid NUMA node: ${spec}. Expected cpus:MiB`);
+        }
+        return {
+          cpuCount: Number(cpuCount),
+          memoryBytes: Number(memoryMb) * 1024 * 1024,
+        };
+      });
+    if (distances.length === 0) {
+      return nodes;
+    }
+    if (distances.length !== nodes.length) {
+      throw new Error("Expected a row of NUMA distances for each node");
+    }
+    return nodes.map((node, i) => ({ ...node, distances: distances[i] }));
+  },
+  get numaError() {
+    try {
+      validateNumaNodes(
+        this.numaNodeList,
+        this.maxCpuCount ?? this.cpuCount ?? 0,
+        this.ramBytes ?? 0
+      );
+      return "";
+    } catch (e) {
+      return e.message;
+    }
+  },
   acpiTables: hardwareView.acpiTables.files?.[0],
+  // The default configuration is generated for QEMU
   get isCustom() {
-    return this.configuration === "custom";
+    return this.configuration === "custom" || this.vmm !== DEFAULT_VMM;
   },
   get isFilled() {
     return (
@@ -160,11 +585,26 @@ const hardwareModel = {
   get isValid() {
     return (
       (this.ramMb === null || this.ramMb >= 256) &&
+      !this.memoryLayoutError &&
       (this.isCustom ||
         ((this.cpuCount === null ||
-          (this.cpuCount > 0 && this.cpuCount <= 256)) &&
+          (this.cpuCount > 0 &&
+            this.cpuCount <= getQemuMachine(this.machine).maxCpus)) &&
+          (this.maxCpuCount === null ||
+            ((this.cpuCount === null || this.cpuCount <= this.maxCpuCount) &&
+              this.maxCpuCount <= getQemuMachine(this.machine).maxCpus)) &&
           (this.diskCount === null ||
-            (this.diskCount >= 0 && this.diskCount <= 8))))
+            (this.diskCount >= 0 && this.diskCount <= 8)) &&
+          (this.maxRamMb === null ||
+            this.ramMb === null ||
+            this.maxRamMb >= this.ramMb) &&
+          (this.memorySlots === null ||
+            (this.memorySlots >= 0 && this.memorySlots <= 256)) &&
+          ((this.maxRamMb ?? this.ramMb) !== this.ramMb) ===
+            Boolean(this.memorySlots) &&
+          (this.pciHole64SizeMb === null || this.pciHole64SizeMb >= 0) &&
+          !this.pciDevicesError &&
+          !this.numaError))
     );
   },
   getAcpiTables: async function () {
@@ -178,21 +618,268 @@ const hardwareModel = {
       return null;
     }
 
-    return getAcpi(
-      /** @type {number} */ (this.cpuCount),
-      /** @type {number} */ (this.ramBytes),
-      /** @type {number} */ (this.diskCount)
-    );
+    return this.getDefaultAcpiTables(this.machine);
+  },
+  getDefaultAcpiTables: function (machine) {
+    if (
+      this.cpuCount === null ||
+      this.ramBytes === null ||
+      this.diskCount === null
+    ) {
+      return null;
+    }
+
+    return getAcpi(this.cpuCount, this.ramBytes, this.diskCount, {
+      machine,
+      maxCpuCount: this.maxCpuCount ?? undefined,
+      maxMemoryBytes:
+        this.maxRamMb === null ? undefined : this.maxRamMb * 1024 * 1024,
+      memorySlots: this.memorySlots ?? undefined,
+      memoryLayout: this.memoryLayout,
+      pciHole64Size:
+        this.pciHole64SizeMb === null
+          ? undefined
+          : this.pciHole64SizeMb * 1024 * 1024,
+      devices: this.pciDeviceList,
+      numa: this.numaNodeList,
+    });
+  },
+};
+
+/**
+ * @typedef {Object} AcpiTablesModel
+ * @property {import("./acpitables.mjs").DecodedAcpiTable[]|null} value
+ *   Tables of the custom or default hardware configuration
+ * @property {string} error
+ */
+
+/** @type {AcpiTablesModel} */
+const acpiTablesModel = {
+  value: null,
+  error: "",
+};
+
+const acpiTablesView = {
+  block: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-tables-field")
+  ),
+  tables: /** @type {HTMLElement} */ (document.getElementById("acpi-tables")),
+  error: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-tables-error")
+  ),
+  /**
+   * Tables that are shown, so that re-rendering does not collapse expanded
+   * entries.
+   *
+   * @type {import("./acpitables.mjs").DecodedAcpiTable[]|null}
+   */
+  shown: null,
+  /**
+   * @param {AcpiTablesModel} model
+   */
+  render: function (model) {
+    if (model.value !== this.shown) {
+      this.shown = model.value;
+      this.tables.innerHTML = (model.value ?? []).map(renderAcpiTable).join("");
+    }
+    this.error.innerText = model.error;
+    toggle(this.block, Boolean(model.value) && !model.error);
+    toggle(this.error, Boolean(model.error));
   },
 };
 
+/**
+ * @param {import("./acpitables.mjs").DecodedAcpiTable} table
+ * @returns {string}
+ */
+function renderAcpiTable(table) {
+  const checksum = {
+    valid: "",
+    invalid: ', <span class="error">invalid checksum</span>',
+    unset: ", checksum set by the table loader",
+    none: "",
+  }[table.checksum];
+  const aml = table.aml
+    ? `
+  <details class="acpi-node">
+    <summary>AML</summary>
+    <pre class="aml">${escapeHtml(disassembleAml(table.aml))}</pre>
+  </details>`
+    : "";
+  return `
+<details class="acpi-node">
+  <summary><code>${escapeHtml(
+    table.signature
+  )}</code> at 0x${table.offset.toString(16)}, ${
+    table.length
+  } bytes${checksum}</summary>
+  ${renderAcpiNodeContents(table)}${aml}
+</details>`;
+}
+
+/**
+ * @param {import("./acpitables.mjs").AcpiNode} node
+ * @returns {string}
+ */
+function renderAcpiNodeContents(node) {
+  const fields = node.fields
+    .map(
+      (field) => `
+    <dt>${escapeHtml(field.name)}</dt>
+    <dd>${escapeHtml(String(field.value))}</dd>`
+    )
+    .join("");
+  const children = node.children
+    .map(
+      (child) => `
+<details class="acpi-node">
+  <summary>${escapeHtml(child.name)}</summary>
+  ${renderAcpiNodeContents(child)}
+</details>`
+    )
+    .join("");
+  return `<dl class="report-fields">${fields}</dl>${children}`;
+}
+
+/**
+ * @typedef {Object} AcpiDiff
+ * @property {string} machine Name of the QEMU machine of the default tables
+ * @property {import("./acpitables.mjs").AcpiDifference[]} differences
+ */
+
+/**
+ * @typedef {Object} AcpiDiffModel
+ * @property {AcpiDiff|null} value Differences of the custom tables from the
+ *   closest default ones
+ * @property {string} error
+ */
+
+/** @type {AcpiDiffModel} */
+const acpiDiffModel = {
+  value: null,
+  error: "",
+};
+
+const acpiDiffView = {
+  block: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-diff-field")
+  ),
+  machine: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-diff-machine")
+  ),
+  differences: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-diff")
+  ),
+  error: /** @type {HTMLElement} */ (
+    document.getElementById("acpi-diff-error")
+  ),
+  /**
+   * Differences that are shown, so that re-rendering does not collapse
+   * expanded entries.
+   *
+   * @type {AcpiDiff|null}
+   */
+  shown: null,
+  /**
+   * @param {AcpiDiffModel} model
+   */
+  render: function (model) {
+    if (model.value !== this.shown) {
+      this.shown = model.value;
+      this.machine.innerText = model.value?.machine ?? "";
+      this.differences.innerHTML =
+        model.value && model.value.differences.length === 0
+          ? "<p>No differences</p>"
+          : (model.value?.differences ?? []).map(renderAcpiDifference).join("");
+    }
+    this.error.innerText = model.error;
+    toggle(this.block, Boolean(model.value) && !model.error);
+    toggle(this.error, Boolean(model.error));
+  },
+};
+
+/**
+ * @param {import("./acpitables.mjs").AcpiDifference} difference
+ * @returns {string}
+ */
+function renderAcpiDifference(difference) {
+  const tag =
+    difference.expected === null
+      ? "extra"
+      : difference.actual === null
+      ? "missing"
+      : "differs";
+  return `
+<div class="acpi-difference">
+  <h4>
+    <code>${escapeHtml(difference.table)}</code>
+    ${escapeHtml(difference.path)}
+    <span class="log-tag log-tag__mismatch">${tag}</span>
+  </h4>
+  ${renderAcpiDifferenceValue("Uploaded", difference.actual)}
+  ${renderAcpiDifferenceValue("Default", difference.expected)}
+</div>`;
+}
+
+/**
+ * @param {string} label
+ * @param {string|null} value
+ * @returns {string}
+ */
+function renderAcpiDifferenceValue(label, value) {
+  if (value === null) {
+    return "";
+  }
+  return value.includes("\n")
+    ? `<p>${label}:</p><pre class="aml">${escapeHtml(value)}</pre>`
+    : `<p>${label}: <code>${escapeHtml(value)}</code></p>`;
+}
+
+/**
+ * Compares the tables with the ones that each QEMU machine generates for the
+ * hardware of the default configuration, and picks the machine with the
+ * fewest differences.
+ *
+ * @param {import("./acpitables.mjs").DecodedAcpiTable[]} tables
+ * @returns {AcpiDiff|null} Null if the default configuration is not filled
+ */
+function diffWithClosestDefault(tables) {
+  /** @type {AcpiDiff|null} */
+  let closest = null;
+  let error = null;
+  for (const machine of getQemuMachines()) {
+    let defaultTables;
+    try {
+      defaultTables = hardwareModel.getDefaultAcpiTables(machine.id);
+    } catch (e) {
+      error = e;
+      continue;
+    }
+    if (!defaultTables) {
+      return null;
+    }
+    const differences = diffAcpiTables(tables, decodeAcpiTables(defaultTables));
+    if (!closest || differences.length < closest.differences.length) {
+      closest = { machine: machine.name, differences };
+    }
+  }
+  if (!closest && error) {
+    throw error;
+  }
+  return closest;
+}
+
 /**
  * @typedef {Object} SoftwareModel
  * @property {string} payloadType
  * @property {File|undefined} uki
+ * @property {string} ukiStub "auto", "systemd" or "linux"
+ * @property {number} profile
+ * @property {File[]} addons
  * @property {File|undefined} kernel
  * @property {File|undefined} initrd
  * @property {string} cmdline
+ * @property {File[]} bootOptions
  * @property {boolean} isUki
  * @property {boolean} isFilled
  */
@@ -202,10 +889,31 @@ const softwareView = {
     document.getElementById("payload-type")
   ),
   uki: /** @type {HTMLInputElement} */ (document.getElementById("uki")),
+  ukiStub: /** @type {HTMLSelectElement} */ (
+    document.getElementById("uki-stub")
+  ),
+  profile: /** @type {HTMLInputElement} */ (
+    document.getElementById("uki-profile")
+  ),
+  addons: /** @type {HTMLInputElement} */ (
+    document.getElementById("uki-addons")
+  ),
   kernel: /** @type {HTMLInputElement} */ (document.getElementById("kernel")),
   initrd: /** @type {HTMLInputElement} */ (document.getElementById("initrd")),
   cmdline: /** @type {HTMLInputElement} */ (document.getElementById("cmdline")),
+  bootOptions: /** @type {HTMLInputElement} */ (
+    document.getElementById("boot-options")
+  ),
   ukiBlock: /** @type {HTMLElement} */ (document.getElementById("uki-field")),
+  ukiStubBlock: /** @type {HTMLElement} */ (
+    document.getElementById("uki-stub-field")
+  ),
+  profileBlock: /** @type {HTMLElement} */ (
+    document.getElementById("uki-profile-field")
+  ),
+  addonsBlock: /** @type {HTMLElement} */ (
+    document.getElementById("uki-addons-field")
+  ),
   kernelBlock: /** @type {HTMLElement} */ (
     document.getElementById("kernel-field")
   ),
@@ -220,6 +928,9 @@ const softwareView = {
    */
   render: function (model) {
     toggle(this.ukiBlock, model.isUki);
+    toggle(this.ukiStubBlock, model.isUki);
+    toggle(this.profileBlock, model.isUki);
+    toggle(this.addonsBlock, model.isUki);
     toggle(this.kernelBlock, !model.isUki);
     toggle(this.initrdBlock, !model.isUki);
     toggle(this.cmdlineBlock, !model.isUki);
@@ -229,9 +940,13 @@ const softwareView = {
 const softwareModel = {
   payloadType: softwareView.payloadType.value,
   uki: softwareView.uki.files?.[0],
+  ukiStub: softwareView.ukiStub.value,
+  profile: parseInt(softwareView.profile.value) || 0,
+  addons: Array.from(softwareView.addons.files ?? []),
   kernel: softwareView.kernel.files?.[0],
   initrd: softwareView.initrd.files?.[0],
   cmdline: softwareView.cmdline.value,
+  bootOptions: Array.from(softwareView.bootOptions.files ?? []),
   get isUki() {
     return this.payloadType === "uki";
   },
@@ -247,6 +962,7 @@ const softwareModel = {
  * @typedef {Object} MrtdModel
  * @property {Uint8Array<ArrayBuffer>|null} value
  * @property {boolean} calculating
+ * @property {import("./reproduce.mjs").Progress|null} progress
  * @property {string} error
  */
 
@@ -254,20 +970,35 @@ const softwareModel = {
 const mrtdModel = {
   value: null,
   calculating: false,
+  progress: null,
   error: "",
 };
 
 const mrtdView = {
   value: /** @type {HTMLElement} */ (document.getElementById("mrtd")),
+  match: /** @type {HTMLElement} */ (document.getElementById("mrtd-match")),
+  progress: /** @type {HTMLElement} */ (
+    document.getElementById("mrtd-progress")
+  ),
   none: /** @type {HTMLElement} */ (document.getElementById("mrtd-none")),
   error: /** @type {HTMLElement} */ (document.getElementById("mrtd-error")),
   /**
-   * @param {{mrtd: MrtdModel, firmware: FirmwareModel}} model
+   * @param {{mrtd: MrtdModel, firmware: FirmwareModel, quote: QuoteModel}} model
    */
-  render: function ({ mrtd, firmware }) {
+  render: function ({ mrtd, firmware, quote }) {
     this.value.innerText = mrtd.value ? bytesToHex(mrtd.value) : "";
+    this.match.innerHTML =
+      mrtd.value && quote.value
+        ? getMatchTag(mrtd.value, quote.value.body.mrtd)
+        : "";
+    this.progress.innerText = formatProgress(mrtd.progress);
     this.error.innerText = mrtd.error;
+    toggle(this.progress, mrtd.calculating);
     toggle(this.value, Boolean(mrtd.value) && !mrtd.calculating && !mrtd.error);
+    toggle(
+      this.match,
+      Boolean(mrtd.value && quote.value) && !mrtd.calculating && !mrtd.error
+    );
     toggle(this.none, !firmware.file && !mrtd.error);
     toggle(this.error, Boolean(mrtd.error));
   },
@@ -277,6 +1008,7 @@ const mrtdView = {
  * @typedef {Object} RtmrModel
  * @property {import("./reproduce.mjs").RtmrResult|null} value
  * @property {boolean} calculating
+ * @property {import("./reproduce.mjs").Progress|null} progress
  * @property {string} error
  */
 
@@ -286,6 +1018,7 @@ const mrtdView = {
 const rtmrModel = {
   value: null,
   calculating: false,
+  progress: null,
   error: "",
 };
 
@@ -294,35 +1027,79 @@ const rtmrView = {
     document.getElementById("rtmr-registers")
   ),
   events: /** @type {HTMLElement} */ (document.getElementById("rtmr-events")),
+  downloads: /** @type {HTMLElement} */ (
+    document.getElementById("rtmr-downloads")
+  ),
+  downloadEventLog: /** @type {HTMLAnchorElement} */ (
+    document.getElementById("download-event-log")
+  ),
   none: /** @type {HTMLElement} */ (document.getElementById("rtmr-none")),
+  progress: /** @type {HTMLElement} */ (
+    document.getElementById("rtmr-progress")
+  ),
   error: /** @type {HTMLElement} */ (document.getElementById("rtmr-error")),
+  warnings: /** @type {HTMLElement} */ (
+    document.getElementById("rtmr-warnings")
+  ),
+  /**
+   * Result that the event log download is made of, so that it is serialized
+   * once rather than on every render.
+   *
+   * @type {RtmrModel["value"]}
+   */
+  downloaded: null,
   /**
    * @param {{
    *   rtmr: RtmrModel,
    *   firmware: FirmwareModel,
    *   hardware: HardwareModel,
-   *   software: SoftwareModel
+   *   software: SoftwareModel,
+   *   quote: QuoteModel,
+   *   eventLog: EventLogModel
    * }} model
    */
-  render: function ({ rtmr, firmware, hardware, software }) {
+  render: function ({ rtmr, firmware, hardware, software, quote, eventLog }) {
+    if (rtmr.value !== this.downloaded) {
+      this.downloaded = rtmr.value;
+      URL.revokeObjectURL(this.downloadEventLog.href);
+      this.downloadEventLog.href = rtmr.value
+        ? URL.createObjectURL(
+            new Blob([serializeEventLog(rtmr.value.events)], {
+              type: "application/octet-stream",
+            })
+          )
+        : "";
+    }
+    this.warnings.innerHTML = (rtmr.value?.warnings ?? [])
+      .map((warning) => `<p>${escapeHtml(warning)}</p>`)
+      .join("");
     if (rtmr.value) {
       this.registers.innerHTML = "";
-      this.events.innerHTML = "<h2>Event log</h2>\n";
+      this.events.innerHTML = eventLog.value
+        ? "<h2>Event log comparison</h2>\n"
+        : "<h2>Event log</h2>\n";
 
-      for (const register of rtmr.value.registers) {
+      for (const [i, register] of rtmr.value.registers.entries()) {
         this.registers.innerHTML += `
 <li>
   <span class="hash">${bytesToHex(register)}</span>
+  ${quote.value ? getMatchTag(register, quote.value.body.rtmrs[i]) : ""}
 </li>`;
       }
 
-      for (const ev of rtmr.value.events) {
+      if (eventLog.value) {
+        this.events.innerHTML += renderEventDiff(
+          diffEvents(rtmr.value.events, eventLog.value.events)
+        );
+      }
+
+      for (const ev of eventLog.value ? [] : rtmr.value.events) {
         this.events.innerHTML += `
 <div class="field">
   <h3>
-    ${ev.name} <span class="log-tag">RTMR${ev.register}</span>
+    ${escapeHtml(ev.name)} <span class="log-tag">RTMR${ev.register}</span>
   </h3>
-  <h4><code>${ev.type}</code></h4>
+  <h4><code>${escapeHtml(ev.type)}</code></h4>
   <p class="hash">
     ${bytesToHex(ev.digest)}
   </p>
@@ -336,8 +1113,10 @@ const rtmrView = {
       !hardware.isFilled ||
       !hardware.isValid;
 
+    this.progress.innerText = formatProgress(rtmr.progress);
     this.error.innerText = rtmr.error;
 
+    toggle(this.progress, rtmr.calculating);
     toggle(
       this.events,
       Boolean(rtmr.value) && !rtmr.calculating && !rtmr.error && !isInputMissing
@@ -346,22 +1125,207 @@ const rtmrView = {
       this.registers,
       Boolean(rtmr.value) && !rtmr.calculating && !rtmr.error && !isInputMissing
     );
+    toggle(
+      this.downloads,
+      Boolean(rtmr.value) && !rtmr.calculating && !rtmr.error && !isInputMissing
+    );
+    toggle(
+      this.warnings,
+      Boolean(rtmr.value?.warnings.length) &&
+        !rtmr.calculating &&
+        !rtmr.error &&
+        !isInputMissing
+    );
     toggle(this.none, isInputMissing && !rtmr.calculating && !rtmr.error);
     toggle(this.error, Boolean(rtmr.error));
   },
 };
 
+/**
+ * @typedef {Object} QuoteModel
+ * @property {File|undefined} file
+ * @property {import("./quote.mjs").TdQuote|null} value
+ * @property {string} error
+ */
+
+/** @type {QuoteModel} */
+const quoteModel = {
+  file: undefined,
+  value: null,
+  error: "",
+};
+
+const quoteView = {
+  file: /** @type {HTMLInputElement} */ (document.getElementById("quote-file")),
+  fields: /** @type {HTMLElement} */ (document.getElementById("quote-fields")),
+  none: /** @type {HTMLElement} */ (document.getElementById("quote-none")),
+  error: /** @type {HTMLElement} */ (document.getElementById("quote-error")),
+  /**
+   * @param {QuoteModel} model
+   */
+  render: function (model) {
+    this.fields.innerHTML = "";
+    if (model.value) {
+      const body = model.value.body;
+      /** @type {[string, Uint8Array<ArrayBuffer>][]} */
+      const fields = [
+        ["MRTD", body.mrtd],
+        ["RTMR0", body.rtmrs[0]],
+        ["RTMR1", body.rtmrs[1]],
+        ["RTMR2", body.rtmrs[2]],
+        ["RTMR3", body.rtmrs[3]],
+        ["MRCONFIGID", body.mrConfigId],
+        ["MROWNER", body.mrOwner],
+        ["MROWNERCONFIG", body.mrOwnerConfig],
+        ["REPORTDATA", body.reportData],
+        ["TDATTRIBUTES", body.tdAttributes],
+        ["XFAM", body.xfam],
+      ];
+      for (const [name, value] of fields) {
+        this.fields.innerHTML += `
+<dt>${name}</dt>
+<dd class="hash">${bytesToHex(value)}</dd>`;
+      }
+    }
+    this.error.innerText = model.error;
+    toggle(this.fields, Boolean(model.value) && !model.error);
+    toggle(this.none, !model.file && !model.error);
+    toggle(this.error, Boolean(model.error));
+  },
+};
+
+quoteView.file.addEventListener("change", () => {
+  quoteModel.file = quoteView.file.files?.[0];
+  updateQuote();
+});
+
+/**
+ * @typedef {Object} EventLogModel
+ * @property {File|undefined} table
+ * @property {File|undefined} data
+ * @property {import("./eventlog.mjs").CcEventLog|null} value
+ * @property {Uint8Array<ArrayBuffer>[]|null} registers
+ * @property {string} error
+ */
+
+/** @type {EventLogModel} */
+const eventLogModel = {
+  table: undefined,
+  data: undefined,
+  value: null,
+  registers: null,
+  error: "",
+};
+
+const eventLogView = {
+  table: /** @type {HTMLInputElement} */ (
+    document.getElementById("ccel-table")
+  ),
+  data: /** @type {HTMLInputElement} */ (document.getElementById("ccel-data")),
+  registers: /** @type {HTMLElement} */ (
+    document.getElementById("eventlog-registers")
+  ),
+  none: /** @type {HTMLElement} */ (document.getElementById("eventlog-none")),
+  error: /** @type {HTMLElement} */ (document.getElementById("eventlog-error")),
+  /**
+   * @param {{eventLog: EventLogModel, quote: QuoteModel}} model
+   */
+  render: function ({ eventLog, quote }) {
+    this.registers.innerHTML = "";
+    for (const [i, register] of (eventLog.registers ?? []).entries()) {
+      this.registers.innerHTML += `
+<li>
+  <span class="hash">${bytesToHex(register)}</span>
+  ${quote.value ? getMatchTag(register, quote.value.body.rtmrs[i]) : ""}
+</li>`;
+    }
+    this.error.innerText = eventLog.error;
+    toggle(this.registers, Boolean(eventLog.registers) && !eventLog.error);
+    toggle(this.none, !eventLog.data && !eventLog.error);
+    toggle(this.error, Boolean(eventLog.error));
+  },
+};
+
+eventLogView.table.addEventListener("change", () => {
+  eventLogModel.table = eventLogView.table.files?.[0];
+  updateEventLog();
+});
+
+eventLogView.data.addEventListener("change", () => {
+  eventLogModel.data = eventLogView.data.files?.[0];
+  updateEventLog();
+});
+
+/**
+ * @param {import("./eventlog.mjs").EventDiff} diff
+ * @returns {string}
+ */
+function renderEventDiff(diff) {
+  let html = "";
+  for (const [register, entries] of diff.registers.entries()) {
+    for (const [i, entry] of entries.entries()) {
+      const ev = /** @type {import("./reproduce.mjs").TdEvent} */ (
+        entry.reproduced ?? entry.logged
+      );
+      html += `
+<div class="field">
+  <h3>
+    ${escapeHtml(ev.name)} <span class="log-tag">RTMR${register}</span>
+    <span class="log-tag ${
+      entry.status === "match" ? "log-tag__match" : "log-tag__mismatch"
+    }">${entry.status}</span>
+    ${
+      diff.firstDivergence[register] === i
+        ? '<span class="log-tag log-tag__mismatch">first divergence</span>'
+        : ""
+    }
+  </h3>
+  <h4><code>${escapeHtml(ev.type)}</code></h4>
+  ${
+    entry.reproduced
+      ? `<p class="hash">Reproduced: ${bytesToHex(entry.reproduced.digest)}</p>`
+      : ""
+  }
+  ${
+    entry.logged && entry.status !== "match"
+      ? `<p class="hash">Logged: ${bytesToHex(entry.logged.digest)}</p>`
+      : ""
+  }
+</div>
+`;
+    }
+  }
+  return html;
+}
+
 firmwareView.file.addEventListener("change", () => {
   firmwareModel.file = firmwareView.file.files?.[0];
   render();
+  updateFirmware();
   updateMrtd();
   updateRtmr();
 });
 
+firmwareView.profile.addEventListener("change", () => {
+  firmwareModel.profile = firmwareView.profile.value;
+  render();
+  updateFirmware();
+  updateRtmr();
+});
+
 hardwareView.cpu.addEventListener("change", () => {
   const cpuCount = parseInt(hardwareView.cpu.value);
   hardwareModel.cpuCount = isNaN(cpuCount) ? null : cpuCount;
   render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.maxCpu.addEventListener("change", () => {
+  const maxCpuCount = parseInt(hardwareView.maxCpu.value);
+  hardwareModel.maxCpuCount = isNaN(maxCpuCount) ? null : maxCpuCount;
+  render();
+  updateAcpiTables();
   updateRtmr();
 });
 
@@ -369,6 +1333,43 @@ hardwareView.ram.addEventListener("change", () => {
   const ramMb = parseInt(hardwareView.ram.value);
   hardwareModel.ramMb = isNaN(ramMb) ? null : ramMb;
   render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.maxRam.addEventListener("change", () => {
+  const maxRamMb = parseInt(hardwareView.maxRam.value);
+  hardwareModel.maxRamMb = isNaN(maxRamMb) ? null : maxRamMb;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.memorySlots.addEventListener("change", () => {
+  const memorySlots = parseInt(hardwareView.memorySlots.value);
+  hardwareModel.memorySlots = isNaN(memorySlots) ? null : memorySlots;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.maxRamBelow4g.addEventListener("change", () => {
+  const maxRamBelow4gMb = parseInt(hardwareView.maxRamBelow4g.value);
+  hardwareModel.maxRamBelow4gMb = isNaN(maxRamBelow4gMb)
+    ? null
+    : maxRamBelow4gMb;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.pciHole64Size.addEventListener("change", () => {
+  const pciHole64SizeMb = parseInt(hardwareView.pciHole64Size.value);
+  hardwareModel.pciHole64SizeMb = isNaN(pciHole64SizeMb)
+    ? null
+    : pciHole64SizeMb;
+  render();
+  updateAcpiTables();
   updateRtmr();
 });
 
@@ -376,18 +1377,56 @@ hardwareView.disks.addEventListener("change", () => {
   const diskCount = parseInt(hardwareView.disks.value);
   hardwareModel.diskCount = isNaN(diskCount) ? null : diskCount;
   render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.vmm.addEventListener("change", () => {
+  hardwareModel.vmm = hardwareView.vmm.value;
+  render();
+  updateAcpiTables();
   updateRtmr();
 });
 
 hardwareView.configuration.addEventListener("change", () => {
   hardwareModel.configuration = hardwareView.configuration.value;
   render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.pciDevices.addEventListener("change", () => {
+  hardwareModel.pciDevices = hardwareView.pciDevices.value;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.numa.addEventListener("change", () => {
+  hardwareModel.numa = hardwareView.numa.value;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.numaDistances.addEventListener("change", () => {
+  hardwareModel.numaDistances = hardwareView.numaDistances.value;
+  render();
+  updateAcpiTables();
+  updateRtmr();
+});
+
+hardwareView.machine.addEventListener("change", () => {
+  hardwareModel.machine = hardwareView.machine.value;
+  render();
+  updateAcpiTables();
   updateRtmr();
 });
 
 hardwareView.acpiTables.addEventListener("change", () => {
   hardwareModel.acpiTables = hardwareView.acpiTables.files?.[0];
   render();
+  updateAcpiTables();
   updateRtmr();
 });
 
@@ -403,6 +1442,30 @@ softwareView.uki.addEventListener("change", () => {
   updateRtmr();
 });
 
+softwareView.ukiStub.addEventListener("change", () => {
+  softwareModel.ukiStub = softwareView.ukiStub.value;
+  render();
+  updateRtmr();
+});
+
+softwareView.profile.addEventListener("change", () => {
+  softwareModel.profile = parseInt(softwareView.profile.value) || 0;
+  render();
+  updateRtmr();
+});
+
+softwareView.addons.addEventListener("change", () => {
+  softwareModel.addons = Array.from(softwareView.addons.files ?? []);
+  render();
+  updateRtmr();
+});
+
+softwareView.bootOptions.addEventListener("change", () => {
+  softwareModel.bootOptions = Array.from(softwareView.bootOptions.files ?? []);
+  render();
+  updateRtmr();
+});
+
 softwareView.kernel.addEventListener("change", () => {
   softwareModel.kernel = softwareView.kernel.files?.[0];
   render();
@@ -421,46 +1484,299 @@ softwareView.cmdline.addEventListener("change", () => {
   updateRtmr();
 });
 
+/** @type {AbortController|null} */
+let firmwareRun = null;
+
+/**
+ * Latest firmware info request. RTMR runs wait for it to reuse the build
+ * detected there, since detection takes seconds.
+ *
+ * @type {Promise<import("./worker.mjs").FirmwareInfo|null>}
+ */
+let firmwareInfo = Promise.resolve(null);
+
+/**
+ * Build detected for a firmware file, reused when only the profile changes.
+ *
+ * @type {{file: File, build: import("./reproduce.mjs").FirmwareBuild}|null}
+ */
+let detectedBuild = null;
+
+async function updateFirmware() {
+  firmwareRun?.abort();
+  const run = new AbortController();
+  firmwareRun = run;
+  firmwareModel.error = "";
+  firmwareModel.value = null;
+  const info = requestFirmwareInfo(run.signal);
+  firmwareInfo = info.catch(() => null);
+  try {
+    firmwareModel.value = await info;
+  } catch (e) {
+    if (run.signal.aborted) {
+      return;
+    }
+    firmwareModel.error = e.message;
+  }
+  render();
+}
+
+/**
+ * @param {AbortSignal} signal
+ * @returns {Promise<import("./worker.mjs").FirmwareInfo|null>}
+ */
+async function requestFirmwareInfo(signal) {
+  const file = firmwareModel.file;
+  const firmwareBuffer = await file?.arrayBuffer();
+  signal.throwIfAborted();
+  if (!file || !firmwareBuffer) {
+    return null;
+  }
+  /** @type {import("./worker.mjs").FirmwareInfo} */
+  const info = await runInWorker(
+    {
+      type: "firmware",
+      firmware: new Uint8Array(firmwareBuffer),
+      firmwareProfile: getFirmwareProfileId(),
+      firmwareBuild:
+        detectedBuild?.file === file ? detectedBuild.build : undefined,
+    },
+    signal,
+    () => {}
+  );
+  detectedBuild = { file, build: info.build };
+  return info;
+}
+
+/**
+ * @returns {string|undefined} Chosen firmware profile ID, or undefined to
+ *   detect it
+ */
+function getFirmwareProfileId() {
+  return firmwareModel.profile === "auto" ? undefined : firmwareModel.profile;
+}
+
+async function updateQuote() {
+  quoteModel.error = "";
+  quoteModel.value = null;
+  try {
+    const quoteBuffer = await quoteModel.file?.arrayBuffer();
+    if (quoteBuffer) {
+      quoteModel.value = parseQuote(new Uint8Array(quoteBuffer));
+    }
+  } catch (e) {
+    quoteModel.error = e.message;
+  } finally {
+    render();
+  }
+}
+
+/** @type {AbortController|null} */
+let acpiTablesRun = null;
+
+async function updateAcpiTables() {
+  acpiTablesRun?.abort();
+  const run = new AbortController();
+  acpiTablesRun = run;
+  acpiTablesModel.error = "";
+  acpiTablesModel.value = null;
+  acpiDiffModel.error = "";
+  acpiDiffModel.value = null;
+  try {
+    const tables = await hardwareModel.getAcpiTables();
+    run.signal.throwIfAborted();
+    acpiTablesModel.value = tables ? decodeAcpiTables(tables) : null;
+  } catch (e) {
+    if (run.signal.aborted) {
+      return;
+    }
+    acpiTablesModel.error = e.message;
+  }
+  if (
+    acpiTablesModel.value &&
+    hardwareModel.isCustom &&
+    hardwareModel.vmm === DEFAULT_VMM
+  ) {
+    try {
+      acpiDiffModel.value = diffWithClosestDefault(acpiTablesModel.value);
+    } catch (e) {
+      acpiDiffModel.error = `Cannot generate the default tables to compare with: ${e.message}`;
+    }
+  }
+  render();
+}
+
+async function updateEventLog() {
+  eventLogModel.error = "";
+  eventLogModel.value = null;
+  eventLogModel.registers = null;
+  try {
+    const [tableBuffer, dataBuffer] = await Promise.all([
+      eventLogModel.table?.arrayBuffer(),
+      eventLogModel.data?.arrayBuffer(),
+    ]);
+    if (dataBuffer) {
+      const table = tableBuffer
+        ? parseCcelTable(new Uint8Array(tableBuffer))
+        : undefined;
+      eventLogModel.value = parseEventLog(new Uint8Array(dataBuffer), table);
+      eventLogModel.registers = await replayRtmr(eventLogModel.value.events);
+    }
+  } catch (e) {
+    eventLogModel.error = e.message;
+  } finally {
+    render();
+  }
+}
+
+const worker = new Worker(new URL("./worker.mjs", import.meta.url), {
+  type: "module",
+});
+
+/**
+ * @typedef {Object} WorkerRun
+ * @property {(value: any) => void} resolve
+ * @property {(reason: any) => void} reject
+ * @property {(progress: import("./reproduce.mjs").Progress) => void} onProgress
+ */
+
+/** @type {Map<number, WorkerRun>} */
+const workerRuns = new Map();
+let nextWorkerRunId = 1;
+
+worker.addEventListener("message", (e) => {
+  const response = /** @type {import("./worker.mjs").WorkerResponse} */ (
+    e.data
+  );
+  const run = workerRuns.get(response.id);
+  if (!run) {
+    return;
+  }
+  if (response.type === "progress") {
+    run.onProgress(response.progress);
+    return;
+  }
+  workerRuns.delete(response.id);
+  if (response.type === "result") {
+    run.resolve(response.value);
+  } else {
+    run.reject(new Error(response.message));
+  }
+});
+
+/**
+ * Runs a computation in the worker. Input buffers are transferred to it.
+ *
+ * @param {Omit<import("./worker.mjs").FirmwareRequest, "id">
+ *   | Omit<import("./worker.mjs").MrtdRequest, "id">
+ *   | Omit<import("./worker.mjs").RtmrRequest, "id">} request
+ * @param {AbortSignal} signal
+ * @param {(progress: import("./reproduce.mjs").Progress) => void} onProgress
+ * @returns {Promise<any>}
+ */
+function runInWorker(request, signal, onProgress) {
+  const id = nextWorkerRunId++;
+  return new Promise((resolve, reject) => {
+    workerRuns.set(id, { resolve, reject, onProgress });
+    signal.addEventListener("abort", () => {
+      workerRuns.delete(id);
+      worker.postMessage({ type: "cancel", id });
+      reject(signal.reason);
+    });
+    /** @type {ArrayBuffer[]} */
+    const transfer = [request.firmware.buffer];
+    if (request.type === "rtmr") {
+      transfer.push(request.hardware.acpiTables.buffer);
+      transfer.push(request.software.kernel.buffer);
+      if (request.software.initrd) {
+        transfer.push(request.software.initrd.buffer);
+      }
+      for (const addon of request.software.addons ?? []) {
+        transfer.push(addon.data.buffer);
+      }
+      for (const bootOption of request.software.bootOptions ?? []) {
+        transfer.push(bootOption.buffer);
+      }
+    }
+    worker.postMessage({ ...request, id }, transfer);
+  });
+}
+
+/** @type {AbortController|null} */
+let mrtdRun = null;
+
 async function updateMrtd() {
+  mrtdRun?.abort();
+  const run = new AbortController();
+  mrtdRun = run;
   mrtdModel.calculating = true;
+  mrtdModel.progress = null;
   mrtdModel.error = "";
   render();
   try {
     const firmwareBuffer = await firmwareModel.file?.arrayBuffer();
-    if (firmwareBuffer) {
-      mrtdModel.value = await reproduceMrtd(
-        parseFirmware(new Uint8Array(firmwareBuffer))
-      );
-    }
+    run.signal.throwIfAborted();
+    mrtdModel.value = firmwareBuffer
+      ? await runInWorker(
+          { type: "mrtd", firmware: new Uint8Array(firmwareBuffer) },
+          run.signal,
+          (progress) => {
+            mrtdModel.progress = progress;
+            renderMrtd();
+          }
+        )
+      : null;
   } catch (e) {
+    if (run.signal.aborted) {
+      return;
+    }
     mrtdModel.error = e.message;
-  } finally {
-    mrtdModel.calculating = false;
-    render();
   }
+  mrtdModel.calculating = false;
+  render();
 }
 
+/** @type {AbortController|null} */
+let rtmrRun = null;
+
 async function updateRtmr() {
+  rtmrRun?.abort();
+  const run = new AbortController();
+  rtmrRun = run;
   rtmrModel.calculating = true;
+  rtmrModel.progress = null;
   rtmrModel.error = "";
   render();
   try {
     const td = await getTd();
-    if (td) {
-      rtmrModel.value = await reproduceRtmr(td);
-    } else {
-      rtmrModel.value = null;
-    }
+    run.signal.throwIfAborted();
+    rtmrModel.value = td
+      ? await runInWorker({ type: "rtmr", ...td }, run.signal, (progress) => {
+          rtmrModel.progress = progress;
+          renderRtmr();
+        })
+      : null;
   } catch (e) {
+    if (run.signal.aborted) {
+      return;
+    }
     rtmrModel.error = e.message;
-  } finally {
-    rtmrModel.calculating = false;
-    render();
   }
+  rtmrModel.calculating = false;
+  render();
 }
 
 /**
- * @returns {Promise<import("./reproduce.mjs").TrustDomain|null>}
+ * @typedef {Object} TdInput
+ * @property {Uint8Array<ArrayBuffer>} firmware Unparsed firmware image
+ * @property {string} [firmwareProfile]
+ * @property {import("./reproduce.mjs").FirmwareBuild} [firmwareBuild]
+ * @property {import("./reproduce.mjs").TdHardware} hardware
+ * @property {import("./reproduce.mjs").TdSoftware} software
+ */
+
+/**
+ * @returns {Promise<TdInput|null>}
  */
 async function getTd() {
   if (
@@ -471,70 +1787,186 @@ async function getTd() {
     return null;
   }
 
-  const [firmwareBuffer, acpi, uki, kernel, initrd] = await Promise.all([
-    firmwareModel.file?.arrayBuffer(),
-    hardwareModel.getAcpiTables(),
-    softwareModel.uki?.arrayBuffer(),
-    softwareModel.kernel?.arrayBuffer(),
-    softwareModel.initrd?.arrayBuffer(),
-  ]);
+  const [firmwareBuffer, info, acpi, uki, kernel, initrd, addons, bootOptions] =
+    await Promise.all([
+      firmwareModel.file?.arrayBuffer(),
+      firmwareInfo,
+      hardwareModel.getAcpiTables(),
+      softwareModel.uki?.arrayBuffer(),
+      softwareModel.kernel?.arrayBuffer(),
+      softwareModel.initrd?.arrayBuffer(),
+      Promise.all(
+        softwareModel.addons.map(async (file) => ({
+          name: file.name,
+          data: new Uint8Array(await file.arrayBuffer()),
+        }))
+      ),
+      // efivarfs files start with the attributes of the variable
+      Promise.all(
+        softwareModel.bootOptions.map(async (file) =>
+          new Uint8Array(await file.arrayBuffer()).slice(4)
+        )
+      ),
+    ]);
 
   if (!firmwareBuffer || !acpi) {
     return null;
   }
 
-  const firmware = parseFirmware(new Uint8Array(firmwareBuffer));
   const isUki = softwareModel.isUki;
 
   return {
     hardware: {
       totalMemoryBytes: /** @type {number} */ (hardwareModel.ramBytes),
       acpiTables: new Uint8Array(acpi),
+      vmm: hardwareModel.vmm,
+      maxRamBelow4g:
+        hardwareModel.maxRamBelow4gMb === null
+          ? undefined
+          : hardwareModel.maxRamBelow4gMb * 1024 * 1024,
     },
-    firmware,
+    firmware: new Uint8Array(firmwareBuffer),
+    firmwareProfile: getFirmwareProfileId(),
+    firmwareBuild: info?.build,
     software: {
       kernel: new Uint8Array(/** @type {ArrayBuffer} */ (isUki ? uki : kernel)),
       initrd: isUki
         ? undefined
         : new Uint8Array(/** @type {ArrayBuffer} */ (initrd)),
       cmdline: isUki ? undefined : softwareModel.cmdline,
+      ukiStub:
+        isUki && softwareModel.ukiStub !== "auto"
+          ? /** @type {"systemd"|"linux"} */ (softwareModel.ukiStub)
+          : undefined,
+      profile: isUki ? softwareModel.profile : undefined,
+      addons: isUki ? addons : undefined,
+      bootOptions: bootOptions.length ? bootOptions : undefined,
     },
   };
 }
 
 document.addEventListener("DOMContentLoaded", () => {
+  quoteModel.file = quoteView.file.files?.[0];
+  eventLogModel.table = eventLogView.table.files?.[0];
+  eventLogModel.data = eventLogView.data.files?.[0];
   render();
+  updateFirmware();
+  updateQuote();
+  updateEventLog();
   updateMrtd();
+  updateAcpiTables();
   updateRtmr();
 });
 
 function render() {
+  firmwareView.render(firmwareModel);
   hardwareView.render(hardwareModel);
+  acpiTablesView.render(acpiTablesModel);
+  acpiDiffView.render(acpiDiffModel);
   softwareView.render(softwareModel);
-  mrtdView.render({ mrtd: mrtdModel, firmware: firmwareModel });
+  renderMrtd();
+  renderRtmr();
+  quoteView.render(quoteModel);
+  eventLogView.render({ eventLog: eventLogModel, quote: quoteModel });
+}
+
+// Progress of a computation only changes its own view
+function renderMrtd() {
+  mrtdView.render({
+    mrtd: mrtdModel,
+    firmware: firmwareModel,
+    quote: quoteModel,
+  });
+}
+
+function renderRtmr() {
   rtmrView.render({
     rtmr: rtmrModel,
     firmware: firmwareModel,
     hardware: hardwareModel,
     software: softwareModel,
+    quote: quoteModel,
+    eventLog: eventLogModel,
   });
 }
 
+/**
+ * @param {import("./reproduce.mjs").TdMemoryLayout} layout
+ * @returns {string}
+ */
+function renderMemoryLayout(layout) {
+  /** @type {[string, number, number][]} */
+  const rows = [
+    ["RAM", 0, layout.below4gMemSize],
+    ["32-bit PCI hole", layout.below4gMemSize, 0x100000000],
+  ];
+  if (layout.above4gMemSize > 0) {
+    rows.push([
+      "RAM",
+      layout.above4gMemStart,
+      layout.above4gMemStart + layout.above4gMemSize,
+    ]);
+  }
+  return `<tr><th>Range</th><th>Start</th><th>End</th><th>MiB</th></tr>${rows
+    .map(
+      ([name, start, end]) =>
+        `<tr><th scope="row">${name}</th><td>0x${start.toString(
+          16
+        )}</td><td>0x${(end - 1).toString(16)}</td><td>${
+          (end - start) / 1024 / 1024
+        }</td></tr>`
+    )
+    .join("")}`;
+}
+
 /**
  * @param {number} cpuCount
+ * @param {number} maxCpuCount
  * @param {number} ramMb
+ * @param {number} maxRamMb
+ * @param {number} memorySlots
  * @param {number} diskCount
+ * @param {import("./acpi.mjs").PciDevice[]} devices
+ * @param {import("./acpi.mjs").NumaNode[]} numaNodes
+ * @param {string} machineType
+ * @param {number|null} maxRamBelow4gMb Null if not capped
+ * @param {number|null} pciHole64SizeMb Null for the QEMU default
  * @returns {string}
  */
-function getLibvirtXml(cpuCount, ramMb, diskCount) {
+function getLibvirtXml(
+  cpuCount,
+  maxCpuCount,
+  ramMb,
+  maxRamMb,
+  memorySlots,
+  diskCount,
+  devices,
+  numaNodes,
+  machineType,
+  maxRamBelow4gMb,
+  pciHole64SizeMb
+) {
+  // libvirt needs a NUMA node for memory hotplug, like the one QEMU adds
+  const cells =
+    numaNodes.length === 0 && memorySlots > 0
+      ? [{ cpuCount: maxCpuCount, memoryBytes: ramMb * 1024 * 1024 }]
+      : numaNodes;
+  const socketCount = Math.max(cells.length, 1);
   return `<domain type='kvm' xmlns:qemu='http://libvirt.org/schemas/domain/qemu/1.0'>
   <name>my-td</name>
-  <memory unit='MiB'>${ramMb}</memory>
+${
+  memorySlots > 0
+    ? `  <maxMemory slots='${memorySlots}' unit='MiB'>${maxRamMb}</maxMemory>
+`
+    : ""
+}  <memory unit='MiB'>${ramMb}</memory>
   <memoryBacking>
     <source type='anonymous'/>
     <access mode='private'/>
   </memoryBacking>
-  <vcpu placement='static'>${cpuCount}</vcpu>
+  <vcpu placement='static'${
+    maxCpuCount > cpuCount ? ` current='${cpuCount}'` : ""
+  }>${maxCpuCount}</vcpu>
   <os>
     <type arch='x86_64' machine='q35'>hvm</type>
     <loader>/path/to/OVMF.fd</loader>
@@ -547,8 +1979,10 @@ function getLibvirtXml(cpuCount, ramMb, diskCount) {
     <ioapic driver='qemu'/>
   </features>
   <cpu mode='host-passthrough'>
-    <topology sockets='1' cores='${cpuCount}' threads='1'/>
-  </cpu>
+    <topology sockets='${socketCount}' cores='${
+    maxCpuCount / socketCount
+  }' threads='1'/>
+${getLibvirtNumaXml(cells)}  </cpu>
   <clock offset='utc'>
     <timer name='hpet' present='no'/>
   </clock>
@@ -561,12 +1995,14 @@ function getLibvirtXml(cpuCount, ramMb, diskCount) {
   </pm>
   <devices>
     <emulator>/usr/bin/qemu-system-x86_64</emulator>
-    <interface type='network'>
-      <source network='bridged-network' bridge='brquex0'/>
-      <model type='virtio'/>
-      <address type='pci' bus='0x00' slot='0x01'/>
-    </interface>
-    <controller type='usb' model='none'/>
+${devices
+  .map((device, i) =>
+    getLibvirtDeviceXml(
+      device,
+      devices.slice(0, i).filter((x) => x.type === device.type).length
+    )
+  )
+  .join("")}    <controller type='usb' model='none'/>
     <memballoon model='none'/>
 ${[...new Array(diskCount).keys()]
   .map(
@@ -586,13 +2022,94 @@ ${[...new Array(diskCount).keys()]
   </launchSecurity>
   <qemu:commandline>
     <qemu:arg value='-machine'/>
-    <qemu:arg value='pc-q35-8.2,usb=off,vmport=off,kernel_irqchip=split,dump-guest-core=off,memory-backend=pc.ram,confidential-guest-support=lsec0,hpet=off,i8042=off,smbus=off,sata=off'/>
+    <qemu:arg value='${machineType},usb=off,vmport=off,kernel_irqchip=split,dump-guest-core=off,${
+    // libvirt gives each NUMA node its own memory backend
+    cells.length > 0 ? "" : "memory-backend=pc.ram,"
+  }${
+    maxRamBelow4gMb === null ? "" : `max-ram-below-4g=${maxRamBelow4gMb}M,`
+  }confidential-guest-support=lsec0,hpet=off,i8042=off,smbus=off,sata=off'/>
     <qemu:arg value='-global'/>
     <qemu:arg value='ICH9-LPC.acpi-pci-hotplug-with-bridge-support=off'/>
-  </qemu:commandline>
+${
+  pciHole64SizeMb === null
+    ? ""
+    : `    <qemu:arg value='-global'/>
+    <qemu:arg value='q35-pcihost.pci-hole64-size=${pciHole64SizeMb}M'/>
+`
+}  </qemu:commandline>
 </domain>`;
 }
 
+/**
+ * @param {import("./acpi.mjs").NumaNode[]} numaNodes
+ * @returns {string}
+ */
+function getLibvirtNumaXml(numaNodes) {
+  if (numaNodes.length === 0) {
+    return "";
+  }
+  let firstCpu = 0;
+  const cells = numaNodes.map((node, i) => {
+    const cpus = `${firstCpu}-${firstCpu + node.cpuCount - 1}`;
+    firstCpu += node.cpuCount;
+    const memory = node.memoryBytes / 1024 / 1024;
+    if (!node.distances) {
+      return `      <cell id='${i}' cpus='${cpus}' memory='${memory}' unit='MiB'/>
+`;
+    }
+    return `      <cell id='${i}' cpus='${cpus}' memory='${memory}' unit='MiB'>
+        <distances>
+${node.distances
+  .map(
+    (distance, j) => `          <sibling id='${j}' value='${distance}'/>
+`
+  )
+  .join("")}        </distances>
+      </cell>
+`;
+  });
+  return `    <numa>
+${cells.join("")}    </numa>
+`;
+}
+
+/**
+ * @param {import("./acpi.mjs").PciDevice} device
+ * @param {number} index Index among the devices of the same type
+ * @returns {string}
+ */
+function getLibvirtDeviceXml(device, index) {
+  const address = `<address type='pci' bus='0x00' slot='0x${device.slot
+    .toString(16)
+    .padStart(2, "0")}'/>`;
+  switch (device.type) {
+    case "nic":
+      return `    <interface type='network'>
+      <source network='bridged-network' bridge='brquex0'/>
+      <model type='virtio'/>
+      ${address}
+    </interface>
+`;
+    case "vsock":
+      return `    <vsock model='virtio'>
+      <cid auto='yes'/>
+      ${address}
+    </vsock>
+`;
+    case "rng":
+      return `    <rng model='virtio'>
+      <backend model='random'>/dev/urandom</backend>
+      ${address}
+    </rng>
+`;
+    case "serial":
+      return `    <controller type='virtio-serial' index='${index}'>
+      ${address}
+    </controller>
+`;
+  }
+}
+
 /**
  * @param {number} id
  * @returns {string}
@@ -601,6 +2118,31 @@ function getDiskDeviceName(id) {
   return `vd${String.fromCharCode(0x61 + id)}`;
 }
 
+/**
+ * @param {import("./reproduce.mjs").Progress|null} progress
+ * @returns {string}
+ */
+function formatProgress(progress) {
+  if (!progress) {
+    return "Calculating…";
+  }
+  const percent = progress.total
+    ? Math.floor((progress.done / progress.total) * 100)
+    : 0;
+  return `Calculating… ${progress.stage}, ${percent}%`;
+}
+
+/**
+ * @param {Uint8Array<ArrayBuffer>} actual
+ * @param {Uint8Array<ArrayBuffer>} expected
+ * @returns {string}
+ */
+function getMatchTag(actual, expected) {
+  return bytesToHex(actual) === bytesToHex(expected)
+    ? '<span class="log-tag log-tag__match">match</span>'
+    : '<span class="log-tag log-tag__mismatch">mismatch</span>';
+}
+
 /**
  * @param {HTMLElement} elem
  * @param {boolean} shown
@@ -608,3 +2150,15 @@ function getDiskDeviceName(id) {
 function toggle(elem, shown) {
   elem.style.display = shown ? "" : "none";
 }
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return text
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
@@ -0,0 +1,625 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} CcelTable
+ * @property {number} ccType
+ * @property {number} ccSubtype
+ * @property {number} logAreaMinimumLength
+ * @property {number} logAreaStartAddress
+ */
+
+/**
+ * @typedef {Object} CcEventLog
+ * @property {SpecIdEvent} specId
+ * @property {CcEvent[]} events Measured events, without EV_NO_ACTION ones
+ */
+
+/**
+ * @typedef {Object} SpecIdEvent
+ * @property {number} platformClass
+ * @property {string} specVersion
+ * @property {number} uintnSize
+ * @property {Map<number,number>} digestSizes Digest size by TCG algorithm ID
+ */
+
+/**
+ * A logged event. Compatible with `TdEvent` from `reproduce.mjs`.
+ *
+ * @typedef {Object} CcEvent
+ * @property {string} name
+ * @property {string} type
+ * @property {{[key:string]:string}} metadata
+ * @property {number} register RTMR index
+ * @property {bytes} digest SHA-384 digest
+ * @property {number} mrIndex CC measurement register index, RTMR index + 1
+ * @property {bytes} data
+ */
+
+const TPM_ALG_SHA384 = 0x000c;
+const EV_NO_ACTION = 0x00000003;
+
+const EVENT_TYPES = new Map([
+  [0x00000000, "EV_PREBOOT_CERT"],
+  [0x00000001, "EV_POST_CODE"],
+  [0x00000002, "EV_UNUSED"],
+  [0x00000003, "EV_NO_ACTION"],
+  [0x00000004, "EV_SEPARATOR"],
+  [0x00000005, "EV_ACTION"],
+  [0x00000006, "EV_EVENT_TAG"],
+  [0x00000007, "EV_S_CRTM_CONTENTS"],
+  [0x00000008, "EV_S_CRTM_VERSION"],
+  [0x00000009, "EV_CPU_MICROCODE"],
+  [0x0000000a, "EV_PLATFORM_CONFIG_FLAGS"],
+  [0x0000000b, "EV_TABLE_OF_DEVICES"],
+  [0x0000000c, "EV_COMPACT_HASH"],
+  [0x0000000d, "EV_IPL"],
+  [0x0000000e, "EV_IPL_PARTITION_DATA"],
+  [0x0000000f, "EV_NONHOST_CODE"],
+  [0x00000010, "EV_NONHOST_CONFIG"],
+  [0x00000011, "EV_NONHOST_INFO"],
+  [0x00000012, "EV_OMIT_BOOT_DEVICE_EVENTS"],
+  [0x80000001, "EV_EFI_VARIABLE_DRIVER_CONFIG"],
+  [0x80000002, "EV_EFI_VARIABLE_BOOT"],
+  [0x80000003, "EV_EFI_BOOT_SERVICES_APPLICATION"],
+  [0x80000004, "EV_EFI_BOOT_SERVICES_DRIVER"],
+  [0x80000005, "EV_EFI_RUNTIME_SERVICES_DRIVER"],
+  [0x80000006, "EV_EFI_GPT_EVENT"],
+  [0x80000007, "EV_EFI_ACTION"],
+  [0x80000008, "EV_EFI_PLATFORM_FIRMWARE_BLOB"],
+  [0x80000009, "EV_EFI_HANDOFF_TABLES"],
+  [0x8000000a, "EV_EFI_PLATFORM_FIRMWARE_BLOB2"],
+  [0x8000000b, "EV_EFI_HANDOFF_TABLES2"],
+  [0x8000000c, "EV_EFI_VARIABLE_BOOT2"],
+  [0x8000000d, "EV_EFI_GPT_EVENT2"],
+  [0x80000010, "EV_EFI_HCRTM_EVENT"],
+  [0x800000e0, "EV_EFI_VARIABLE_AUTHORITY"],
+  [0x800000e1, "EV_EFI_SPDM_FIRMWARE_BLOB"],
+  [0x800000e2, "EV_EFI_SPDM_FIRMWARE_CONFIG"],
+]);
+
+const EVENT_TYPE_IDS = new Map(
+  [...EVENT_TYPES.entries()].map(([id, type]) => [type, id])
+);
+
+/**
+ * Parses the CCEL ACPI table, the contents of
+ * `/sys/firmware/acpi/tables/CCEL`.
+ *
+ * @param {bytes} bytes
+ * @returns {CcelTable}
+ */
+export function parseCcelTable(bytes) {
+  if (bytes.length < 56) {
+    throw new Error("Data too short for CCEL table");
+  }
+  const signature = utf8decoder.decode(bytes.subarray(0, 4));
+  if (signature !== "CCEL") {
+    throw new Error(`Invalid signature: ${signature}`);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ccType = view.getUint8(36);
+  if (ccType !== 2) {
+    throw new Error(`Not a TDX event log: CC type ${ccType}`);
+  }
+  return {
+    ccType,
+    ccSubtype: view.getUint8(37),
+    logAreaMinimumLength: Number(view.getBigUint64(40, LE)),
+    logAreaStartAddress: Number(view.getBigUint64(48, LE)),
+  };
+}
+
+/**
+ * Parses a TCG crypto-agile event log, the contents of
+ * `/sys/firmware/acpi/tables/data/CCEL`.
+ *
+ * @param {bytes} bytes
+ * @param {CcelTable} [table] Limits the log to the log area length
+ * @returns {CcEventLog}
+ */
+export function parseEventLog(bytes, table) {
+  if (table && table.logAreaMinimumLength < bytes.length) {
+    bytes = bytes.subarray(0, table.logAreaMinimumLength);
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.length < 32) {
+    throw new Error("Data too short for Spec ID event");
+  }
+  if (view.getUint32(4, LE) !== EV_NO_ACTION) {
+    throw new Error("First event is not a Spec ID event");
+  }
+  const specIdSize = view.getUint32(28, LE);
+  if (32 + specIdSize > bytes.length) {
+    throw new Error("Spec ID event overruns event log boundary");
+  }
+  const specId = parseSpecIdEvent(bytes.subarray(32, 32 + specIdSize));
+
+  /**
+   * @type {CcEvent[]}
+   */
+  const events = [];
+  let offset = 32 + specIdSize;
+
+  while (offset + 12 <= bytes.length) {
+    const mrIndex = view.getUint32(offset, LE);
+    const eventType = view.getUint32(offset + 4, LE);
+    const digestCount = view.getUint32(offset + 8, LE);
+    if (mrIndex === 0xffffffff || (eventType === 0 && digestCount === 0)) {
+      break;
+    }
+    offset += 12;
+
+    /**
+     * @type {bytes|null}
+     */
+    let digest = null;
+    for (let i = 0; i < digestCount; i++) {
+      if (offset + 2 > bytes.length) {
+        throw new Error("Event digest overruns event log boundary");
+      }
+      const algorithmId = view.getUint16(offset, LE);
+      const digestSize = specId.digestSizes.get(algorithmId);
+      if (digestSize === undefined) {
+        throw new Error(
+          `Unknown digest algorithm: 0x${algorithmId.toString(16)}`
+        );
+      }
+      if (algorithmId === TPM_ALG_SHA384) {
+        digest = bytes.slice(offset + 2, offset + 2 + digestSize);
+      }
+      offset += 2 + digestSize;
+    }
+
+    if (offset + 4 > bytes.length) {
+      throw new Error("Event data overruns event log boundary");
+    }
+    const dataSize = view.getUint32(offset, LE);
+    offset += 4;
+    if (offset + dataSize > bytes.length) {
+      throw new Error("Event data overruns event log boundary");
+    }
+    const data = bytes.slice(offset, offset + dataSize);
+    offset += dataSize;
+
+    if (eventType === EV_NO_ACTION) {
+      continue;
+    }
+    if (mrIndex < 1 || mrIndex > 4) {
+      throw new Error(`Unsupported MR index: ${mrIndex}`);
+    }
+    if (!digest) {
+      throw new Error(`No SHA-384 digest in event ${events.length}`);
+    }
+
+    const type = EVENT_TYPES.get(eventType) ?? `0x${eventType.toString(16)}`;
+    events.push({
+      ...describeEvent(type, data),
+      type,
+      register: mrIndex - 1,
+      digest,
+      mrIndex,
+      data,
+    });
+  }
+
+  return { specId, events };
+}
+
+/**
+ * Serializes events into a TCG crypto-agile event log with SHA-384 digests,
+ * in the format of `/sys/firmware/acpi/tables/data/CCEL`.
+ *
+ * @param {import("./reproduce.mjs").TdEvent[]} events
+ * @returns {bytes}
+ */
+export function serializeEventLog(events) {
+  /**
+   * @type {bytes[]}
+   */
+  const parts = [serializeSpecIdEvent()];
+  for (const ev of events) {
+    const eventType = getEventTypeId(ev.type);
+    const data = ev.data ?? new Uint8Array(0);
+    const header = new Uint8Array(14);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, ev.register + 1, LE);
+    view.setUint32(4, eventType, LE);
+    view.setUint32(8, 1, LE);
+    view.setUint16(12, TPM_ALG_SHA384, LE);
+    const dataSize = new Uint8Array(4);
+    new DataView(dataSize.buffer).setUint32(0, data.length, LE);
+    parts.push(header, ev.digest, dataSize, data);
+  }
+  return concatBytes(parts);
+}
+
+/**
+ * Inverse of the type names of parseEventLog, which names the types it does
+ * not know by their value, e.g. "0x800000ff".
+ *
+ * @param {string} type
+ * @returns {number}
+ */
+function getEventTypeId(type) {
+  const id = EVENT_TYPE_IDS.get(type);
+  if (id !== undefined) {
+    return id;
+  }
+  if (/^0x[0-9a-f]{1,8}$/i.test(type)) {
+    return parseInt(type, 16);
+  }
+  throw new Error(`Unknown event type: ${type}`);
+}
+
+/**
+ * TCG_PCClientPCREvent with TCG_EfiSpecIDEvent for SHA-384 only.
+ *
+ * @returns {bytes}
+ */
+function serializeSpecIdEvent() {
+  const result = new Uint8Array(32 + 33);
+  const view = new DataView(result.buffer);
+  view.setUint32(4, EV_NO_ACTION, LE);
+  view.setUint32(28, 33, LE);
+  utf8encoder.encodeInto("Spec ID Event03\0", result.subarray(32));
+  view.setUint8(32 + 21, 2);
+  view.setUint8(32 + 23, 2);
+  view.setUint32(32 + 24, 1, LE);
+  view.setUint16(32 + 28, TPM_ALG_SHA384, LE);
+  view.setUint16(32 + 30, 48, LE);
+  return result;
+}
+
+/**
+ * @typedef {Object} EventDiffEntry
+ * @property {"match"|"mismatch"|"missing"|"extra"} status `missing` events
+ *   are reproduced but not logged, `extra` ones are logged but not reproduced
+ * @property {import("./reproduce.mjs").TdEvent|null} reproduced
+ * @property {import("./reproduce.mjs").TdEvent|null} logged
+ */
+
+/**
+ * @typedef {Object} EventDiff
+ * @property {EventDiffEntry[][]} registers Aligned events by RTMR index
+ * @property {number[]} firstDivergence Index of the first entry that is not a
+ *   match by RTMR index, or -1
+ */
+
+/**
+ * Aligns reproduced events with logged ones, register by register.
+ *
+ * Events with equal digests are paired first, preserving order. Unpaired
+ * events between two paired ones are then matched up by type and reported as
+ * mismatches, and the rest are reported as missing or extra.
+ *
+ * @param {import("./reproduce.mjs").TdEvent[]} reproduced
+ * @param {import("./reproduce.mjs").TdEvent[]} logged
+ * @returns {EventDiff}
+ */
+export function diffEvents(reproduced, logged) {
+  /**
+   * @type {EventDiffEntry[][]}
+   */
+  const registers = [];
+  for (let register = 0; register < 4; register++) {
+    registers.push(
+      alignEvents(
+        reproduced.filter((ev) => ev.register === register),
+        logged.filter((ev) => ev.register === register)
+      )
+    );
+  }
+  return {
+    registers,
+    firstDivergence: registers.map((entries) =>
+      entries.findIndex((entry) => entry.status !== "match")
+    ),
+  };
+}
+
+/**
+ * @param {import("./reproduce.mjs").TdEvent[]} reproduced
+ * @param {import("./reproduce.mjs").TdEvent[]} logged
+ * @returns {EventDiffEntry[]}
+ */
+function alignEvents(reproduced, logged) {
+  const n = reproduced.length;
+  const m = logged.length;
+
+  // Longest common subsequence of digests
+  const lengths = [...Array(n + 1)].map(() => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lengths[i][j] = bytesEqual(reproduced[i].digest, logged[j].digest)
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  /**
+   * @type {EventDiffEntry[]}
+   */
+  const result = [];
+  let i = 0;
+  let j = 0;
+  let gapStartI = 0;
+  let gapStartJ = 0;
+  while (i < n || j < m) {
+    if (
+      i < n &&
+      j < m &&
+      bytesEqual(reproduced[i].digest, logged[j].digest) &&
+      lengths[i][j] === lengths[i + 1][j + 1] + 1
+    ) {
+      result.push(
+        ...alignGap(reproduced.slice(gapStartI, i), logged.slice(gapStartJ, j))
+      );
+      result.push({
+        status: "match",
+        reproduced: reproduced[i],
+        logged: logged[j],
+      });
+      i++;
+      j++;
+      gapStartI = i;
+      gapStartJ = j;
+    } else if (j >= m || (i < n && lengths[i + 1][j] >= lengths[i][j + 1])) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  result.push(
+    ...alignGap(reproduced.slice(gapStartI), logged.slice(gapStartJ))
+  );
+  return result;
+}
+
+/**
+ * @param {import("./reproduce.mjs").TdEvent[]} reproduced
+ * @param {import("./reproduce.mjs").TdEvent[]} logged
+ * @returns {EventDiffEntry[]}
+ */
+function alignGap(reproduced, logged) {
+  /**
+   * @type {EventDiffEntry[]}
+   */
+  const result = [];
+  let j = 0;
+  for (const ev of reproduced) {
+    const k = logged.findIndex(
+      (other, index) => index >= j && other.type === ev.type
+    );
+    if (k < 0) {
+      result.push({ status: "missing", reproduced: ev, logged: null });
+      continue;
+    }
+    for (; j < k; j++) {
+      result.push({ status: "extra", reproduced: null, logged: logged[j] });
+    }
+    result.push({ status: "mismatch", reproduced: ev, logged: logged[k] });
+    j = k + 1;
+  }
+  for (; j < logged.length; j++) {
+    result.push({ status: "extra", reproduced: null, logged: logged[j] });
+  }
+  return result;
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {SpecIdEvent}
+ */
+function parseSpecIdEvent(bytes) {
+  const signature = utf8decoder.decode(bytes.subarray(0, 16));
+  if (signature !== "Spec ID Event03\0") {
+    throw new Error("Event log is not in crypto-agile format");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const platformClass = view.getUint32(16, LE);
+  const minor = view.getUint8(20);
+  const major = view.getUint8(21);
+  const errata = view.getUint8(22);
+  const uintnSize = view.getUint8(23);
+  const algorithmCount = view.getUint32(24, LE);
+
+  /**
+   * @type {Map<number,number>}
+   */
+  const digestSizes = new Map();
+  for (let i = 0; i < algorithmCount; i++) {
+    const offset = 28 + i * 4;
+    if (offset + 4 > bytes.length) {
+      throw new Error("Spec ID event is too short for algorithm list");
+    }
+    digestSizes.set(view.getUint16(offset, LE), view.getUint16(offset + 2, LE));
+  }
+  if (!digestSizes.has(TPM_ALG_SHA384)) {
+    throw new Error("Event log has no SHA-384 digests");
+  }
+
+  return {
+    platformClass,
+    specVersion: `${major}.${minor}.${errata}`,
+    uintnSize,
+    digestSizes,
+  };
+}
+
+/**
+ * @param {string} type
+ * @param {bytes} data
+ * @returns {{name: string, metadata: {[key:string]:string}}}
+ */
+function describeEvent(type, data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  switch (type) {
+    case "EV_SEPARATOR":
+      return { name: "Separator", metadata: {} };
+    case "EV_EFI_ACTION":
+    case "EV_ACTION":
+      return { name: decodeAscii(data), metadata: {} };
+    case "EV_PLATFORM_CONFIG_FLAGS": {
+      // td-shim prefixes the information with a 16-byte descriptor and its
+      // length, OVMF logs fw_cfg file names
+      if (data.length >= 20 && view.getUint32(16, LE) === data.length - 20) {
+        const descriptor = decodeAscii(data.subarray(0, 16));
+        const info = data.subarray(20);
+        return {
+          name: descriptor,
+          metadata:
+            descriptor === "td_payload_info"
+              ? { cmdline: decodeAscii(info) }
+              : { infoLength: info.length.toString() },
+        };
+      }
+      const fileName = decodeAscii(data);
+      return { name: fileName, metadata: { fileName } };
+    }
+    case "EV_EFI_VARIABLE_DRIVER_CONFIG":
+    case "EV_EFI_VARIABLE_BOOT":
+    case "EV_EFI_VARIABLE_BOOT2":
+    case "EV_EFI_VARIABLE_AUTHORITY": {
+      const variable = parseUefiVariableData(data);
+      return {
+        name: variable.name,
+        metadata: { name: variable.name, guid: variable.guid },
+      };
+    }
+    case "EV_EFI_HANDOFF_TABLES2":
+    case "EV_EFI_PLATFORM_FIRMWARE_BLOB2": {
+      const description = decodeAscii(data.subarray(1, 1 + data[0]));
+      return { name: description, metadata: {} };
+    }
+    case "EV_EFI_BOOT_SERVICES_APPLICATION":
+    case "EV_EFI_BOOT_SERVICES_DRIVER":
+    case "EV_EFI_RUNTIME_SERVICES_DRIVER": {
+      if (data.length < 32) {
+        break;
+      }
+      return {
+        name: "EFI image",
+        metadata: {
+          imageLocation: `0x${view.getBigUint64(0, LE).toString(16)}`,
+          imageLength: view.getBigUint64(8, LE).toString(),
+        },
+      };
+    }
+    case "EV_EVENT_TAG": {
+      if (data.length < 8) {
+        break;
+      }
+      const tagId = view.getUint32(0, LE);
+      const tagSize = view.getUint32(4, LE);
+      const tagName = decodeAscii(data.subarray(8, 8 + tagSize));
+      return {
+        name: tagName,
+        metadata: { tagName, tagId: `0x${tagId.toString(16)}` },
+      };
+    }
+  }
+  return { name: type, metadata: {} };
+}
+
+/**
+ * @param {bytes} data
+ * @returns {{guid: string, name: string, data: bytes}}
+ */
+function parseUefiVariableData(data) {
+  if (data.length < 32) {
+    throw new Error("Data too short for UEFI_VARIABLE_DATA");
+  }
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const nameLength = Number(view.getBigUint64(16, LE));
+  const dataLength = Number(view.getBigUint64(24, LE));
+  const nameEnd = 32 + nameLength * 2;
+  if (nameEnd + dataLength > data.length) {
+    throw new Error("UEFI_VARIABLE_DATA overruns event data boundary");
+  }
+  return {
+    guid: bytesToUuid(data),
+    name: utf16LeDecoder.decode(data.subarray(32, nameEnd)),
+    data: data.subarray(nameEnd, nameEnd + dataLength),
+  };
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function decodeAscii(bytes) {
+  return utf8decoder.decode(bytes).replace(/\0+$/, "");
+}
+
+const LE = true;
+const BE = false;
+
+/**
+ * @param {bytes} a
+ * @param {bytes} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+const utf8decoder = new TextDecoder();
+const utf8encoder = new TextEncoder();
+const utf16LeDecoder = new TextDecoder("utf-16le");
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function bytesToUuid(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+  return [
+    view.getUint32(0, LE).toString(16).padStart(8, "0"),
+    "-",
+    view.getUint16(4, LE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint16(6, LE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint16(8, BE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint32(10, BE).toString(16).padStart(8, "0"),
+    view.getUint16(14, BE).toString(16).padStart(4, "0"),
+  ].join("");
+}
+
+/**
+ * @param {bytes[]} byteArrays
+ * @param {number=} length
+ * @returns {bytes}
+ */
+function concatBytes(
+  byteArrays,
+  length = byteArrays.reduce((len, bytes) => len + bytes.length, 0)
+) {
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const bytes of byteArrays) {
+    result.set(bytes, offset);
+    offset += bytes.length;
+  }
+  return result;
+}
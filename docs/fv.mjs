@@ -0,0 +1,480 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import { decompressLzma } from "./lzma.mjs";
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} FirmwareVolume
+ * @property {number} offset Offset in the parent image or section
+ * @property {number} length
+ * @property {string} fileSystem File system GUID
+ * @property {string} [name] FvName from the extended header
+ * @property {FfsFile[]} files
+ */
+
+/**
+ * @typedef {Object} FfsFile
+ * @property {string} name File GUID
+ * @property {number} type
+ * @property {string} typeName e.g. EFI_FV_FILETYPE_DRIVER
+ * @property {string} [userInterface] Module name from the UI section
+ * @property {string} [version] Version string from the version section
+ * @property {bytes} data File contents without the header
+ * @property {FfsSection[]} sections
+ */
+
+/**
+ * @typedef {Object} FfsSection
+ * @property {number} type
+ * @property {string} typeName e.g. EFI_SECTION_PE32
+ * @property {bytes} data Section contents without the header
+ * @property {string} [guid] Section definition GUID of GUID-defined sections
+ *   or subtype GUID of freeform sections
+ * @property {FfsSection[]} [sections] Contents of encapsulation sections,
+ *   if they could be decoded
+ * @property {FirmwareVolume} [volume] Contents of firmware volume image
+ *   sections
+ */
+
+const FV_SIGNATURE = 0x4856465f; // "_FVH"
+const FV_HEADER_MIN_SIZE = 0x48;
+const FV_ALIGNMENT = 0x1000;
+const EFI_FVB2_ERASE_POLARITY = 0x800;
+
+const FFS_FILE_SYSTEMS = [
+  "7a9354d9-0468-444a-81ce-0bf617d890df", // EFI_FIRMWARE_FILE_SYSTEM_GUID
+  "8c8ce578-8a3d-4f1c-9935-896185c32dd3", // EFI_FIRMWARE_FILE_SYSTEM2_GUID
+  "5473c07a-3dcb-4dca-bd6f-1e9689e7349a", // EFI_FIRMWARE_FILE_SYSTEM3_GUID
+];
+
+const FFS_ATTRIB_LARGE_FILE = 0x01;
+const EFI_FILE_DATA_VALID = 0x04;
+const EFI_FILE_DELETED = 0x10;
+
+const FFS_FILE_TYPES = new Map([
+  [0x01, "EFI_FV_FILETYPE_RAW"],
+  [0x02, "EFI_FV_FILETYPE_FREEFORM"],
+  [0x03, "EFI_FV_FILETYPE_SECURITY_CORE"],
+  [0x04, "EFI_FV_FILETYPE_PEI_CORE"],
+  [0x05, "EFI_FV_FILETYPE_DXE_CORE"],
+  [0x06, "EFI_FV_FILETYPE_PEIM"],
+  [0x07, "EFI_FV_FILETYPE_DRIVER"],
+  [0x08, "EFI_FV_FILETYPE_COMBINED_PEIM_DRIVER"],
+  [0x09, "EFI_FV_FILETYPE_APPLICATION"],
+  [0x0a, "EFI_FV_FILETYPE_MM"],
+  [0x0b, "EFI_FV_FILETYPE_FIRMWARE_VOLUME_IMAGE"],
+  [0x0c, "EFI_FV_FILETYPE_COMBINED_MM_DXE"],
+  [0x0d, "EFI_FV_FILETYPE_MM_CORE"],
+  [0x0e, "EFI_FV_FILETYPE_MM_STANDALONE"],
+  [0x0f, "EFI_FV_FILETYPE_MM_CORE_STANDALONE"],
+  [0xf0, "EFI_FV_FILETYPE_FFS_PAD"],
+]);
+
+const EFI_FV_FILETYPE_RAW = 0x01;
+const EFI_FV_FILETYPE_FFS_PAD = 0xf0;
+
+const EFI_SECTION_COMPRESSION = 0x01;
+const EFI_SECTION_GUID_DEFINED = 0x02;
+const EFI_SECTION_VERSION = 0x14;
+const EFI_SECTION_USER_INTERFACE = 0x15;
+const EFI_SECTION_FIRMWARE_VOLUME_IMAGE = 0x17;
+const EFI_SECTION_FREEFORM_SUBTYPE_GUID = 0x18;
+
+const SECTION_TYPES = new Map([
+  [EFI_SECTION_COMPRESSION, "EFI_SECTION_COMPRESSION"],
+  [EFI_SECTION_GUID_DEFINED, "EFI_SECTION_GUID_DEFINED"],
+  [0x03, "EFI_SECTION_DISPOSABLE"],
+  [0x10, "EFI_SECTION_PE32"],
+  [0x11, "EFI_SECTION_PIC"],
+  [0x12, "EFI_SECTION_TE"],
+  [0x13, "EFI_SECTION_DXE_DEPEX"],
+  [EFI_SECTION_VERSION, "EFI_SECTION_VERSION"],
+  [EFI_SECTION_USER_INTERFACE, "EFI_SECTION_USER_INTERFACE"],
+  [0x16, "EFI_SECTION_COMPATIBILITY16"],
+  [EFI_SECTION_FIRMWARE_VOLUME_IMAGE, "EFI_SECTION_FIRMWARE_VOLUME_IMAGE"],
+  [EFI_SECTION_FREEFORM_SUBTYPE_GUID, "EFI_SECTION_FREEFORM_SUBTYPE_GUID"],
+  [0x19, "EFI_SECTION_RAW"],
+  [0x1b, "EFI_SECTION_PEI_DEPEX"],
+  [0x1c, "EFI_SECTION_MM_DEPEX"],
+]);
+
+const LZMA_CUSTOM_DECOMPRESS_GUID = "ee4e5898-3914-4259-9d6e-dc7bd79403cf";
+const CRC32_GUIDED_SECTION_GUID = "fc1bcdb0-7d31-49aa-936a-a4600d9dd083";
+const EFI_GUIDED_SECTION_PROCESSING_REQUIRED = 0x01;
+
+/**
+ * Finds firmware volumes in a flash image, such as OVMF.fd, and parses their
+ * files. Nested volumes in LZMA-compressed and plain encapsulation sections
+ * are parsed too; other compressed sections are left undecoded.
+ *
+ * @param {bytes} bytes
+ * @returns {FirmwareVolume[]}
+ */
+export function parseFirmwareVolumes(bytes) {
+  /**
+   * @type {FirmwareVolume[]}
+   */
+  const volumes = [];
+  let offset = 0;
+  while (offset + FV_HEADER_MIN_SIZE <= bytes.length) {
+    if (isFirmwareVolume(bytes, offset)) {
+      const volume = parseFirmwareVolume(bytes, offset);
+      volumes.push(volume);
+      offset += Math.ceil(volume.length / FV_ALIGNMENT) * FV_ALIGNMENT;
+    } else {
+      offset += FV_ALIGNMENT;
+    }
+  }
+  return volumes;
+}
+
+/**
+ * Returns the files of the volumes and of all volumes nested in them.
+ *
+ * @param {FirmwareVolume[]} volumes
+ * @returns {FfsFile[]}
+ */
+export function getAllFfsFiles(volumes) {
+  /**
+   * @type {FfsFile[]}
+   */
+  const result = [];
+  /**
+   * @param {FfsSection[]} sections
+   */
+  function visitSections(sections) {
+    for (const section of sections) {
+      if (section.sections) {
+        visitSections(section.sections);
+      }
+      if (section.volume) {
+        visitVolume(section.volume);
+      }
+    }
+  }
+  /**
+   * @param {FirmwareVolume} volume
+   */
+  function visitVolume(volume) {
+    for (const file of volume.files) {
+      result.push(file);
+      visitSections(file.sections);
+    }
+  }
+  volumes.forEach(visitVolume);
+  return result;
+}
+
+/**
+ * Returns the leaf sections of a file, looking into encapsulation sections.
+ *
+ * @param {FfsFile} file
+ * @returns {FfsSection[]}
+ */
+export function getLeafSections(file) {
+  return flattenSections(file.sections);
+}
+
+/**
+ * @param {FfsSection[]} sections
+ * @returns {FfsSection[]}
+ */
+function flattenSections(sections) {
+  return sections.flatMap((section) =>
+    section.sections ? flattenSections(section.sections) : [section]
+  );
+}
+
+/**
+ * @param {bytes} bytes
+ * @param {number} offset
+ * @returns {boolean}
+ */
+function isFirmwareVolume(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (
+    offset + FV_HEADER_MIN_SIZE > bytes.length ||
+    view.getUint32(offset + 40, LE) !== FV_SIGNATURE
+  ) {
+    return false;
+  }
+  const headerLength = view.getUint16(offset + 48, LE);
+  if (
+    headerLength < FV_HEADER_MIN_SIZE ||
+    headerLength % 2 !== 0 ||
+    offset + headerLength > bytes.length
+  ) {
+    return false;
+  }
+  let sum = 0;
+  for (let i = 0; i < headerLength; i += 2) {
+    sum += view.getUint16(offset + i, LE);
+  }
+  return (sum & 0xffff) === 0;
+}
+
+/**
+ * @param {bytes} bytes
+ * @param {number} offset
+ * @returns {FirmwareVolume}
+ */
+function parseFirmwareVolume(bytes, offset) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const fileSystem = bytesToUuid(bytes.subarray(offset + 16));
+  const length = Number(view.getBigUint64(offset + 32, LE));
+  const attributes = view.getUint32(offset + 44, LE);
+  const headerLength = view.getUint16(offset + 48, LE);
+  if (length < headerLength || offset + length > bytes.length) {
+    throw new Error("Firmware volume overruns image boundary");
+  }
+  const extHeaderOffset = view.getUint16(offset + 52, LE);
+  const volume = bytes.subarray(offset, offset + length);
+
+  let name;
+  let filesOffset = headerLength;
+  if (extHeaderOffset !== 0) {
+    if (extHeaderOffset + 20 > length) {
+      throw new Error("Firmware volume extended header overruns volume");
+    }
+    name = bytesToUuid(volume.subarray(extHeaderOffset));
+    filesOffset = align(
+      extHeaderOffset + view.getUint32(offset + extHeaderOffset + 16, LE),
+      8
+    );
+  }
+
+  return {
+    offset,
+    length,
+    fileSystem,
+    name,
+    files: FFS_FILE_SYSTEMS.includes(fileSystem)
+      ? parseFfsFiles(
+          volume,
+          filesOffset,
+          Boolean(attributes & EFI_FVB2_ERASE_POLARITY)
+        )
+      : [],
+  };
+}
+
+/**
+ * @param {bytes} volume
+ * @param {number} offset
+ * @param {boolean} erasePolarity
+ * @returns {FfsFile[]}
+ */
+function parseFfsFiles(volume, offset, erasePolarity) {
+  const view = new DataView(
+    volume.buffer,
+    volume.byteOffset,
+    volume.byteLength
+  );
+  const erasedByte = erasePolarity ? 0xff : 0x00;
+  /**
+   * @type {FfsFile[]}
+   */
+  const files = [];
+  while (offset + 24 <= volume.length) {
+    const header = volume.subarray(offset, offset + 24);
+    if (header.every((byte) => byte === erasedByte)) {
+      break;
+    }
+    const type = volume[offset + 18];
+    const attributes = volume[offset + 19];
+    let size = view.getUint32(offset + 20, LE) & 0xffffff;
+    let headerSize = 24;
+    if (attributes & FFS_ATTRIB_LARGE_FILE) {
+      size = Number(view.getBigUint64(offset + 24, LE));
+      headerSize = 32;
+    }
+    if (size < headerSize || offset + size > volume.length) {
+      throw new Error("FFS file overruns firmware volume");
+    }
+    const state = erasePolarity
+      ? ~volume[offset + 23] & 0xff
+      : volume[offset + 23];
+    if (state & EFI_FILE_DATA_VALID && !(state & EFI_FILE_DELETED)) {
+      const data = volume.subarray(offset + headerSize, offset + size);
+      const sections =
+        type === EFI_FV_FILETYPE_RAW || type === EFI_FV_FILETYPE_FFS_PAD
+          ? []
+          : parseSections(data);
+      const leaves = flattenSections(sections);
+      const userInterface = leaves.find(
+        (section) => section.type === EFI_SECTION_USER_INTERFACE
+      );
+      const version = leaves.find(
+        (section) => section.type === EFI_SECTION_VERSION
+      );
+      files.push({
+        name: bytesToUuid(header),
+        type,
+        typeName: FFS_FILE_TYPES.get(type) ?? `0x${type.toString(16)}`,
+        userInterface: userInterface
+          ? decodeUcs2(userInterface.data)
+          : undefined,
+        version: version ? decodeUcs2(version.data.subarray(2)) : undefined,
+        data,
+        sections,
+      });
+    }
+    offset = align(offset + size, 8);
+  }
+  return files;
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {FfsSection[]}
+ */
+function parseSections(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  /**
+   * @type {FfsSection[]}
+   */
+  const sections = [];
+  let offset = 0;
+  while (offset + 4 <= bytes.length) {
+    let size = view.getUint32(offset, LE) & 0xffffff;
+    const type = bytes[offset + 3];
+    let headerSize = 4;
+    if (size === 0xffffff) {
+      if (offset + 8 > bytes.length) {
+        throw new Error("FFS section header overruns file");
+      }
+      size = view.getUint32(offset + 4, LE);
+      headerSize = 8;
+    }
+    if (size < headerSize || offset + size > bytes.length) {
+      throw new Error("FFS section overruns file");
+    }
+    sections.push(
+      parseSection(
+        type,
+        bytes.subarray(offset + headerSize, offset + size),
+        headerSize
+      )
+    );
+    offset = align(offset + size, 4);
+  }
+  return sections;
+}
+
+/**
+ * @param {number} type
+ * @param {bytes} data
+ * @param {number} headerSize Size of the common section header, which offsets
+ *   in the section count from
+ * @returns {FfsSection}
+ */
+function parseSection(type, data, headerSize) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  /**
+   * @type {FfsSection}
+   */
+  const section = {
+    type,
+    typeName: SECTION_TYPES.get(type) ?? `0x${type.toString(16)}`,
+    data,
+  };
+  switch (type) {
+    case EFI_SECTION_COMPRESSION:
+      // Only uncompressed data, EFI and Tiano compression are not supported
+      if (data.length >= 5 && data[4] === 0) {
+        section.sections = parseSections(data.subarray(5));
+      }
+      break;
+    case EFI_SECTION_GUID_DEFINED: {
+      if (data.length < 20) {
+        throw new Error("GUID-defined section header overruns section");
+      }
+      const guid = bytesToUuid(data);
+      const dataOffset = view.getUint16(16, LE) - headerSize;
+      const attributes = view.getUint16(18, LE);
+      const contents = data.subarray(dataOffset);
+      section.guid = guid;
+      if (guid === LZMA_CUSTOM_DECOMPRESS_GUID) {
+        section.sections = parseSections(decompressLzma(contents));
+      } else if (
+        guid === CRC32_GUIDED_SECTION_GUID ||
+        !(attributes & EFI_GUIDED_SECTION_PROCESSING_REQUIRED)
+      ) {
+        section.sections = parseSections(contents);
+      }
+      break;
+    }
+    case EFI_SECTION_FIRMWARE_VOLUME_IMAGE:
+      if (isFirmwareVolume(data, 0)) {
+        section.volume = parseFirmwareVolume(data, 0);
+      }
+      break;
+    case EFI_SECTION_FREEFORM_SUBTYPE_GUID:
+      if (data.length >= 16) {
+        section.guid = bytesToUuid(data);
+      }
+      break;
+  }
+  return section;
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function decodeUcs2(bytes) {
+  const text = utf16LeDecoder.decode(bytes.subarray(0, bytes.length & ~1));
+  const end = text.indexOf("\0");
+  return end < 0 ? text : text.slice(0, end);
+}
+
+/**
+ * @param {number} value
+ * @param {number} alignment
+ * @returns {number}
+ */
+function align(value, alignment) {
+  return Math.ceil(value / alignment) * alignment;
+}
+
+const LE = true;
+const BE = false;
+
+const utf16LeDecoder = new TextDecoder("utf-16le");
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function bytesToUuid(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, 16);
+  return [
+    view.getUint32(0, LE).toString(16).padStart(8, "0"),
+    "-",
+    view.getUint16(4, LE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint16(6, LE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint16(8, BE).toString(16).padStart(4, "0"),
+    "-",
+    view.getUint32(10, BE).toString(16).padStart(8, "0"),
+    view.getUint16(14, BE).toString(16).padStart(4, "0"),
+  ].join("");
+}
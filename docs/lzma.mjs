@@ -0,0 +1,373 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+const HEADER_SIZE = 13;
+const PROB_INIT = 1024;
+const STATES = 12;
+const POS_STATES_MAX = 16;
+const LEN_TO_POS_STATES = 4;
+const END_POS_MODEL_INDEX = 14;
+const FULL_DISTANCES = 128;
+const ALIGN_BITS = 4;
+const MATCH_MIN_LEN = 2;
+
+/**
+ * Decompresses LZMA data with the 13-byte header of the .lzma format, as
+ * produced by edk2 LzmaCompress and `xz --format=lzma`.
+ *
+ * @param {bytes} bytes
+ * @returns {bytes}
+ */
+export function decompressLzma(bytes) {
+  if (bytes.length < HEADER_SIZE) {
+    throw new Error("Data too short for LZMA header");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let properties = bytes[0];
+  if (properties >= 9 * 5 * 5) {
+    throw new Error("Invalid LZMA properties");
+  }
+  const lc = properties % 9;
+  properties = Math.floor(properties / 9);
+  const lp = properties % 5;
+  const pb = Math.floor(properties / 5);
+  const dictionarySize = view.getUint32(1, true);
+  const sizeLow = view.getUint32(5, true);
+  const sizeHigh = view.getUint32(9, true);
+  const sizeKnown = sizeLow !== 0xffffffff || sizeHigh !== 0xffffffff;
+  if (sizeKnown && sizeHigh !== 0) {
+    throw new Error("LZMA uncompressed size is too large");
+  }
+  return new LzmaDecoder(
+    bytes.subarray(HEADER_SIZE),
+    lc,
+    lp,
+    pb,
+    dictionarySize,
+    sizeKnown ? sizeLow : null
+  ).decode();
+}
+
+class RangeDecoder {
+  /**
+   * @param {bytes} bytes
+   */
+  constructor(bytes) {
+    if (bytes.length < 5 || bytes[0] !== 0) {
+      throw new Error("Invalid LZMA range coder data");
+    }
+    this.bytes = bytes;
+    this.offset = 5;
+    this.range = 0xffffffff;
+    this.code =
+      ((bytes[1] << 24) | (bytes[2] << 16) | (bytes[3] << 8) | bytes[4]) >>> 0;
+    if (this.code === this.range) {
+      throw new Error("Invalid LZMA range coder data");
+    }
+  }
+
+  normalize() {
+    if (this.range < 0x1000000) {
+      if (this.offset >= this.bytes.length) {
+        throw new Error("LZMA data is truncated");
+      }
+      this.range = (this.range << 8) >>> 0;
+      this.code = ((this.code << 8) | this.bytes[this.offset++]) >>> 0;
+    }
+  }
+
+  /**
+   * @param {Uint16Array} probs
+   * @param {number} index
+   * @returns {number}
+   */
+  decodeBit(probs, index) {
+    const prob = probs[index];
+    const bound = (this.range >>> 11) * prob;
+    let bit;
+    if (this.code < bound) {
+      probs[index] = prob + ((2048 - prob) >>> 5);
+      this.range = bound;
+      bit = 0;
+    } else {
+      probs[index] = prob - (prob >>> 5);
+      this.code -= bound;
+      this.range -= bound;
+      bit = 1;
+    }
+    this.normalize();
+    return bit;
+  }
+
+  /**
+   * @param {number} count
+   * @returns {number}
+   */
+  decodeDirectBits(count) {
+    let result = 0;
+    for (let i = 0; i < count; i++) {
+      this.range >>>= 1;
+      result *= 2;
+      if (this.code >= this.range) {
+        this.code -= this.range;
+        result += 1;
+      }
+      this.normalize();
+    }
+    return result;
+  }
+
+  /**
+   * @param {Uint16Array} probs
+   * @param {number} offset
+   * @param {number} bits
+   * @returns {number}
+   */
+  decodeBitTree(probs, offset, bits) {
+    let m = 1;
+    for (let i = 0; i < bits; i++) {
+      m = (m << 1) + this.decodeBit(probs, offset + m);
+    }
+    return m - (1 << bits);
+  }
+
+  /**
+   * @param {Uint16Array} probs
+   * @param {number} offset
+   * @param {number} bits
+   * @returns {number}
+   */
+  decodeReverseBitTree(probs, offset, bits) {
+    let m = 1;
+    let symbol = 0;
+    for (let i = 0; i < bits; i++) {
+      const bit = this.decodeBit(probs, offset + m);
+      m = (m << 1) + bit;
+      symbol |= bit << i;
+    }
+    return symbol;
+  }
+}
+
+class LengthDecoder {
+  constructor() {
+    this.choice = new Uint16Array(2).fill(PROB_INIT);
+    this.low = new Uint16Array(POS_STATES_MAX << 3).fill(PROB_INIT);
+    this.mid = new Uint16Array(POS_STATES_MAX << 3).fill(PROB_INIT);
+    this.high = new Uint16Array(256).fill(PROB_INIT);
+  }
+
+  /**
+   * @param {RangeDecoder} rc
+   * @param {number} posState
+   * @returns {number}
+   */
+  decode(rc, posState) {
+    if (rc.decodeBit(this.choice, 0) === 0) {
+      return rc.decodeBitTree(this.low, posState << 3, 3);
+    }
+    if (rc.decodeBit(this.choice, 1) === 0) {
+      return 8 + rc.decodeBitTree(this.mid, posState << 3, 3);
+    }
+    return 16 + rc.decodeBitTree(this.high, 0, 8);
+  }
+}
+
+class LzmaDecoder {
+  /**
+   * @param {bytes} bytes Range coder data
+   * @param {number} lc
+   * @param {number} lp
+   * @param {number} pb
+   * @param {number} dictionarySize
+   * @param {number|null} size Uncompressed size, or null if the data ends
+   *   with an end marker
+   */
+  constructor(bytes, lc, lp, pb, dictionarySize, size) {
+    this.rc = new RangeDecoder(bytes);
+    this.lc = lc;
+    this.lp = lp;
+    this.pb = pb;
+    this.dictionarySize = dictionarySize;
+    this.size = size;
+    /**
+     * @type {bytes}
+     */
+    this.output = new Uint8Array(size ?? Math.max(bytes.length * 4, 0x1000));
+    this.position = 0;
+
+    this.literals = new Uint16Array(0x300 << (lc + lp)).fill(PROB_INIT);
+    this.posSlots = new Uint16Array(LEN_TO_POS_STATES << 6).fill(PROB_INIT);
+    this.posDecoders = new Uint16Array(
+      1 + FULL_DISTANCES - END_POS_MODEL_INDEX
+    ).fill(PROB_INIT);
+    this.align = new Uint16Array(1 << ALIGN_BITS).fill(PROB_INIT);
+    this.isMatch = new Uint16Array(STATES << 4).fill(PROB_INIT);
+    this.isRep = new Uint16Array(STATES).fill(PROB_INIT);
+    this.isRepG0 = new Uint16Array(STATES).fill(PROB_INIT);
+    this.isRepG1 = new Uint16Array(STATES).fill(PROB_INIT);
+    this.isRepG2 = new Uint16Array(STATES).fill(PROB_INIT);
+    this.isRep0Long = new Uint16Array(STATES << 4).fill(PROB_INIT);
+    this.lengths = new LengthDecoder();
+    this.repLengths = new LengthDecoder();
+  }
+
+  /**
+   * @returns {bytes}
+   */
+  decode() {
+    const rc = this.rc;
+    const posMask = (1 << this.pb) - 1;
+    let state = 0;
+    // Distances of the last four matches, most recent first
+    const reps = [0, 0, 0, 0];
+
+    while (this.size === null || this.position < this.size) {
+      const posState = this.position & posMask;
+      if (rc.decodeBit(this.isMatch, (state << 4) + posState) === 0) {
+        this.decodeLiteral(state, reps[0]);
+        state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+        continue;
+      }
+
+      let length;
+      if (rc.decodeBit(this.isRep, state) !== 0) {
+        if (this.position === 0) {
+          throw new Error("LZMA data is corrupted");
+        }
+        let index = 0;
+        if (rc.decodeBit(this.isRepG0, state) !== 0) {
+          index =
+            rc.decodeBit(this.isRepG1, state) === 0
+              ? 1
+              : rc.decodeBit(this.isRepG2, state) === 0
+              ? 2
+              : 3;
+        } else if (
+          rc.decodeBit(this.isRep0Long, (state << 4) + posState) === 0
+        ) {
+          state = state < 7 ? 9 : 11;
+          this.putByte(this.output[this.position - reps[0] - 1]);
+          continue;
+        }
+        reps.unshift(...reps.splice(index, 1));
+        length = this.repLengths.decode(rc, posState);
+        state = state < 7 ? 8 : 11;
+      } else {
+        length = this.lengths.decode(rc, posState);
+        state = state < 7 ? 7 : 10;
+        const distance = this.decodeDistance(length);
+        if (distance === 0xffffffff) {
+          if (this.size !== null) {
+            throw new Error("Unexpected LZMA end marker");
+          }
+          return this.output.slice(0, this.position);
+        }
+        if (distance >= this.position || distance >= this.dictionarySize) {
+          throw new Error("LZMA data is corrupted");
+        }
+        reps.pop();
+        reps.unshift(distance);
+      }
+
+      length += MATCH_MIN_LEN;
+      if (this.size !== null && this.position + length > this.size) {
+        throw new Error("LZMA data exceeds the uncompressed size");
+      }
+      const start = this.position - reps[0] - 1;
+      for (let i = 0; i < length; i++) {
+        this.putByte(this.output[start + i]);
+      }
+    }
+    return this.output;
+  }
+
+  /**
+   * @param {number} state
+   * @param {number} rep0
+   */
+  decodeLiteral(state, rep0) {
+    const rc = this.rc;
+    const previous = this.position > 0 ? this.output[this.position - 1] : 0;
+    const literalState =
+      ((this.position & ((1 << this.lp) - 1)) << this.lc) +
+      (previous >>> (8 - this.lc));
+    const offset = 0x300 * literalState;
+    let symbol = 1;
+    if (state >= 7) {
+      let matchByte = this.output[this.position - rep0 - 1];
+      while (symbol < 0x100) {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = rc.decodeBit(
+          this.literals,
+          offset + ((1 + matchBit) << 8) + symbol
+        );
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) {
+          break;
+        }
+      }
+    }
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | rc.decodeBit(this.literals, offset + symbol);
+    }
+    this.putByte(symbol - 0x100);
+  }
+
+  /**
+   * @param {number} length
+   * @returns {number}
+   */
+  decodeDistance(length) {
+    const rc = this.rc;
+    const lenState = Math.min(length, LEN_TO_POS_STATES - 1);
+    const posSlot = rc.decodeBitTree(this.posSlots, lenState << 6, 6);
+    if (posSlot < 4) {
+      return posSlot;
+    }
+    const directBits = (posSlot >>> 1) - 1;
+    let distance = (2 | (posSlot & 1)) * 2 ** directBits;
+    if (posSlot < END_POS_MODEL_INDEX) {
+      distance += rc.decodeReverseBitTree(
+        this.posDecoders,
+        distance - posSlot,
+        directBits
+      );
+    } else {
+      distance +=
+        rc.decodeDirectBits(directBits - ALIGN_BITS) * 2 ** ALIGN_BITS;
+      distance += rc.decodeReverseBitTree(this.align, 0, ALIGN_BITS);
+    }
+    return distance;
+  }
+
+  /**
+   * @param {number} byte
+   */
+  putByte(byte) {
+    if (this.position === this.output.length) {
+      const output = new Uint8Array(this.output.length * 2);
+      output.set(this.output);
+      this.output = output;
+    }
+    this.output[this.position++] = byte;
+  }
+}
@@ -0,0 +1,139 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} TdQuote
+ * @property {TdQuoteHeader} header
+ * @property {TdReportBody} body
+ * @property {bytes} signatureData
+ */
+
+/**
+ * @typedef {Object} TdQuoteHeader
+ * @property {number} version
+ * @property {number} attestationKeyType
+ * @property {number} teeType
+ * @property {bytes} qeVendorId
+ * @property {bytes} userData
+ */
+
+/**
+ * @typedef {Object} TdReportBody
+ * @property {bytes} teeTcbSvn
+ * @property {bytes} mrSeam
+ * @property {bytes} mrSignerSeam
+ * @property {bytes} seamAttributes
+ * @property {bytes} tdAttributes
+ * @property {bytes} xfam
+ * @property {bytes} mrtd
+ * @property {bytes} mrConfigId
+ * @property {bytes} mrOwner
+ * @property {bytes} mrOwnerConfig
+ * @property {bytes[]} rtmrs
+ * @property {bytes} reportData
+ */
+
+const QUOTE_HEADER_SIZE = 48;
+const TD_REPORT_BODY_SIZE = 584;
+const TEE_TYPE_TDX = 0x81;
+
+/**
+ * Parses an Intel® TDX DCAP quote (version 4).
+ *
+ * The signature data is returned as is and is not verified.
+ *
+ * @param {bytes} bytes
+ * @returns {TdQuote}
+ */
+export function parseQuote(bytes) {
+  if (bytes.length < QUOTE_HEADER_SIZE + TD_REPORT_BODY_SIZE + 4) {
+    throw new Error("Data too short for TDX quote");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  const version = view.getUint16(0, LE);
+  if (version !== 4) {
+    throw new Error(`Unsupported quote version: ${version}`);
+  }
+  const teeType = view.getUint32(4, LE);
+  if (teeType !== TEE_TYPE_TDX) {
+    throw new Error(`Not a TDX quote: TEE type 0x${teeType.toString(16)}`);
+  }
+
+  const header = {
+    version,
+    attestationKeyType: view.getUint16(2, LE),
+    teeType,
+    qeVendorId: bytes.slice(12, 28),
+    userData: bytes.slice(28, 48),
+  };
+
+  const body = parseTdReportBody(
+    bytes.subarray(QUOTE_HEADER_SIZE, QUOTE_HEADER_SIZE + TD_REPORT_BODY_SIZE)
+  );
+
+  const signatureOffset = QUOTE_HEADER_SIZE + TD_REPORT_BODY_SIZE;
+  const signatureLength = view.getUint32(signatureOffset, LE);
+  if (signatureOffset + 4 + signatureLength > bytes.length) {
+    throw new Error("Quote signature data overruns quote boundary");
+  }
+
+  return {
+    header,
+    body,
+    signatureData: bytes.slice(
+      signatureOffset + 4,
+      signatureOffset + 4 + signatureLength
+    ),
+  };
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {TdReportBody}
+ */
+function parseTdReportBody(bytes) {
+  /**
+   * @param {number} offset
+   * @param {number} length
+   * @returns {bytes}
+   */
+  function field(offset, length) {
+    return bytes.slice(offset, offset + length);
+  }
+
+  return {
+    teeTcbSvn: field(0, 16),
+    mrSeam: field(16, 48),
+    mrSignerSeam: field(64, 48),
+    seamAttributes: field(112, 8),
+    tdAttributes: field(120, 8),
+    xfam: field(128, 8),
+    mrtd: field(136, 48),
+    mrConfigId: field(184, 48),
+    mrOwner: field(232, 48),
+    mrOwnerConfig: field(280, 48),
+    rtmrs: [field(328, 48), field(376, 48), field(424, 48), field(472, 48)],
+    reportData: field(520, 64),
+  };
+}
+
+const LE = true;
@@ -14,6 +14,18 @@
 
 // @ts-check
 
+import {
+  getAllFfsFiles,
+  getLeafSections,
+  parseFirmwareVolumes,
+} from "./fv.mjs";
+import { Sha384 } from "./sha384.mjs";
+import {
+  getCertificateChain,
+  parseCertificate,
+  parseSignedData,
+} from "./x509.mjs";
+
 /**
  * @typedef {Uint8Array<ArrayBuffer>} bytes
  */
@@ -30,12 +42,35 @@
  * @property {bytes} kernel
  * @property {bytes} [initrd]
  * @property {string} [cmdline]
+ * @property {"systemd"|"linux"} [ukiStub] Stub of the unified kernel image.
+ *   Detected from the .sdmagic section if omitted
+ * @property {NamedFile[]} [credentials] Credentials (*.cred) that
+ *   systemd-stub picks up next to the unified kernel image
+ * @property {NamedFile[]} [sysexts] System extensions (*.raw) that
+ *   systemd-stub picks up next to the unified kernel image
+ * @property {number} [profile] Profile of a multi-profile unified kernel
+ *   image, 0 by default
+ * @property {NamedFile[]} [addons] Add-ons (*.addon.efi) that systemd-stub
+ *   loads next to the unified kernel image
+ * @property {bytes[]} [bootOptions] EFI_LOAD_OPTION values of Boot0000,
+ *   Boot0001, etc., e.g. the disk's boot option that Cloud Hypervisor boots
+ *   from. Those of the firmware profile by default
+ */
+
+/**
+ * @typedef {Object} NamedFile
+ * @property {string} name
+ * @property {bytes} data
  */
 
 /**
  * @typedef {Object} TdHardware
  * @property {number} totalMemoryBytes
  * @property {bytes} acpiTables
+ * @property {string} [vmm] ID of the VMM that launches the TD, "qemu" by
+ *   default
+ * @property {number} [maxRamBelow4g] QEMU -machine max-ram-below-4g, which
+ *   caps the RAM below the 32-bit PCI hole. Not set by default
  */
 
 /**
@@ -45,73 +80,120 @@
  * @property {{[key:string]:string}} metadata
  * @property {number} register
  * @property {bytes} digest
+ * @property {bytes} [data] Event data as it appears in the event log
+ */
+
+/**
+ * @typedef {Object} ReproduceOptions
+ * @property {AbortSignal} [signal] Aborts the computation with the signal's
+ *   reason
+ * @property {(progress: Progress) => void} [onProgress]
+ */
+
+/**
+ * @typedef {Object} Progress
+ * @property {string} stage
+ * @property {number} done
+ * @property {number} total
  */
 
 const PAGE_SIZE = 0x1000;
+const PAGES_PER_CHECKPOINT = 256;
+const BYTES_PER_CHECKPOINT = 16 * 1024 * 1024;
 
 /**
  * @param {TdFirmware} firmware
+ * @param {ReproduceOptions} [options]
  * @returns {Promise<bytes>}
  */
-export async function reproduceMrtd(firmware) {
+export async function reproduceMrtd(firmware, options = {}) {
+  const hash = new Sha384();
+  const bytes = new Uint8Array(128);
+  const view = new DataView(bytes.buffer);
+  const totalPages = firmware.tdxMetadataSections.reduce(
+    (sum, section) =>
+      sum + (section.memSize / PAGE_SIZE) * (section.extendMr ? 2 : 1),
+    0
+  );
+  let donePages = 0;
   /**
-   * @type {bytes[]}
+   * @returns {Promise<void>}
    */
-  const parts = [];
+  async function pageDone() {
+    donePages++;
+    if (donePages % PAGES_PER_CHECKPOINT === 0) {
+      await checkpoint(options, {
+        stage: "MRTD pages",
+        done: donePages,
+        total: totalPages,
+      });
+    }
+  }
+
   for (const section of firmware.tdxMetadataSections) {
     const numPages = section.memSize / PAGE_SIZE;
     for (let i = 0; i < numPages; i++) {
-      const bytes = new Uint8Array(128);
-      const view = new DataView(bytes.buffer);
+      await pageDone();
+      bytes.fill(0);
       utf8encoder.encodeInto("MEM.PAGE.ADD", bytes);
       view.setBigUint64(16, BigInt(section.memBase + i * PAGE_SIZE), LE);
-      parts.push(bytes);
+      hash.update(bytes);
     }
     if (section.extendMr) {
       for (let i = 0; i < numPages; i++) {
+        await pageDone();
         for (let j = 0; j < PAGE_SIZE / 0x100; j++) {
-          const bytes = new Uint8Array(128);
-          const view = new DataView(bytes.buffer);
+          bytes.fill(0);
           utf8encoder.encodeInto("MR.EXTEND", bytes);
           const offsetVal = i * PAGE_SIZE + j * 0x100;
           view.setBigUint64(16, BigInt(section.memBase + offsetVal), LE);
-          parts.push(bytes);
+          hash.update(bytes);
           const fwOffset = section.rawOffset + offsetVal;
-          parts.push(firmware.bytes.subarray(fwOffset, fwOffset + 0x80));
-          parts.push(
-            firmware.bytes.subarray(fwOffset + 0x80, fwOffset + 0x100)
-          );
+          hash.update(firmware.bytes.subarray(fwOffset, fwOffset + 0x100));
         }
       }
     }
   }
-  return await sha384(concatBytes(parts));
+  return hash.digest();
 }
 
 /**
  * @typedef {Object} RtmrResult
  * @property {bytes[]} registers
  * @property {TdEvent[]} events
+ * @property {string[]} warnings e.g. a register cannot be reproduced
  */
 
 /**
  * @param {TrustDomain} td
+ * @param {ReproduceOptions} [options]
  * @returns {Promise<RtmrResult>}
  */
-export async function reproduceRtmr(td) {
+export async function reproduceRtmr(td, options = {}) {
+  const { events, warnings } = await reproduceEvents(td, options);
+  return { registers: await replayRtmr(events), events, warnings };
+}
+
+/**
+ * Extends zero-initialized RTMRs with event digests in order.
+ *
+ * @param {TdEvent[]} events
+ * @returns {Promise<bytes[]>}
+ */
+export async function replayRtmr(events) {
   const registers = [
     new Uint8Array(48),
     new Uint8Array(48),
     new Uint8Array(48),
     new Uint8Array(48),
   ];
-  const events = await reproduceEvents(td);
   for (const ev of events) {
-    registers[ev.register] = await sha384(
-      concatBytes([registers[ev.register], ev.digest])
-    );
+    registers[ev.register] = new Sha384()
+      .update(registers[ev.register])
+      .update(ev.digest)
+      .digest();
   }
-  return { registers, events };
+  return registers;
 }
 
 const EFI_ACTIONS = [
@@ -122,295 +204,1136 @@ const EFI_ACTIONS = [
 
 const GLOBAL_VAR_GUID = "8be4df61-93ca-11d2-aa0d-00e098032b8c";
 const SECURITY_DB_GUID = "d719b2cb-3d3a-4596-a3bc-dad00e67656f";
+const OVMF_TOKEN_SPACE_GUID = "93bb96af-b9f2-4eb8-9462-e0ba74564236";
+const QEMU_KERNEL_LOADER_FS_MEDIA_GUID = "1428f772-b64a-441e-b8c3-9ebdd7f893c7";
+const EFI_HOB_LIST_GUID = "7739f24c-93d7-11d4-9a3a-0090273fc14d";
+
+/**
+ * UKI sections that systemd-stub measures, in the order it measures them.
+ * .pcrsig is not measured since it holds signatures of the measurements.
+ */
+const SYSTEMD_STUB_MEASURED_SECTIONS = [
+  ".linux",
+  ".osrel",
+  ".cmdline",
+  ".initrd",
+  ".ucode",
+  ".splash",
+  ".dtb",
+  ".uname",
+  ".sbat",
+  ".pcrpkey",
+  ".profile",
+];
+
+const INITRD_EVENT_TAG_ID = 0x8f3b22ec;
+const LOAD_OPTIONS_EVENT_TAG_ID = 0x8f3b22ed;
 
 /**
  * @param {TrustDomain} td
- * @returns {Promise<TdEvent[]>}
+ * @param {ReproduceOptions} options
+ * @returns {Promise<{events: TdEvent[], warnings: string[]}>}
  */
-async function reproduceEvents(td) {
+async function reproduceEvents(td, options) {
   /**
    * @type {TdEvent[]}
    */
   const events = [];
+  /**
+   * @type {string[]}
+   */
+  const warnings = [];
 
   /**
    * @param {string} name
    * @param {string} type
    * @param {number} register
    * @param {{[key:string]:string}} metadata
-   * @param {bytes} preimage
+   * @param {bytes|bytes[]} preimage Bytes to hash, or consecutive parts of them
+   * @param {bytes} [data] Defaults to the preimage
    */
-  async function addEvent(name, type, register, metadata, preimage) {
+  async function addEvent(name, type, register, metadata, preimage, data) {
+    const parts = Array.isArray(preimage) ? preimage : [preimage];
+    const total = parts.reduce((sum, part) => sum + part.length, 0);
+    const hash = new Sha384();
+    let done = 0;
+    await checkpoint(options, { stage: name, done, total });
+    for (const part of parts) {
+      for (let i = 0; i < part.length; i += BYTES_PER_CHECKPOINT) {
+        const chunk = part.subarray(i, i + BYTES_PER_CHECKPOINT);
+        hash.update(chunk);
+        done += chunk.length;
+        if (done < total) {
+          await checkpoint(options, { stage: name, done, total });
+        }
+      }
+    }
     events.push({
       name,
       type,
       register,
       metadata,
-      digest: await sha384(preimage),
+      digest: hash.digest(),
+      data: data ?? concatBytes(parts),
     });
   }
 
-  const memoryLayout = getMemoryLayout(td.hardware.totalMemoryBytes);
+  const secureBoot =
+    getSecureBootVariableValue(td.firmware.efiVariables).length > 0;
+  /**
+   * @type {bytes[]}
+   */
+  const measuredAuthorities = [];
+
+  /**
+   * DxeImageVerificationLib logs the db entry that verified an image before
+   * DxeTpm2MeasureBootLib measures the image itself, once per entry.
+   *
+   * @param {bytes} image
+   */
+  async function addAuthorityEvent(image) {
+    if (!secureBoot) {
+      return;
+    }
+    const authority = getImageAuthority(
+      image,
+      td.firmware.secureBootKeys.get("db") ?? []
+    );
+    if (measuredAuthorities.some((x) => bytesEqual(x, authority))) {
+      return;
+    }
+    measuredAuthorities.push(authority);
+    await addEvent(
+      "Image signature authority",
+      "EV_EFI_VARIABLE_AUTHORITY",
+      0,
+      { name: "db", alias: "EFI_IMAGE_SECURITY_DATABASE" },
+      getDriverConfigVariable(SECURITY_DB_GUID, "db", authority)
+    );
+  }
+
+  const vmm = getVmm(td.hardware.vmm ?? DEFAULT_VMM);
+  const memoryLayout = vmm.getMemoryLayout(td.hardware);
 
-  const hob = getHobHashPreimage(td.firmware.tdxMetadataSections, memoryLayout);
+  const profile = td.firmware.profile;
+  /**
+   * @type {EventContext}
+   */
+  const context = {
+    td,
+    profile,
+    vmm,
+    memoryLayout,
+    addEvent,
+    addAuthorityEvent,
+    addWarning: (warning) => warnings.push(warning),
+  };
+  for (const step of profile.vmmSteps?.[vmm.id] ?? profile.steps) {
+    await step(context);
+  }
 
-  await addEvent(
-    "TD Hand-Off Block (HOB)",
-    "EV_EFI_HANDOFF_TABLES2",
-    0,
-    {},
-    hob
-  );
+  return { events, warnings };
+}
 
-  for (const section of td.firmware.tdxMetadataSections) {
-    if (section.sectionType === "CFV") {
-      const cfv = td.firmware.bytes.subarray(
-        section.rawOffset,
-        section.rawOffset + section.rawSize
-      );
-      await addEvent(
-        "Configuration Firmware Volume (CFV)",
-        "EV_EFI_PLATFORM_FIRMWARE_BLOB2",
-        0,
-        {},
-        cfv
-      );
+/**
+ * Reports progress, lets other tasks run, such as abort requests, and throws
+ * if the computation is aborted. Yields only if there is a signal or a
+ * progress callback to yield for.
+ *
+ * @param {ReproduceOptions} options
+ * @param {Progress} progress
+ * @returns {Promise<void>}
+ */
+async function checkpoint(options, progress) {
+  if (!options.signal && !options.onProgress) {
+    return;
+  }
+  options.signal?.throwIfAborted();
+  options.onProgress?.(progress);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  options.signal?.throwIfAborted();
+}
+
+/**
+ * @param {Map<string,bytes>} efiVariables
+ * @returns {bytes}
+ */
+function getSecureBootVariableValue(efiVariables) {
+  if (
+    efiVariables.has("PK") &&
+    (efiVariables.get("SecureBootEnable")?.[0] ?? 1) === 1
+  ) {
+    return new Uint8Array([1]);
+  }
+
+  return new Uint8Array();
+}
+
+/**
+ * @param {string} typeUuid
+ * @param {string} name
+ * @param {bytes|undefined} data
+ * @returns {bytes}
+ */
+function getDriverConfigVariable(typeUuid, name, data) {
+  data = data || new Uint8Array(0);
+  const firstBytes = new Uint8Array(32);
+  const view = new DataView(firstBytes.buffer);
+  firstBytes.set(uuidToBytes(typeUuid), 0);
+  view.setBigUint64(16, BigInt(name.length), LE);
+  view.setBigUint64(24, BigInt(data.length), LE);
+  return concatBytes([firstBytes, utf16LeEncoder.encode(name), data]);
+}
+
+/**
+ * Finds the EFI_SIGNATURE_DATA in db that verifies the Authenticode
+ * signature of the image, the way DxeImageVerificationLib does: the first
+ * X.509 certificate that is either in the signer's chain or issued a
+ * certificate in it. Signatures themselves are not verified.
+ *
+ * @param {bytes} image
+ * @param {EfiSignatureList[]} db
+ * @returns {bytes}
+ */
+function getImageAuthority(image, db) {
+  const signatures = db.flatMap((list) => list.signatures);
+
+  for (const certificate of getPeCertificates(image)) {
+    if (certificate.type !== WIN_CERT_TYPE_PKCS_SIGNED_DATA) {
+      continue;
+    }
+    const signedData = parseSignedData(certificate.data);
+    const chain = signedData.signers.flatMap((signer) =>
+      getCertificateChain(signedData, signer)
+    );
+    for (const signature of signatures) {
+      const trusted = signature.certificate;
+      if (
+        trusted &&
+        chain.some(
+          (cert) =>
+            bytesEqual(cert.raw, trusted.raw) ||
+            bytesEqual(cert.issuer, trusted.subject)
+        )
+      ) {
+        return signature.raw;
+      }
     }
   }
 
-  await addEvent(
-    "Secure boot mode",
-    "EV_EFI_VARIABLE_DRIVER_CONFIG",
-    0,
-    { name: "SecureBoot", alias: "EFI_SECURE_BOOT_MODE_NAME" },
-    getDriverConfigVariable(
-      GLOBAL_VAR_GUID,
-      "SecureBoot",
-      getSecureBootVariableValue(td.firmware.efiVariables)
-    )
+  throw new Error(
+    "Secure Boot is enabled, but the image is not signed by a certificate in db"
   );
+}
 
-  await addEvent(
-    "Public platform key",
-    "EV_EFI_VARIABLE_DRIVER_CONFIG",
-    0,
-    { name: "PK", alias: "EFI_PLATFORM_KEY_NAME" },
-    getDriverConfigVariable(
-      GLOBAL_VAR_GUID,
-      "PK",
-      td.firmware.efiVariables.get("PK")
-    )
+/**
+ * UEFI_HANDOFF_TABLE_POINTERS2 that TDVF logs for the TD HOB.
+ *
+ * @param {TdxMetadataSection[]} tdxMetadataSections
+ * @returns {bytes}
+ */
+function getHandoffTablesEventData(tdxMetadataSections) {
+  const hobSection = tdxMetadataSections.find(
+    (section) => section.sectionType === "TD_HOB"
   );
+  const result = new Uint8Array(42);
+  const view = new DataView(result.buffer);
+  result[0] = 9;
+  utf8encoder.encodeInto("TdxTable\0", result.subarray(1));
+  view.setBigUint64(10, 1n, LE);
+  result.set(uuidToBytes(OVMF_TOKEN_SPACE_GUID), 18);
+  view.setBigUint64(34, BigInt(hobSection?.memBase ?? 0), LE);
+  return result;
+}
 
-  await addEvent(
-    "Key exchange key signature database",
-    "EV_EFI_VARIABLE_DRIVER_CONFIG",
-    0,
-    {
-      name: "KEK",
-      alias: "EFI_KEY_EXCHANGE_KEY_NAME",
-    },
-    getDriverConfigVariable(
-      GLOBAL_VAR_GUID,
-      "KEK",
-      td.firmware.efiVariables.get("KEK")
-    )
+/**
+ * UEFI_PLATFORM_FIRMWARE_BLOB2 that TDVF logs for a firmware volume
+ * without a name.
+ *
+ * @param {TdxMetadataSection} section
+ * @returns {bytes}
+ */
+function getFirmwareBlobEventData(section) {
+  const description = "Fv(XXXXXXXX-XXXX-XXXX-XXXX-XXXXXXXXXXXX)\0";
+  const result = new Uint8Array(1 + description.length + 16);
+  const view = new DataView(result.buffer);
+  result[0] = description.length;
+  utf8encoder.encodeInto(description, result.subarray(1));
+  view.setBigUint64(1 + description.length, BigInt(section.memBase), LE);
+  view.setBigUint64(9 + description.length, BigInt(section.rawSize), LE);
+  return result;
+}
+
+/**
+ * HANDOFF_TABLE_POINTERS2 that td-shim logs for the TD HOB.
+ *
+ * @param {TdxMetadataSection[]} tdxMetadataSections
+ * @returns {bytes}
+ */
+function getTdShimHandoffTablesEventData(tdxMetadataSections) {
+  const hobSection = tdxMetadataSections.find(
+    (section) => section.sectionType === "TD_HOB"
   );
-  await addEvent(
-    "Authorized signature database",
-    "EV_EFI_VARIABLE_DRIVER_CONFIG",
-    0,
-    {
-      name: "db",
-      alias: "EFI_IMAGE_SECURITY_DATABASE",
-    },
-    getDriverConfigVariable(
-      SECURITY_DB_GUID,
-      "db",
-      td.firmware.efiVariables.get("db")
-    )
+  const result = new Uint8Array(41);
+  const view = new DataView(result.buffer);
+  result[0] = 8;
+  utf8encoder.encodeInto("td_hob\0", result.subarray(1));
+  view.setBigUint64(9, 1n, LE);
+  result.set(uuidToBytes(EFI_HOB_LIST_GUID), 17);
+  view.setBigUint64(33, BigInt(hobSection?.memBase ?? 0), LE);
+  return result;
+}
+
+/**
+ * UEFI_PLATFORM_FIRMWARE_BLOB2 that td-shim logs for the payload.
+ *
+ * @param {number} base
+ * @param {number} length
+ * @returns {bytes}
+ */
+function getTdShimPayloadEventData(base, length) {
+  const description = "td_payload\0";
+  const result = new Uint8Array(1 + description.length + 16);
+  const view = new DataView(result.buffer);
+  result[0] = description.length;
+  utf8encoder.encodeInto(description, result.subarray(1));
+  view.setBigUint64(1 + description.length, BigInt(base), LE);
+  view.setBigUint64(9 + description.length, BigInt(length), LE);
+  return result;
+}
+
+/**
+ * TD_SHIM_PLATFORM_CONFIG_INFO header followed by the information.
+ *
+ * @param {string} descriptor Up to 16 characters
+ * @param {bytes} info
+ * @returns {bytes}
+ */
+function getTdShimPlatformConfigEventData(descriptor, info) {
+  const header = new Uint8Array(20);
+  utf8encoder.encodeInto(descriptor, header);
+  new DataView(header.buffer).setUint32(16, info.length, LE);
+  return concatBytes([header, info]);
+}
+
+/**
+ * UEFI_IMAGE_LOAD_EVENT. Load addresses are not known ahead of boot and are
+ * left zero.
+ *
+ * @param {bytes} image
+ * @param {bytes} devicePath
+ * @returns {bytes}
+ */
+function getImageLoadEventData(image, devicePath) {
+  const header = new Uint8Array(32);
+  const view = new DataView(header.buffer);
+  view.setBigUint64(8, BigInt(image.length), LE);
+  view.setBigUint64(24, BigInt(devicePath.length), LE);
+  return concatBytes([header, devicePath]);
+}
+
+/**
+ * Device path of the kernel that QEMU passes via fw_cfg.
+ *
+ * @returns {bytes}
+ */
+function getKernelLoaderDevicePath() {
+  return concatBytes([
+    new Uint8Array([0x04, 0x03, 0x14, 0x00]),
+    uuidToBytes(QEMU_KERNEL_LOADER_FS_MEDIA_GUID),
+    new Uint8Array([0x04, 0x04, 0x12, 0x00]),
+    utf16LeEncoder.encode("kernel\0"),
+    new Uint8Array([0x7f, 0xff, 0x04, 0x00]),
+  ]);
+}
+
+/**
+ * TCG_PCClientTaggedEvent as logged by the Linux EFI stub.
+ *
+ * @param {number} tagId
+ * @param {string} description
+ * @returns {bytes}
+ */
+function getTaggedEventData(tagId, description) {
+  const header = new Uint8Array(8);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, tagId, LE);
+  view.setUint32(4, description.length + 1, LE);
+  return concatBytes([header, utf8encoder.encode(description + "\0")]);
+}
+
+/**
+ * Inputs that systemd-stub adds to the initrd of a UKI: it prepends .ucode
+ * and appends cpio archives that it generates for credentials, system
+ * extensions, .pcrsig and .pcrpkey.
+ *
+ * @param {TdSoftware} software
+ * @param {Map<string, PeSection>} ukiSections
+ * @returns {string[]}
+ */
+function getSystemdStubInitrdParts(software, ukiSections) {
+  const parts = [".ucode", ".pcrsig", ".pcrpkey"].filter(
+    (name) => (ukiSections.get(name)?.body.length ?? 0) > 0
   );
-  await addEvent(
-    "Forbidden signature database",
-    "EV_EFI_VARIABLE_DRIVER_CONFIG",
-    0,
-    {
-      name: "dbx",
-      alias: "EFI_IMAGE_SECURITY_DATABASE1",
-    },
-    getDriverConfigVariable(
-      SECURITY_DB_GUID,
-      "dbx",
-      td.firmware.efiVariables.get("dbx")
-    )
+  if (software.credentials?.length) {
+    parts.push("credentials");
+  }
+  if (software.sysexts?.length) {
+    parts.push("system extensions");
+  }
+  return parts;
+}
+
+/**
+ * Replaces control characters with spaces and strips trailing spaces, like
+ * systemd-stub does for command lines from UKIs and add-ons.
+ *
+ * @param {string} cmdline
+ * @returns {string}
+ */
+function mangleStubCmdline(cmdline) {
+  return cmdline.replace(/[\x00-\x1f]/g, " ").replace(/ +$/, "");
+}
+
+/**
+ * @template {{name: string}} T
+ * @param {T[]} files
+ * @returns {T[]}
+ */
+function sortByName(files) {
+  return [...files].sort((a, b) =>
+    a.name < b.name ? -1 : a.name > b.name ? 1 : 0
   );
+}
+
+/**
+ * @returns {bytes}
+ */
+function getUiAppBootOption() {
+  return concatBytes([
+    new Uint8Array([0x09, 0x01, 0x00, 0x00, 0x2c, 0x00]),
+    utf16LeEncoder.encode("UiApp\0"),
+    new Uint8Array([0x04, 0x07, 0x14, 0x00]),
+    uuidToBytes("7cb8bdc9-f8eb-4f34-aaea-3ee4af6516a1"),
+    new Uint8Array([0x04, 0x06, 0x14, 0x00]),
+    uuidToBytes("462caa21-7614-4503-836e-8ab6f4662331"),
+    new Uint8Array([0x7f, 0xff, 0x04, 0x00]),
+  ]);
+}
+
+// ------------------------------------------------------------------------------
+// Firmware profiles
+// ------------------------------------------------------------------------------
+
+/**
+ * Describes the events that a firmware build logs, so that releases which log
+ * a different set or order of events can be added without changing
+ * reproduceEvents.
+ *
+ * @typedef {Object} FirmwareProfile
+ * @property {string} id
+ * @property {string} name e.g. the package version
+ * @property {FirmwareStep[]} steps Steps that prepare the inputs and log
+ *   events, in boot order
+ * @property {{[vmm: string]: FirmwareStep[]}} [vmmSteps] Steps for the VMMs,
+ *   by ID, with which the build boots differently than with QEMU
+ * @property {bytes[]} [bootOptions] EFI_LOAD_OPTION values of Boot0000,
+ *   Boot0001, etc. that the bootVariables step logs unless the software sets
+ *   them. Only UiApp by default
+ * @property {string[]} [versions] Firmware version strings of the builds the
+ *   profile is tested with, used to choose the profile for an image
+ */
+
+/**
+ * @callback FirmwareStep
+ * @param {EventContext} context
+ * @returns {Promise<void>}
+ */
+
+/**
+ * @typedef {Object} EventContext
+ * @property {TrustDomain} td
+ * @property {FirmwareProfile} profile
+ * @property {Vmm} vmm
+ * @property {TdMemoryLayout} memoryLayout
+ * @property {AddEvent} addEvent
+ * @property {(image: bytes) => Promise<void>} addAuthorityEvent Logs the db
+ *   entry that verifies the image if Secure Boot is enabled
+ * @property {(warning: string) => void} addWarning Reports an input that the
+ *   events may not be reproduced for
+ */
+
+/**
+ * @callback AddEvent
+ * @param {string} name
+ * @param {string} type
+ * @param {number} register
+ * @param {{[key:string]:string}} metadata
+ * @param {bytes|bytes[]} preimage Bytes to hash, or consecutive parts of them
+ * @param {bytes} [data] Defaults to the preimage
+ * @returns {Promise<void>}
+ */
+
+/**
+ * Building blocks of firmware profiles.
+ *
+ * @type {{[name: string]: FirmwareStep}}
+ */
+export const firmwareSteps = {
+  // QEMU patches the setup header of the kernel it passes through fw_cfg
+  patchKernel: async ({ td, vmm, memoryLayout }) => {
+    vmm.patchKernel?.(td.software, memoryLayout);
+  },
+
+  handoffTables: async ({ td, vmm, memoryLayout, addEvent }) => {
+    const hob = vmm.getHobHashPreimage(td, memoryLayout);
+
+    await addEvent(
+      "TD Hand-Off Block (HOB)",
+      "EV_EFI_HANDOFF_TABLES2",
+      0,
+      {},
+      hob,
+      getHandoffTablesEventData(td.firmware.tdxMetadataSections)
+    );
+  },
+
+  configurationFirmwareVolume: async ({ td, addEvent }) => {
+    for (const section of td.firmware.tdxMetadataSections) {
+      if (section.sectionType === "CFV") {
+        const cfv = td.firmware.bytes.subarray(
+          section.rawOffset,
+          section.rawOffset + section.rawSize
+        );
+        await addEvent(
+          "Configuration Firmware Volume (CFV)",
+          "EV_EFI_PLATFORM_FIRMWARE_BLOB2",
+          0,
+          {},
+          cfv,
+          getFirmwareBlobEventData(section)
+        );
+      }
+    }
+  },
+
+  secureBootVariables: async ({ td, addEvent }) => {
+    await addEvent(
+      "Secure boot mode",
+      "EV_EFI_VARIABLE_DRIVER_CONFIG",
+      0,
+      { name: "SecureBoot", alias: "EFI_SECURE_BOOT_MODE_NAME" },
+      getDriverConfigVariable(
+        GLOBAL_VAR_GUID,
+        "SecureBoot",
+        getSecureBootVariableValue(td.firmware.efiVariables)
+      )
+    );
+
+    await addEvent(
+      "Public platform key",
+      "EV_EFI_VARIABLE_DRIVER_CONFIG",
+      0,
+      { name: "PK", alias: "EFI_PLATFORM_KEY_NAME" },
+      getDriverConfigVariable(
+        GLOBAL_VAR_GUID,
+        "PK",
+        td.firmware.efiVariables.get("PK")
+      )
+    );
+
+    await addEvent(
+      "Key exchange key signature database",
+      "EV_EFI_VARIABLE_DRIVER_CONFIG",
+      0,
+      {
+        name: "KEK",
+        alias: "EFI_KEY_EXCHANGE_KEY_NAME",
+      },
+      getDriverConfigVariable(
+        GLOBAL_VAR_GUID,
+        "KEK",
+        td.firmware.efiVariables.get("KEK")
+      )
+    );
+    await addEvent(
+      "Authorized signature database",
+      "EV_EFI_VARIABLE_DRIVER_CONFIG",
+      0,
+      {
+        name: "db",
+        alias: "EFI_IMAGE_SECURITY_DATABASE",
+      },
+      getDriverConfigVariable(
+        SECURITY_DB_GUID,
+        "db",
+        td.firmware.efiVariables.get("db")
+      )
+    );
+    await addEvent(
+      "Forbidden signature database",
+      "EV_EFI_VARIABLE_DRIVER_CONFIG",
+      0,
+      {
+        name: "dbx",
+        alias: "EFI_IMAGE_SECURITY_DATABASE1",
+      },
+      getDriverConfigVariable(
+        SECURITY_DB_GUID,
+        "dbx",
+        td.firmware.efiVariables.get("dbx")
+      )
+    );
+  },
+
+  separator: async ({ addEvent }) => {
+    await addEvent("Separator", "EV_SEPARATOR", 0, {}, new Uint8Array(4));
+  },
+
+  acpiTables: async ({ td, vmm, addEvent }) => {
+    if (!vmm.getTableLoader || !vmm.getRsdp) {
+      // The ACPI tables are measured as part of the TD HOB
+      return;
+    }
+    const acpiTables = parseAcpiTables(td.hardware.acpiTables);
+    await addEvent(
+      "QEMU ACPI table loader",
+      "EV_PLATFORM_CONFIG_FLAGS",
+      0,
+      { fileName: "etc/table-loader" },
+      vmm.getTableLoader(acpiTables),
+      utf8encoder.encode("etc/table-loader\0")
+    );
+    await addEvent(
+      "Root System Description Pointer (RSDP)",
+      "EV_PLATFORM_CONFIG_FLAGS",
+      0,
+      { fileName: "etc/acpi/rsdp" },
+      vmm.getRsdp(acpiTables),
+      utf8encoder.encode("etc/acpi/rsdp\0")
+    );
+    await addEvent(
+      "ACPI tables",
+      "EV_PLATFORM_CONFIG_FLAGS",
+      0,
+      { fileName: "etc/acpi/tables" },
+      td.hardware.acpiTables,
+      utf8encoder.encode("etc/acpi/tables\0")
+    );
+  },
+
+  // OVMF starts the image of the boot option after logging the boot variables
+  // and the EFI action. Its device path on the disk is not known, and only
+  // the event data depends on it.
+  bootOptionImage: async (context) => {
+    await addKernelImageEvent(context, new Uint8Array(0));
+  },
+
+  kernelImage: async (context) => {
+    await addKernelImageEvent(context, getKernelLoaderDevicePath());
+  },
+
+  bootVariables: async ({ td, profile, addEvent }) => {
+    const bootOptions = td.software.bootOptions ??
+      profile.bootOptions ?? [getUiAppBootOption()];
+    const bootOrder = new Uint8Array(bootOptions.length * 2);
+    const view = new DataView(bootOrder.buffer);
+    bootOptions.forEach((_, i) => view.setUint16(i * 2, i, LE));
+    await addEvent(
+      "BootOrder boot variable",
+      "EV_EFI_VARIABLE_BOOT",
+      0,
+      {},
+      bootOrder,
+      getDriverConfigVariable(GLOBAL_VAR_GUID, "BootOrder", bootOrder)
+    );
+    for (const [i, bootOption] of bootOptions.entries()) {
+      const name = "Boot" + i.toString(16).toUpperCase().padStart(4, "0");
+      await addEvent(
+        `${name} boot variable`,
+        "EV_EFI_VARIABLE_BOOT",
+        0,
+        {},
+        bootOption,
+        getDriverConfigVariable(GLOBAL_VAR_GUID, name, bootOption)
+      );
+    }
+  },
+
+  callingEfiApplication: async ({ addEvent }) => {
+    await addEvent(
+      EFI_ACTIONS[0],
+      "EV_EFI_ACTION",
+      1,
+      {},
+      utf8encoder.encode(EFI_ACTIONS[0])
+    );
+  },
+
+  payload: async ({ td, vmm, addEvent, addAuthorityEvent, addWarning }) => {
+    const kernelPe = parsePe(td.software.kernel);
+    const ukiSections = getUkiSections(kernelPe, td.software.profile ?? 0);
+    const linuxSection = ukiSections.get(".linux");
+    const isUki = Boolean(linuxSection);
+
+    const ukiStub =
+      td.software.ukiStub ??
+      (kernelPe.sections.some((x) => x.name === ".sdmagic")
+        ? "systemd"
+        : "linux");
+    const isSystemdStub = isUki && ukiStub === "systemd";
+    let addonCmdline = "";
+    if (isSystemdStub) {
+      // PCR 11 for sections and PCR 12 and 13 for add-ons, credentials and
+      // system extensions all map to RTMR2. Without a TPM, systemd-stub logs
+      // plain EV_IPL events described by UTF-16 strings.
+      for (const name of SYSTEMD_STUB_MEASURED_SECTIONS) {
+        const section = ukiSections.get(name);
+        if (!section || section.body.length === 0) {
+          continue;
+        }
+        const description = utf16LeEncoder.encode(name + "\0");
+        await addEvent(
+          `UKI section name ${name}`,
+          "EV_IPL",
+          2,
+          { section: name },
+          utf8encoder.encode(name + "\0"),
+          description
+        );
+        await addEvent(
+          `UKI section ${name}`,
+          "EV_IPL",
+          2,
+          { section: name },
+          section.body,
+          description
+        );
+      }
+
+      const addons = sortByName(td.software.addons ?? []).map((addon) => ({
+        name: addon.name,
+        image: addon.data,
+        sections: getUkiSections(parsePe(addon.data), 0),
+      }));
+      for (const addon of addons) {
+        await addAuthorityEvent(addon.image);
+        await addEvent(
+          `UKI add-on ${addon.name}`,
+          "EV_EFI_BOOT_SERVICES_APPLICATION",
+          1,
+          { fileName: addon.name },
+          getPeHashPreimage(addon.image),
+          getImageLoadEventData(addon.image, new Uint8Array(0))
+        );
+      }
+
+      addonCmdline = addons
+        .map((addon) => addon.sections.get(".cmdline")?.body)
+        .filter((body) => body !== undefined)
+        .map((body) => mangleStubCmdline(utf8decoder.decode(body)))
+        .filter((x) => x)
+        .join(" ");
+      if (addonCmdline) {
+        await addEvent(
+          "UKI add-on command-line parameters",
+          "EV_IPL",
+          2,
+          { cmdline: addonCmdline },
+          utf16LeEncoder.encode(addonCmdline + "\0"),
+          utf16LeEncoder.encode("LOADED_IMAGE::LoadOptions\0")
+        );
+      }
+
+      for (const addon of addons) {
+        const dtb = addon.sections.get(".dtb");
+        if (dtb) {
+          await addEvent(
+            `UKI add-on devicetree ${addon.name}`,
+            "EV_IPL",
+            2,
+            { fileName: addon.name },
+            dtb.body,
+            utf16LeEncoder.encode(addon.name + "\0")
+          );
+        }
+      }
+
+      /** @type {[NamedFile[]|undefined, string][]} */
+      const extras = [
+        [td.software.credentials, "Credentials initrd"],
+        [td.software.sysexts, "System extension initrd"],
+      ];
+      for (const [files, description] of extras) {
+        for (const file of sortByName(files ?? [])) {
+          await addEvent(
+            description,
+            "EV_IPL",
+            2,
+            { fileName: file.name },
+            file.data,
+            utf16LeEncoder.encode(description + "\0")
+          );
+        }
+      }
+    }
+
+    if (linuxSection) {
+      await addEvent(
+        "Linux kernel",
+        "EV_EFI_BOOT_SERVICES_APPLICATION",
+        1,
+        {},
+        getPeHashPreimage(linuxSection.body),
+        getImageLoadEventData(linuxSection.body, new Uint8Array(0))
+      );
+    }
+
+    let initrd = null;
+    let cmdline = null;
+
+    if (isUki) {
+      initrd = ukiSections.get(".initrd")?.body;
+      if (isSystemdStub) {
+        const combined = getSystemdStubInitrdParts(td.software, ukiSections);
+        if (combined.length > 0) {
+          addWarning(
+            "RTMR2 cannot be reproduced: systemd-stub passes the kernel the " +
+              `.initrd section combined with ${combined.join(", ")}, and the ` +
+              "initial ramdisk event measures the combination"
+          );
+        }
+      }
+      const cmdlineSection = ukiSections.get(".cmdline");
+      if (cmdlineSection) {
+        cmdline = utf8decoder.decode(cmdlineSection.body);
+      }
+      if (isSystemdStub) {
+        cmdline =
+          [cmdline === null ? "" : mangleStubCmdline(cmdline), addonCmdline]
+            .filter((x) => x)
+            .join(" ") || null;
+      }
+    } else {
+      initrd = td.software.initrd;
+      cmdline = vmm.getKernelCmdline
+        ? vmm.getKernelCmdline(td.software)
+        : td.software.cmdline || null;
+    }
 
-  await addEvent("Separator", "EV_SEPARATOR", 0, {}, new Uint8Array(4));
+    if (cmdline !== null) {
+      await addEvent(
+        "Linux kernel command-line parameters",
+        "EV_EVENT_TAG",
+        2,
+        { cmdline: cmdline, tagName: "LOADED_IMAGE::LoadOptions" },
+        utf16LeEncoder.encode(cmdline + "\0"),
+        getTaggedEventData(
+          LOAD_OPTIONS_EVENT_TAG_ID,
+          "LOADED_IMAGE::LoadOptions"
+        )
+      );
+    }
+    if (initrd) {
+      await addEvent(
+        "Linux initial ramdisk",
+        "EV_EVENT_TAG",
+        2,
+        { tagName: "Linux initrd" },
+        initrd,
+        getTaggedEventData(INITRD_EVENT_TAG_ID, "Linux initrd")
+      );
+    }
+  },
 
-  const acpiTables = parseAcpiTables(td.hardware.acpiTables);
-  await addEvent(
-    "QEMU ACPI table loader",
-    "EV_PLATFORM_CONFIG_FLAGS",
-    0,
-    { fileName: "etc/table-loader" },
-    getTableLoader(acpiTables)
-  );
-  await addEvent(
-    "Root System Description Pointer (RSDP)",
-    "EV_PLATFORM_CONFIG_FLAGS",
-    0,
-    { fileName: "etc/acpi/rsdp" },
-    getRsdp(acpiTables)
-  );
-  await addEvent(
-    "ACPI tables",
-    "EV_PLATFORM_CONFIG_FLAGS",
-    0,
-    { fileName: "etc/acpi/tables" },
-    td.hardware.acpiTables
-  );
+  exitBootServices: async ({ addEvent }) => {
+    await addEvent(
+      EFI_ACTIONS[1],
+      "EV_EFI_ACTION",
+      1,
+      {},
+      utf8encoder.encode(EFI_ACTIONS[1])
+    );
+    await addEvent(
+      EFI_ACTIONS[2],
+      "EV_EFI_ACTION",
+      1,
+      {},
+      utf8encoder.encode(EFI_ACTIONS[2])
+    );
+  },
+
+  tdShimHandoffTables: async ({ td, vmm, memoryLayout, addEvent }) => {
+    await addEvent(
+      "TD Hand-Off Block (HOB)",
+      "EV_EFI_HANDOFF_TABLES2",
+      0,
+      {},
+      vmm.getHobHashPreimage(td, memoryLayout),
+      getTdShimHandoffTablesEventData(td.firmware.tdxMetadataSections)
+    );
+  },
+
+  // td-shim boots the kernel with the Linux boot protocol and measures it as
+  // loaded by the VMM, followed by the command line in the payload parameter
+  // section
+  tdShimPayload: async ({ td, addEvent }) => {
+    if (td.software.initrd) {
+      throw new Error("td-shim does not load an initial ramdisk");
+    }
+    const kernel = td.software.kernel;
+    const isPe = kernel[0] === 0x4d && kernel[1] === 0x5a; // "MZ"
+    if (isPe && getUkiSections(parsePe(kernel), 0).has(".linux")) {
+      throw new Error("td-shim does not boot unified kernel images");
+    }
+    const payloadSection = td.firmware.tdxMetadataSections.find(
+      (section) => section.sectionType === "Payload"
+    );
+    await addEvent(
+      "Payload",
+      "EV_EFI_PLATFORM_FIRMWARE_BLOB2",
+      1,
+      {},
+      kernel,
+      getTdShimPayloadEventData(payloadSection?.memBase ?? 0, kernel.length)
+    );
 
-  qemuPatchKernel(td.software, memoryLayout);
+    const cmdline = td.software.cmdline ?? "";
+    const parameter = utf8encoder.encode(cmdline + "\0");
+    await addEvent(
+      "Payload parameter",
+      "EV_PLATFORM_CONFIG_FLAGS",
+      1,
+      { cmdline },
+      parameter,
+      getTdShimPlatformConfigEventData("td_payload_info", parameter)
+    );
+  },
+};
 
+/**
+ * @param {EventContext} context
+ * @param {bytes} devicePath
+ * @returns {Promise<void>}
+ */
+async function addKernelImageEvent(
+  { td, addEvent, addAuthorityEvent },
+  devicePath
+) {
   const kernelPe = parsePe(td.software.kernel);
-  const linuxSection = kernelPe.sections.find((x) => x.name === ".linux\0\0");
-  const isUki = Boolean(linuxSection);
+  const ukiSections = getUkiSections(kernelPe, td.software.profile ?? 0);
+  const isUki = ukiSections.has(".linux");
 
+  await addAuthorityEvent(td.software.kernel);
   await addEvent(
     isUki ? "Linux unified kernel image" : "Linux kernel",
     "EV_EFI_BOOT_SERVICES_APPLICATION",
     1,
     {},
-    getPeHashPreimage(td.software.kernel)
+    getPeHashPreimage(td.software.kernel),
+    getImageLoadEventData(td.software.kernel, devicePath)
   );
+}
 
-  await addEvent(
-    "BootOrder boot variable",
-    "EV_EFI_VARIABLE_BOOT",
-    0,
-    {},
-    new Uint8Array(2)
-  );
-  await addEvent(
-    "Boot0000 boot variable",
-    "EV_EFI_VARIABLE_BOOT",
-    0,
-    {},
-    getUiAppBootOption()
-  );
-  await addEvent(
-    EFI_ACTIONS[0],
-    "EV_EFI_ACTION",
-    1,
-    {},
-    utf8encoder.encode(EFI_ACTIONS[0])
-  );
+/**
+ * Event sequence of the TDX-enabled OVMF builds from the Canonical TDX PPA.
+ * 2024.02 and 2024.05 measure the same events in the same order, so they share
+ * a profile.
+ *
+ * @type {FirmwareStep[]}
+ */
+const OVMF_TDX_STEPS = [
+  firmwareSteps.patchKernel,
+  firmwareSteps.handoffTables,
+  firmwareSteps.configurationFirmwareVolume,
+  firmwareSteps.secureBootVariables,
+  firmwareSteps.separator,
+  firmwareSteps.acpiTables,
+  firmwareSteps.kernelImage,
+  firmwareSteps.bootVariables,
+  firmwareSteps.callingEfiApplication,
+  firmwareSteps.separator,
+  firmwareSteps.payload,
+  firmwareSteps.exitBootServices,
+];
 
-  await addEvent("Separator", "EV_SEPARATOR", 0, {}, new Uint8Array(4));
+/**
+ * Event sequence of the same builds with Cloud Hypervisor. Without fw_cfg,
+ * there are no QEMU ACPI table events, and the kernel or UKI is booted from the
+ * TD's disk as a boot option instead of being loaded before the boot
+ * variables are logged.
+ *
+ * @type {FirmwareStep[]}
+ */
+const OVMF_TDX_CLOUD_HYPERVISOR_STEPS = [
+  firmwareSteps.handoffTables,
+  firmwareSteps.configurationFirmwareVolume,
+  firmwareSteps.secureBootVariables,
+  firmwareSteps.separator,
+  firmwareSteps.bootVariables,
+  firmwareSteps.callingEfiApplication,
+  firmwareSteps.separator,
+  firmwareSteps.bootOptionImage,
+  firmwareSteps.payload,
+  firmwareSteps.exitBootServices,
+];
 
-  if (linuxSection) {
-    await addEvent(
-      "Linux kernel",
-      "EV_EFI_BOOT_SERVICES_APPLICATION",
+/**
+ * @type {Map<string, FirmwareProfile>}
+ */
+const firmwareProfiles = new Map([
+  [
+    "ovmf-tdx",
+    {
+      id: "ovmf-tdx",
+      name: "OVMF from the Canonical TDX PPA",
+      steps: OVMF_TDX_STEPS,
+      vmmSteps: { "cloud-hypervisor": OVMF_TDX_CLOUD_HYPERVISOR_STEPS },
+      versions: ["2024.02-3+tdx1.0", "2024.05-2ubuntu0.1+tdx1.0"],
+    },
+  ],
+  [
+    "td-shim",
+    {
+      id: "td-shim",
+      name: "td-shim",
+      steps: [firmwareSteps.tdShimHandoffTables, firmwareSteps.tdShimPayload],
+    },
+  ],
+]);
 
-      1,
-      {},
-      getPeHashPreimage(linuxSection.body)
-    );
-  }
+export const DEFAULT_FIRMWARE_PROFILE = "ovmf-tdx";
 
-  let initrd = null;
-  let cmdline = null;
+/**
+ * Adds a firmware profile or replaces the one with the same ID. Profiles are
+ * kept per JavaScript realm: the web app computes measurements in worker.mjs,
+ * so a profile that the app uses must be registered there, and also on the
+ * main thread to be listed among the builds.
+ *
+ * @param {FirmwareProfile} profile
+ */
+export function registerFirmwareProfile(profile) {
+  firmwareProfiles.set(profile.id, profile);
+}
 
-  if (isUki) {
-    initrd = kernelPe.sections.find((x) => x.name === ".initrd\0")?.body;
-    const cmdlineSection = kernelPe.sections.find((x) => x.name === ".cmdline");
-    if (cmdlineSection) {
-      cmdline = utf8decoder.decode(cmdlineSection.body);
-    }
-  } else {
-    initrd = td.software.initrd;
-    cmdline = td.software.cmdline
-      ? td.software.cmdline + (td.software.initrd ? " initrd=initrd" : "")
-      : null;
-  }
+/**
+ * @returns {FirmwareProfile[]}
+ */
+export function getFirmwareProfiles() {
+  return Array.from(firmwareProfiles.values());
+}
 
-  if (cmdline !== null) {
-    await addEvent(
-      "Linux kernel command-line parameters",
-      "EV_EVENT_TAG",
-      2,
-      { cmdline: cmdline, tagName: "LOADED_IMAGE::LoadOptions" },
-      utf16LeEncoder.encode(cmdline + "\0")
+/**
+ * @param {string} id
+ * @returns {FirmwareProfile}
+ */
+function getFirmwareProfile(id) {
+  const profile = firmwareProfiles.get(id);
+  if (!profile) {
+    throw new Error(
+      `Unknown firmware profile: ${id}. Known profiles: ${Array.from(
+        firmwareProfiles.keys()
+      ).join(", ")}`
     );
   }
-  if (initrd) {
-    await addEvent("Linux initial ramdisk", "EV_EVENT_TAG", 2, {}, initrd);
-  }
+  return profile;
+}
 
-  await addEvent(
-    EFI_ACTIONS[1],
-    "EV_EFI_ACTION",
-    1,
-    {},
-    utf8encoder.encode(EFI_ACTIONS[1])
-  );
+// ------------------------------------------------------------------------------
+// VMMs
+// ------------------------------------------------------------------------------
 
-  await addEvent(
-    EFI_ACTIONS[2],
-    "EV_EFI_ACTION",
-    1,
-    {},
-    utf8encoder.encode(EFI_ACTIONS[2])
-  );
+/**
+ * Describes how a VMM hands the platform and the kernel to the firmware.
+ *
+ * @typedef {Object} Vmm
+ * @property {string} id
+ * @property {string} name
+ * @property {(hardware: Omit<TdHardware, "acpiTables">) => TdMemoryLayout}
+ *   getMemoryLayout
+ * @property {(td: TrustDomain, memoryLayout: TdMemoryLayout) => bytes}
+ *   getHobHashPreimage Measured part of the TD HOB that the VMM builds
+ * @property {(tables: AcpiTable[]) => bytes} [getTableLoader] fw_cfg
+ *   etc/table-loader. Omitted if the VMM does not pass ACPI tables through
+ *   fw_cfg
+ * @property {(tables: AcpiTable[]) => bytes} [getRsdp] fw_cfg etc/acpi/rsdp
+ * @property {(software: TdSoftware, memoryLayout: TdMemoryLayout) => void}
+ *   [patchKernel] Applies the changes that the VMM makes to the kernel it
+ *   passes to the firmware
+ * @property {(software: TdSoftware) => string|null} [getKernelCmdline]
+ *   Command line that a kernel other than a UKI is started with,
+ *   software.cmdline by default
+ */
 
-  return events;
-}
+/**
+ * @type {Map<string, Vmm>}
+ */
+const vmms = new Map([
+  [
+    "qemu",
+    {
+      id: "qemu",
+      name: "QEMU",
+      getMemoryLayout: qemuGetMemoryLayout,
+      getHobHashPreimage: qemuGetHobHashPreimage,
+      getTableLoader,
+      getRsdp,
+      patchKernel: qemuPatchKernel,
+      getKernelCmdline: qemuGetKernelCmdline,
+    },
+  ],
+  [
+    "cloud-hypervisor",
+    {
+      id: "cloud-hypervisor",
+      name: "Cloud Hypervisor",
+      getMemoryLayout: cloudHypervisorGetMemoryLayout,
+      getHobHashPreimage: cloudHypervisorGetHobHashPreimage,
+    },
+  ],
+]);
+
+export const DEFAULT_VMM = "qemu";
 
 /**
- * @param {Map<string,bytes>} efiVariables
- * @returns {bytes}
+ * Adds a VMM or replaces the one with the same ID.
+ *
+ * @param {Vmm} vmm
  */
-function getSecureBootVariableValue(efiVariables) {
-  if (
-    efiVariables.has("PK") &&
-    (efiVariables.get("SecureBootEnable")?.[0] ?? 1) === 1
-  ) {
-    return new Uint8Array([1]);
-  }
+export function registerVmm(vmm) {
+  vmms.set(vmm.id, vmm);
+}
 
-  return new Uint8Array();
+/**
+ * @returns {Vmm[]}
+ */
+export function getVmms() {
+  return Array.from(vmms.values());
 }
 
 /**
- * @param {string} typeUuid
- * @param {string} name
- * @param {bytes|undefined} data
- * @returns {bytes}
+ * RAM ranges of the TD, which the HOB resource descriptors and the initrd
+ * placement are based on.
+ *
+ * @param {Omit<TdHardware, "acpiTables">} hardware
+ * @returns {TdMemoryLayout}
  */
-function getDriverConfigVariable(typeUuid, name, data) {
-  data = data || new Uint8Array(0);
-  const firstBytes = new Uint8Array(32);
-  const view = new DataView(firstBytes.buffer);
-  firstBytes.set(uuidToBytes(typeUuid), 0);
-  view.setBigUint64(16, BigInt(name.length), LE);
-  view.setBigUint64(24, BigInt(data.length), LE);
-  return concatBytes([firstBytes, utf16LeEncoder.encode(name), data]);
+export function getMemoryLayout(hardware) {
+  return getVmm(hardware.vmm ?? DEFAULT_VMM).getMemoryLayout(hardware);
 }
 
 /**
- * @returns {bytes}
+ * @param {string} id
+ * @returns {Vmm}
  */
-function getUiAppBootOption() {
-  return concatBytes([
-    new Uint8Array([0x09, 0x01, 0x00, 0x00, 0x2c, 0x00]),
-    utf16LeEncoder.encode("UiApp\0"),
-    new Uint8Array([0x04, 0x07, 0x14, 0x00]),
-    uuidToBytes("7cb8bdc9-f8eb-4f34-aaea-3ee4af6516a1"),
-    new Uint8Array([0x04, 0x06, 0x14, 0x00]),
-    uuidToBytes("462caa21-7614-4503-836e-8ab6f4662331"),
-    new Uint8Array([0x7f, 0xff, 0x04, 0x00]),
-  ]);
+function getVmm(id) {
+  const vmm = vmms.get(id);
+  if (!vmm) {
+    throw new Error(
+      `Unknown VMM: ${id}. Known VMMs: ${Array.from(vmms.keys()).join(", ")}`
+    );
+  }
+  return vmm;
 }
 
 // ------------------------------------------------------------------------------
@@ -422,6 +1345,7 @@ function getUiAppBootOption() {
  * @property {string} signature
  * @property {number} offset
  * @property {number} length
+ * @property {number} revision
  */
 
 /**
@@ -446,8 +1370,9 @@ function parseAcpiTables(bytes) {
       break;
     }
     const length = view.getUint32(offset + 4, LE);
+    const revision = offset + 8 < bytes.length ? bytes[offset + 8] : 0;
 
-    result.push({ signature, offset, length });
+    result.push({ signature, offset, length, revision });
     offset += length;
   }
 
@@ -455,29 +1380,35 @@ function parseAcpiTables(bytes) {
 }
 
 /**
+ * QEMU builds an ACPI 2.0 RSDP if the tables have an XSDT, and an ACPI 1.0 one
+ * otherwise.
+ *
  * @param {AcpiTable[]} tables
  * @returns {bytes}
  */
 function getRsdp(tables) {
-  let rsdtOffset = 0;
-  for (const table of tables) {
-    if (table.signature === "RSDT") {
-      rsdtOffset = table.offset;
-      break;
-    }
-  }
+  const rsdt = tables.find((table) => table.signature === "RSDT");
+  const xsdt = tables.find((table) => table.signature === "XSDT");
 
-  const result = new Uint8Array(20);
+  const result = new Uint8Array(xsdt ? 36 : 20);
   const view = new DataView(result.buffer);
   utf8encoder.encodeInto("RSD PTR ", result);
   result[8] = 0;
   utf8encoder.encodeInto("BOCHS ", result.subarray(9));
-  result[15] = 0;
-  view.setUint32(16, rsdtOffset, LE);
+  result[15] = xsdt ? 2 : 0;
+  view.setUint32(16, rsdt?.offset ?? 0, LE);
+  if (xsdt) {
+    view.setUint32(20, result.length, LE);
+    view.setBigUint64(24, BigInt(xsdt.offset), LE);
+  }
   return result;
 }
 
 /**
+ * Reproduces the linker/loader commands that QEMU generates for the tables.
+ * Rather than on the QEMU version or machine type, they depend on the tables
+ * themselves: the FADT revision and the RSDT and XSDT entries.
+ *
  * @param {AcpiTable[]} tables
  * @returns {bytes}
  */
@@ -486,66 +1417,16 @@ function getTableLoader(tables) {
     serializeAllocate("etc/acpi/rsdp", 16, 2),
     serializeAllocate("etc/acpi/tables", 64, 1),
   ];
+  const hasFacs = tables.some((table) => table.signature === "FACS");
 
   for (const table of tables) {
-    if (table.signature === "FACP") {
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 36,
-          4
-        )
-      );
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 40,
-          4
-        )
-      );
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 140,
-          8
-        )
-      );
-    }
-
-    if (table.signature === "RSDT") {
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 36,
-          4
-        )
-      );
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 40,
-          4
-        )
-      );
-      commands.push(
-        serializeAddPointer(
-          "etc/acpi/tables",
-          "etc/acpi/tables",
-          table.offset + 44,
-          4
-        )
-      );
+    for (const [offset, size] of getAcpiTablePointers(table, hasFacs)) {
       commands.push(
         serializeAddPointer(
           "etc/acpi/tables",
           "etc/acpi/tables",
-          table.offset + 48,
-          4
+          table.offset + offset,
+          size
         )
       );
     }
@@ -562,12 +1443,64 @@ function getTableLoader(tables) {
     }
   }
 
-  commands.push(serializeAddPointer("etc/acpi/rsdp", "etc/acpi/tables", 16, 4));
+  const hasRsdt = tables.some((table) => table.signature === "RSDT");
+  const hasXsdt = tables.some((table) => table.signature === "XSDT");
+  if (hasRsdt) {
+    commands.push(
+      serializeAddPointer("etc/acpi/rsdp", "etc/acpi/tables", 16, 4)
+    );
+  }
+  if (hasXsdt) {
+    commands.push(
+      serializeAddPointer("etc/acpi/rsdp", "etc/acpi/tables", 24, 8)
+    );
+  }
   commands.push(serializeAddChecksum("etc/acpi/rsdp", 8, 0, 20));
+  if (hasXsdt) {
+    commands.push(serializeAddChecksum("etc/acpi/rsdp", 32, 0, 36));
+  }
 
   return concatBytes(commands, 4096);
 }
 
+/**
+ * @param {AcpiTable} table
+ * @param {boolean} hasFacs
+ * @returns {[number, number][]} Offsets and sizes of the pointers to other
+ *   tables
+ */
+function getAcpiTablePointers(table, hasFacs) {
+  /**
+   * @type {[number, number][]}
+   */
+  const pointers = [];
+  switch (table.signature) {
+    case "FACP":
+      // FIRMWARE_CTRL, DSDT up to revision 4 and X_DSDT since revision 3
+      if (hasFacs) {
+        pointers.push([36, 4]);
+      }
+      if (table.revision <= 4) {
+        pointers.push([40, 4]);
+      }
+      if (table.revision >= 3) {
+        pointers.push([140, 8]);
+      }
+      break;
+    case "RSDT":
+      for (let offset = 36; offset < table.length; offset += 4) {
+        pointers.push([offset, 4]);
+      }
+      break;
+    case "XSDT":
+      for (let offset = 36; offset < table.length; offset += 8) {
+        pointers.push([offset, 8]);
+      }
+      break;
+  }
+  return pointers;
+}
+
 /**
  * @param {string} filename
  * @param {number} align
@@ -626,20 +1559,21 @@ function serializeAddChecksum(filename, offset, start, length) {
 
 const HOB_TABLE_SIZE = 56;
 const HOB_RESOURCE_DESCRIPTOR_SIZE = 48;
+const HOB_GUID_EXTENSION_HEADER_SIZE = 24;
 const HOB_END_SIZE = 8;
 
+const EFI_RESOURCE_SYSTEM_MEMORY = 0x00000000;
+const EFI_RESOURCE_MEMORY_MAPPED_IO = 0x00000001;
+const EFI_RESOURCE_MEMORY_UNACCEPTED = 0x00000007;
+
 /**
+ * Lays out a HOB list in the TD_HOB section.
+ *
  * @param {TdxMetadataSection[]} tdxMetadataSections
- * @param {TdMemoryLayout} memoryLayout
- * @returns {bytes}
+ * @param {bytes[]} hobs HOBs that follow the PHIT
+ * @returns {bytes} The part of the HOB list that the firmware measures
  */
-function getHobHashPreimage(tdxMetadataSections, memoryLayout) {
-  let memOffset = 0;
-  /**
-   * @type {[number, number, number][]}
-   */
-  const entries = [];
-
+function getHobListHashPreimage(tdxMetadataSections, hobs) {
   const hobSection = tdxMetadataSections.find(
     (section) => section.sectionType === "TD_HOB"
   );
@@ -647,10 +1581,42 @@ function getHobHashPreimage(tdxMetadataSections, memoryLayout) {
     throw new Error("TD_HOB section not found");
   }
 
+  const handoff = new Uint8Array(HOB_TABLE_SIZE);
+  const view = new DataView(handoff.buffer);
+  view.setUint16(0, 0x0001, LE);
+  view.setUint16(2, HOB_TABLE_SIZE, LE);
+  view.setUint32(8, 0x0009, LE);
+
+  const preimage = concatBytes([handoff, ...hobs]);
+  new DataView(preimage.buffer).setBigUint64(
+    48,
+    BigInt(hobSection.memBase + preimage.length + HOB_END_SIZE),
+    LE
+  );
+
+  // End block is not hashed
+  return preimage;
+}
+
+/**
+ * @param {TdxMetadataSection[]} tdxMetadataSections
+ * @param {TdMemoryLayout} memoryLayout
+ * @returns {bytes[]} Resource descriptor HOBs of the TD's RAM
+ */
+function getRamResourceHobs(tdxMetadataSections, memoryLayout) {
+  let memOffset = 0;
+  /**
+   * @type {[number, number, number][]}
+   */
+  const entries = [];
+
+  // RAM that the VMM adds before the TD starts is accepted. td-shim images
+  // also have payload sections that the VMM fills in.
   const sortedSections = tdxMetadataSections
-    .filter(
-      (section) =>
-        section.sectionType === "TD_HOB" || section.sectionType === "TempMem"
+    .filter((section) =>
+      ["TD_HOB", "TempMem", "Payload", "PayloadParam"].includes(
+        section.sectionType
+      )
     )
     .sort((a, b) => a.memBase - b.memBase);
 
@@ -667,40 +1633,61 @@ function getHobHashPreimage(tdxMetadataSections, memoryLayout) {
   if (memoryLayout.above4gMemSize > 0) {
     entries.push([
       memoryLayout.above4gMemStart,
-      memoryLayout.above4gMemStart + memoryLayout.above4gMemSize,
-      0,
-    ]);
-  }
-
-  const hob = new Uint8Array(hobSection.memSize);
-  const view = new DataView(hob.buffer);
-
-  view.setUint16(0, 0x0001, LE);
-  view.setUint16(2, HOB_TABLE_SIZE, LE);
-  view.setUint32(8, 0x0009, LE);
-  let hobOffset = HOB_TABLE_SIZE;
-
-  for (const entry of entries) {
-    const resourceType = entry[2] === 1 ? 0x00000000 : 0x00000007;
-    view.setUint16(hobOffset, 0x0003, LE);
-    view.setUint16(hobOffset + 2, HOB_RESOURCE_DESCRIPTOR_SIZE, LE);
-    view.setUint32(hobOffset + 24, resourceType, LE);
-    view.setUint32(hobOffset + 28, 0x00000007, LE);
-    view.setBigUint64(hobOffset + 32, BigInt(entry[0]), LE);
-    view.setBigUint64(hobOffset + 40, BigInt(entry[1] - entry[0]), LE);
-    hobOffset += 48;
+      memoryLayout.above4gMemStart + memoryLayout.above4gMemSize,
+      0,
+    ]);
   }
 
-  const preimageEnd = hobOffset;
-
-  view.setUint16(hobOffset, 0xffff, LE);
-  view.setUint16(hobOffset + 2, HOB_END_SIZE, LE);
-  hobOffset += HOB_END_SIZE;
+  return entries.map((entry) =>
+    serializeResourceDescriptorHob(
+      entry[2] === 1
+        ? EFI_RESOURCE_SYSTEM_MEMORY
+        : EFI_RESOURCE_MEMORY_UNACCEPTED,
+      0x00000007,
+      entry[0],
+      entry[1] - entry[0]
+    )
+  );
+}
 
-  view.setBigUint64(48, BigInt(hobSection.memBase + hobOffset), LE);
+/**
+ * @param {number} resourceType
+ * @param {number} resourceAttribute
+ * @param {number} start
+ * @param {number} length
+ * @returns {bytes}
+ */
+function serializeResourceDescriptorHob(
+  resourceType,
+  resourceAttribute,
+  start,
+  length
+) {
+  const result = new Uint8Array(HOB_RESOURCE_DESCRIPTOR_SIZE);
+  const view = new DataView(result.buffer);
+  view.setUint16(0, 0x0003, LE);
+  view.setUint16(2, HOB_RESOURCE_DESCRIPTOR_SIZE, LE);
+  view.setUint32(24, resourceType, LE);
+  view.setUint32(28, resourceAttribute, LE);
+  view.setBigUint64(32, BigInt(start), LE);
+  view.setBigUint64(40, BigInt(length), LE);
+  return result;
+}
 
-  // End block is not hashed
-  return hob.subarray(0, preimageEnd);
+/**
+ * @param {string} guid
+ * @param {bytes} data
+ * @returns {bytes}
+ */
+function serializeGuidHob(guid, data) {
+  const length = (HOB_GUID_EXTENSION_HEADER_SIZE + data.length + 7) & ~7;
+  const result = new Uint8Array(length);
+  const view = new DataView(result.buffer);
+  view.setUint16(0, 0x0004, LE);
+  view.setUint16(2, length, LE);
+  result.set(uuidToBytes(guid), 8);
+  result.set(data, HOB_GUID_EXTENSION_HEADER_SIZE);
+  return result;
 }
 
 // ------------------------------------------------------------------------------
@@ -719,13 +1706,82 @@ const TDX_METADATA_SECTION_TYPES = [
   "TD_PARAMS",
 ];
 
+const OVMF_TABLE_FOOTER_GUID = "96b582de-1fb2-45f7-baea-a366c55a082d";
+const TDX_METADATA_GUID = "e9eaf9f3-168e-44d5-a8eb-7f4d8738f6ae";
+const TD_SHIM_METADATA_PTR_OFFSET = 0x20;
+
 const AUTH_VARS_GUID = "aaf32c78-947b-439a-a180-2e144ec37792";
+const EFI_CERT_X509_GUID = "a5c059a1-94e4-4aa7-87b5-ab155c2bf072";
+const EFI_CERT_SHA256_GUID = "c1c41626-504c-4092-aca9-41f936934328";
+
+const EFI_SIGNATURE_TYPES = new Map([
+  [EFI_CERT_SHA256_GUID, "EFI_CERT_SHA256_GUID"],
+  ["3c5766e8-269c-4e34-aa14-ed776e85b3b6", "EFI_CERT_RSA2048_GUID"],
+  ["e2b36190-879b-4a3d-ad8d-f2e7bba32784", "EFI_CERT_RSA2048_SHA256_GUID"],
+  ["826ca512-cf10-4ac9-b187-be01496631bd", "EFI_CERT_SHA1_GUID"],
+  [EFI_CERT_X509_GUID, "EFI_CERT_X509_GUID"],
+  ["3bd2a492-96c0-4079-b420-fcf98ef103ed", "EFI_CERT_X509_SHA256_GUID"],
+  ["7076876e-80c2-4ee6-aad2-28b349a6865b", "EFI_CERT_X509_SHA384_GUID"],
+  ["446dbf63-2502-4cda-bcfa-2465d2b0fe9d", "EFI_CERT_X509_SHA512_GUID"],
+  ["0b6e5233-a65c-44c9-9407-d9ab83bfc8bd", "EFI_CERT_SHA224_GUID"],
+  ["ff3e5307-9fd0-48c9-85f1-8ad56c701e01", "EFI_CERT_SHA384_GUID"],
+  ["093e0fae-a6c4-4f50-9f1b-d41e2b89c19a", "EFI_CERT_SHA512_GUID"],
+]);
+
+const SECURE_BOOT_KEY_VARIABLES = ["PK", "KEK", "db", "dbx"];
+
+/**
+ * Modules that only TDX-enabled edk2 builds contain.
+ */
+const TDX_MODULES = ["TdxDxe", "TdTcg2Dxe"];
+
+/**
+ * edk2 release tags and distribution package versions, such as the
+ * PcdFirmwareVersionString of Debian and Ubuntu builds.
+ */
+const FIRMWARE_VERSION_PATTERN =
+  /^(?:edk2-stable\d{6}|\d{4}\.\d{2}(?:[-+.~][\w.+~-]*)?)$/;
+
+const EFI_SECTION_PE32 = 0x10;
+const EFI_SECTION_TE = 0x12;
+
+/**
+ * @typedef {"tdvf"|"td-shim"} FirmwareType
+ */
 
 /**
  * @typedef {Object} TdFirmware
  * @property {bytes} bytes
+ * @property {FirmwareType} type TDVF, such as OVMF, or td-shim
  * @property {TdxMetadataSection[]} tdxMetadataSections
- * @property {Map<string,bytes>} efiVariables
+ * @property {Map<string,bytes>} efiVariables Empty for td-shim, which has no
+ *   variable store
+ * @property {Map<string,EfiSignatureList[]>} secureBootKeys Decoded PK, KEK,
+ *   db and dbx
+ * @property {FirmwareProfile} profile Event sequence of the firmware
+ * @property {FirmwareBuild} build Detected when it, the profile or the
+ *   warnings are first read, because detection decompresses the DXE firmware
+ *   volume, which takes seconds
+ * @property {string[]} warnings e.g. the build is not a tested one
+ */
+
+/**
+ * @typedef {Object} FirmwareBuild
+ * @property {string[]} versions Version strings found in the modules, e.g.
+ *   2024.05-2ubuntu0.1+tdx1.0
+ * @property {string[]} modules Module names from the firmware volumes
+ * @property {string[]} tdxModules TDX-specific modules among them
+ * @property {string} [profile] ID of the firmware profile tested with one of
+ *   the versions
+ * @property {string} [error] Why the firmware volumes cannot be parsed
+ */
+
+/**
+ * @typedef {Object} ParseFirmwareOptions
+ * @property {string} [profile] Firmware profile ID, detected from the build
+ *   by default
+ * @property {FirmwareBuild} [build] Build that parseFirmware has already
+ *   detected for the same image, so that it is not detected again
  */
 
 /**
@@ -741,29 +1797,187 @@ const AUTH_VARS_GUID = "aaf32c78-947b-439a-a180-2e144ec37792";
 /**
  *
  * @param {bytes} bytes
+ * @param {ParseFirmwareOptions} [options]
  * @returns {TdFirmware}
  */
-export function parseFirmware(bytes) {
+export function parseFirmware(bytes, options = {}) {
+  const { type, tdxMetadataSections } = getTdxMetadata(bytes);
+  const efiVariables = type === "tdvf" ? parseEfiVariables(bytes) : new Map();
+  /** @type {FirmwareBuild|undefined} */
+  let build = options.build;
+  /** @type {FirmwareProfile|undefined} */
+  let profile;
   return {
     bytes,
-    tdxMetadataSections: getTdxMetadataSections(bytes),
-    efiVariables: parseEfiVariables(bytes),
+    type,
+    tdxMetadataSections,
+    efiVariables,
+    secureBootKeys: new Map(
+      SECURE_BOOT_KEY_VARIABLES.filter((name) => efiVariables.has(name)).map(
+        (name) => [
+          name,
+          parseEfiSignatureLists(/** @type {bytes} */ (efiVariables.get(name))),
+        ]
+      )
+    ),
+    get build() {
+      if (!build) {
+        build = detectFirmwareBuild(bytes, type);
+      }
+      return build;
+    },
+    get profile() {
+      if (!profile) {
+        profile = getFirmwareProfile(
+          options.profile ?? this.build.profile ?? DEFAULT_FIRMWARE_PROFILE
+        );
+      }
+      return profile;
+    },
+    get warnings() {
+      return getFirmwareWarnings(type, this.build, this.profile);
+    },
+  };
+}
+
+/**
+ * @param {FirmwareType} type
+ * @param {FirmwareBuild} build
+ * @param {FirmwareProfile} profile
+ * @returns {string[]}
+ */
+function getFirmwareWarnings(type, build, profile) {
+  const warnings = [];
+  if (!build.profile) {
+    warnings.push(
+      `${
+        build.error
+          ? `Firmware build cannot be detected: ${build.error}`
+          : build.versions.length > 0
+          ? `Firmware build ${build.versions.join(", ")} is not tested`
+          : "Firmware build is not recognized"
+      }. Measurements are reproduced for ${profile.name} and may be wrong`
+    );
+  } else if (build.profile !== profile.id) {
+    warnings.push(
+      `Firmware build ${build.versions.join(", ")} is tested with ${
+        getFirmwareProfile(build.profile).name
+      }, but ${profile.name} is used`
+    );
+  }
+  if (
+    type === "tdvf" &&
+    build.modules.length > 0 &&
+    build.tdxModules.length === 0
+  ) {
+    warnings.push("Firmware has no TDX modules");
+  }
+  return warnings;
+}
+
+/**
+ * Identifies the edk2 build by the modules in the firmware volumes and the
+ * version strings in them. td-shim images are identified by their layout.
+ * Volumes that cannot be parsed leave the build unrecognized rather than
+ * failing the measurements, which do not depend on them.
+ *
+ * @param {bytes} bytes
+ * @param {FirmwareType} type
+ * @returns {FirmwareBuild}
+ */
+function detectFirmwareBuild(bytes, type) {
+  try {
+    return detectFirmwareVolumesBuild(bytes, type);
+  } catch (e) {
+    return {
+      versions: [],
+      modules: [],
+      tdxModules: [],
+      profile: type === "td-shim" ? "td-shim" : undefined,
+      error: e.message,
+    };
+  }
+}
+
+/**
+ * @param {bytes} bytes
+ * @param {FirmwareType} type
+ * @returns {FirmwareBuild}
+ */
+function detectFirmwareVolumesBuild(bytes, type) {
+  const files = getAllFfsFiles(parseFirmwareVolumes(bytes));
+  /**
+   * @type {Set<string>}
+   */
+  const modules = new Set();
+  /**
+   * @type {Set<string>}
+   */
+  const versions = new Set();
+  for (const file of files) {
+    if (file.userInterface) {
+      modules.add(file.userInterface);
+    }
+    const strings = getLeafSections(file)
+      .filter(
+        (section) =>
+          section.type === EFI_SECTION_PE32 || section.type === EFI_SECTION_TE
+      )
+      .flatMap((section) => getUcs2Strings(section.data));
+    if (file.version) {
+      strings.push(file.version);
+    }
+    for (const text of strings) {
+      if (FIRMWARE_VERSION_PATTERN.test(text)) {
+        versions.add(text);
+      }
+    }
+  }
+  return {
+    versions: Array.from(versions),
+    modules: Array.from(modules),
+    tdxModules: TDX_MODULES.filter((name) => modules.has(name)),
+    profile:
+      type === "td-shim"
+        ? "td-shim"
+        : getFirmwareProfiles().find((profile) =>
+            profile.versions?.some((version) => versions.has(version))
+          )?.id,
   };
 }
 
 /**
+ * Finds the TDX metadata through the GUIDed table of the OVMF reset vector
+ * or, failing that, through the td-shim metadata pointer.
+ *
  * @param {bytes} firmware
- * @returns {TdxMetadataSection[]}
+ * @returns {{type: FirmwareType, tdxMetadataSections: TdxMetadataSection[]}}
  */
-function getTdxMetadataSections(firmware) {
-  const footerOffset = firmware.length - 0x30;
-  const footerGuid = bytesToUuid(firmware.subarray(footerOffset));
-  if (footerGuid !== "96b582de-1fb2-45f7-baea-a366c55a082d") {
-    throw new Error("Wrong table footer guid");
+function getTdxMetadata(firmware) {
+  if (firmware.length < 0x30) {
+    throw new Error("Firmware image is too small");
+  }
+  const footerGuid = bytesToUuid(firmware.subarray(firmware.length - 0x30));
+  if (footerGuid === OVMF_TABLE_FOOTER_GUID) {
+    return {
+      type: "tdvf",
+      tdxMetadataSections: parseTdxMetadataSections(
+        firmware.subarray(getTdxMetadataOffset(firmware) - 16)
+      ),
+    };
   }
 
-  return parseTdxMetadataSections(
-    firmware.subarray(getTdxMetadataOffset(firmware) - 16)
+  const tdShimOffset = getTdShimMetadataOffset(firmware);
+  if (tdShimOffset !== null) {
+    return {
+      type: "td-shim",
+      tdxMetadataSections: parseTdxMetadataSections(
+        firmware.subarray(tdShimOffset - 16)
+      ),
+    };
+  }
+  throw new Error(
+    "TDX metadata not found: the image has neither the OVMF table footer nor the td-shim metadata pointer"
   );
 }
 
@@ -776,7 +1990,7 @@ function parseTdxMetadataSections(metadataTable) {
     throw new Error("Data too short for TdxMetadata header");
   }
 
-  if (bytesToUuid(metadataTable) !== "e9eaf9f3-168e-44d5-a8eb-7f4d8738f6ae") {
+  if (bytesToUuid(metadataTable) !== TDX_METADATA_GUID) {
     throw new Error("Wrong metadata guid");
   }
 
@@ -852,6 +2066,30 @@ function getTdxMetadataOffset(image) {
   throw new Error("TDX metadata offset not found");
 }
 
+/**
+ * td-shim stores the offset of the TDX metadata descriptor, which follows the
+ * metadata GUID, near the end of the image.
+ *
+ * @param {bytes} image
+ * @returns {number|null}
+ */
+function getTdShimMetadataOffset(image) {
+  const view = new DataView(image.buffer, image.byteOffset, image.byteLength);
+  const offset = view.getUint32(
+    image.byteLength - TD_SHIM_METADATA_PTR_OFFSET,
+    LE
+  );
+  if (
+    offset < 16 ||
+    offset + 16 > image.byteLength ||
+    bytesToUuid(image.subarray(offset - 16)) !== TDX_METADATA_GUID ||
+    utf8decoder.decode(image.subarray(offset, offset + 4)) !== "TDVF"
+  ) {
+    return null;
+  }
+  return offset;
+}
+
 /**
  * @param {bytes} bytes
  * @returns {Map<string, bytes>}
@@ -910,11 +2148,178 @@ function parseEfiVariables(bytes) {
   return vars;
 }
 
+/**
+ * @typedef {Object} EfiSignatureList
+ * @property {string} signatureType
+ * @property {string} signatureTypeName e.g. EFI_CERT_X509_GUID, or the GUID
+ *   itself if unknown
+ * @property {bytes} signatureHeader
+ * @property {EfiSignatureData[]} signatures
+ * @property {bytes} raw EFI_SIGNATURE_LIST, or the rest of the variable if
+ *   its size is invalid
+ * @property {string} [error] Why the list cannot be split into signatures
+ */
+
+/**
+ * @typedef {Object} EfiSignatureData
+ * @property {string} owner
+ * @property {bytes} data Certificate or hash, depending on the list type
+ * @property {bytes} raw EFI_SIGNATURE_DATA including the owner
+ * @property {import("./x509.mjs").Certificate} [certificate] Decoded data of
+ *   EFI_CERT_X509_GUID lists
+ * @property {string} [error] Why the certificate cannot be decoded
+ */
+
+/**
+ * Parses the EFI_SIGNATURE_LIST structures of PK, KEK, db or dbx.
+ * X.509 certificates are decoded; hashes are left as is. The keys are only
+ * shown and looked up, so malformed lists and certificates are kept raw with
+ * an error rather than thrown, and the rest of the variable after a malformed
+ * list is left undecoded.
+ *
+ * @param {bytes} bytes
+ * @returns {EfiSignatureList[]}
+ */
+function parseEfiSignatureLists(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  /**
+   * @type {EfiSignatureList[]}
+   */
+  const lists = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    if (offset + 28 > bytes.length) {
+      lists.push({
+        signatureType: "",
+        signatureTypeName: "",
+        signatureHeader: new Uint8Array(),
+        signatures: [],
+        raw: bytes.subarray(offset),
+        error: "EFI_SIGNATURE_LIST header overruns variable boundary",
+      });
+      break;
+    }
+    const signatureType = bytesToUuid(bytes.subarray(offset, offset + 16));
+    const signatureTypeName =
+      EFI_SIGNATURE_TYPES.get(signatureType) ?? signatureType;
+    const listSize = view.getUint32(offset + 16, LE);
+    const headerSize = view.getUint32(offset + 20, LE);
+    const signatureSize = view.getUint32(offset + 24, LE);
+    const end = offset + listSize;
+    if (
+      end > bytes.length ||
+      signatureSize < 16 ||
+      28 + headerSize > listSize ||
+      (listSize - 28 - headerSize) % signatureSize !== 0
+    ) {
+      lists.push({
+        signatureType,
+        signatureTypeName,
+        signatureHeader: new Uint8Array(),
+        signatures: [],
+        raw: bytes.subarray(offset),
+        error: "Invalid EFI_SIGNATURE_LIST",
+      });
+      break;
+    }
+
+    const signatures = [];
+    for (let i = offset + 28 + headerSize; i < end; i += signatureSize) {
+      /** @type {EfiSignatureData} */
+      const signature = {
+        owner: bytesToUuid(bytes.subarray(i, i + 16)),
+        data: bytes.subarray(i + 16, i + signatureSize),
+        raw: bytes.subarray(i, i + signatureSize),
+      };
+      if (signatureType === EFI_CERT_X509_GUID) {
+        try {
+          signature.certificate = parseCertificate(signature.data);
+        } catch (e) {
+          signature.error = e.message;
+        }
+      }
+      signatures.push(signature);
+    }
+    lists.push({
+      signatureType,
+      signatureTypeName,
+      signatureHeader: bytes.subarray(offset + 28, offset + 28 + headerSize),
+      signatures,
+      raw: bytes.subarray(offset, end),
+    });
+    offset = end;
+  }
+  return lists;
+}
+
 // ------------------------------------------------------------------------------
 // QEMU
 // ------------------------------------------------------------------------------
 
 const ACPI_DATA_SIZE = 0x20000 + 0x8000;
+const QEMU_ABOVE_4G_MEM_START = 0x100000000;
+
+/**
+ * Splits the RAM around the 32-bit PCI hole the way pc_q35_init does.
+ *
+ * @param {Omit<TdHardware, "acpiTables">} hardware
+ * @returns {TdMemoryLayout}
+ */
+function qemuGetMemoryLayout({ totalMemoryBytes, maxRamBelow4g }) {
+  if (
+    maxRamBelow4g !== undefined &&
+    (maxRamBelow4g <= 0 || maxRamBelow4g > QEMU_ABOVE_4G_MEM_START)
+  ) {
+    throw new Error("max-ram-below-4g must be > 0 and at most 4 GB");
+  }
+  let lowmem = totalMemoryBytes >= 0xb0000000 ? 0x80000000 : 0xb0000000;
+  if (maxRamBelow4g !== undefined && lowmem > maxRamBelow4g) {
+    lowmem = maxRamBelow4g;
+  }
+  if (totalMemoryBytes >= lowmem) {
+    return {
+      below4gMemSize: lowmem,
+      above4gMemSize: totalMemoryBytes - lowmem,
+      above4gMemStart: QEMU_ABOVE_4G_MEM_START,
+    };
+  }
+  return {
+    below4gMemSize: totalMemoryBytes,
+    above4gMemSize: 0,
+    above4gMemStart: QEMU_ABOVE_4G_MEM_START,
+  };
+}
+
+/**
+ * QEMU builds the resource descriptors from its e820 RAM entries, one below
+ * and one above 4 GB. NUMA nodes split the RAM only in SRAT, so the HOB is
+ * the same with and without them. The device memory region of DIMM slots has
+ * no e820 entry, so memory hotplug leaves the HOB unchanged too: DIMMs that
+ * are plugged later are described in ACPI and never accepted through the HOB.
+ *
+ * @param {TrustDomain} td
+ * @param {TdMemoryLayout} memoryLayout
+ * @returns {bytes}
+ */
+function qemuGetHobHashPreimage(td, memoryLayout) {
+  const sections = td.firmware.tdxMetadataSections;
+  return getHobListHashPreimage(
+    sections,
+    getRamResourceHobs(sections, memoryLayout)
+  );
+}
+
+/**
+ * The fw_cfg kernel loader of OVMF refers the kernel to the initrd it passes.
+ *
+ * @param {TdSoftware} software
+ * @returns {string|null}
+ */
+function qemuGetKernelCmdline(software) {
+  return software.cmdline
+    ? software.cmdline + (software.initrd ? " initrd=initrd" : "")
+    : null;
+}
 
 /**
  * @param {TdSoftware} software
@@ -989,36 +2394,88 @@ function qemuPatchKernel(software, memoryLayout) {
 }
 
 // ------------------------------------------------------------------------------
-// Memory layout
+// Cloud Hypervisor
 // ------------------------------------------------------------------------------
 
-/**
- * @typedef {Object} TdMemoryLayout
- * @property {number} below4gMemSize
- * @property {number} above4gMemSize
- * @property {number} above4gMemStart
- */
+const CLOUD_HYPERVISOR_MEM_32BIT_RESERVED_START = 0xc0000000;
+const CLOUD_HYPERVISOR_MEM_32BIT_DEVICES_START = 0xd0000000;
+const CLOUD_HYPERVISOR_APIC_START = 0xfee00000;
+const CLOUD_HYPERVISOR_RAM_64BIT_START = 0x100000000;
+// Default --cpus max_phys_bits, which bounds the 64-bit device area
+const CLOUD_HYPERVISOR_PHYS_BITS = 46;
+const TDX_ACPI_HOB_GUID = "6a0c5870-d4ed-44f4-a135-dd238b6f0c8d";
 
 /**
- * @param {number} totalMemoryBytes
+ * @param {Omit<TdHardware, "acpiTables">} hardware
  * @returns {TdMemoryLayout}
  */
-function getMemoryLayout(totalMemoryBytes) {
-  const lowmem = totalMemoryBytes >= 0xb0000000 ? 0x80000000 : 0xb0000000;
-  if (totalMemoryBytes >= lowmem) {
-    return {
-      below4gMemSize: lowmem,
-      above4gMemSize: totalMemoryBytes - lowmem,
-      above4gMemStart: 0x100000000,
-    };
-  }
+function cloudHypervisorGetMemoryLayout({ totalMemoryBytes }) {
+  const lowmem = Math.min(
+    totalMemoryBytes,
+    CLOUD_HYPERVISOR_MEM_32BIT_RESERVED_START
+  );
   return {
-    below4gMemSize: totalMemoryBytes,
-    above4gMemSize: 0,
-    above4gMemStart: 0x100000000,
+    below4gMemSize: lowmem,
+    above4gMemSize: totalMemoryBytes - lowmem,
+    above4gMemStart: CLOUD_HYPERVISOR_RAM_64BIT_START,
   };
 }
 
+/**
+ * Cloud Hypervisor has no fw_cfg and describes the platform in the TD HOB
+ * instead: RAM, the MMIO ranges and every ACPI table in a HOB of its own.
+ *
+ * @param {TrustDomain} td
+ * @param {TdMemoryLayout} memoryLayout
+ * @returns {bytes}
+ */
+function cloudHypervisorGetHobHashPreimage(td, memoryLayout) {
+  if (td.firmware.type !== "tdvf") {
+    throw new Error("Cloud Hypervisor is only supported with TDVF");
+  }
+  const sections = td.firmware.tdxMetadataSections;
+  const acpiTables = td.hardware.acpiTables;
+  const deviceAreaStart =
+    memoryLayout.above4gMemStart + memoryLayout.above4gMemSize;
+  const deviceAreaEnd = 2 ** CLOUD_HYPERVISOR_PHYS_BITS - 1;
+  // Present, initialized and uncacheable
+  const mmioAttributes = 0x00000403;
+
+  return getHobListHashPreimage(sections, [
+    ...getRamResourceHobs(sections, memoryLayout),
+    serializeResourceDescriptorHob(
+      EFI_RESOURCE_MEMORY_MAPPED_IO,
+      mmioAttributes,
+      CLOUD_HYPERVISOR_MEM_32BIT_DEVICES_START,
+      CLOUD_HYPERVISOR_APIC_START - CLOUD_HYPERVISOR_MEM_32BIT_DEVICES_START
+    ),
+    serializeResourceDescriptorHob(
+      EFI_RESOURCE_MEMORY_MAPPED_IO,
+      mmioAttributes,
+      deviceAreaStart,
+      deviceAreaEnd - deviceAreaStart
+    ),
+    ...parseAcpiTables(acpiTables).map((table) =>
+      serializeGuidHob(
+        TDX_ACPI_HOB_GUID,
+        acpiTables.subarray(table.offset, table.offset + table.length)
+      )
+    ),
+  ]);
+}
+
+// ------------------------------------------------------------------------------
+// Memory layout
+// ------------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} TdMemoryLayout
+ * @property {number} below4gMemSize RAM from address 0 up to the 32-bit PCI
+ *   hole
+ * @property {number} above4gMemSize
+ * @property {number} above4gMemStart
+ */
+
 // ------------------------------------------------------------------------------
 // PE
 // ------------------------------------------------------------------------------
@@ -1030,9 +2487,10 @@ function getMemoryLayout(totalMemoryBytes) {
  * takes each section (sorted by raw file offset) and any extra data
  * (beyond the headers/sections) excluding the certificate blob.
  * The procedure follows the algorithm used in OVMF for PE/COFF measurement.
+ * The preimage is returned as consecutive parts to avoid copying the image.
  *
  * @param {bytes} bytes
- * @returns {bytes}
+ * @returns {bytes[]}
  */
 function getPeHashPreimage(bytes) {
   const { optionalHeader, sections } = parsePe(bytes);
@@ -1107,7 +2565,99 @@ function getPeHashPreimage(bytes) {
     }
   }
 
-  return concatBytes(hashParts);
+  return hashParts;
+}
+
+const WIN_CERT_TYPE_PKCS_SIGNED_DATA = 0x0002;
+
+/**
+ * @typedef {Object} WinCertificate
+ * @property {number} revision
+ * @property {number} type
+ * @property {bytes} data
+ */
+
+/**
+ * Returns the WIN_CERTIFICATE entries of the Certificate Table.
+ *
+ * @param {bytes} bytes
+ * @returns {WinCertificate[]}
+ */
+function getPeCertificates(bytes) {
+  const { optionalHeader } = parsePe(bytes);
+  const securityDirIndex = 4;
+  if (optionalHeader.numberOfRvaAndSizes <= securityDirIndex) {
+    return [];
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const certDirEntryOffset =
+    optionalHeader.offset +
+    optionalHeader.fixedOptionalHeaderSize +
+    securityDirIndex * 8;
+  // The Certificate Table entry holds a file offset, not an RVA
+  const tableOffset = view.getUint32(certDirEntryOffset, LE);
+  const tableEnd = tableOffset + view.getUint32(certDirEntryOffset + 4, LE);
+  if (tableEnd > bytes.length) {
+    throw new Error("Invalid PE file: Certificate Table exceeds file size.");
+  }
+
+  /**
+   * @type {WinCertificate[]}
+   */
+  const certificates = [];
+  let offset = tableOffset;
+  while (offset + 8 <= tableEnd) {
+    const length = view.getUint32(offset, LE);
+    if (length < 8 || offset + length > tableEnd) {
+      throw new Error("Invalid PE file: WIN_CERTIFICATE overruns the table.");
+    }
+    certificates.push({
+      revision: view.getUint16(offset + 4, LE),
+      type: view.getUint16(offset + 6, LE),
+      data: bytes.subarray(offset + 8, offset + length),
+    });
+    offset = (offset + length + 7) & ~7;
+  }
+  return certificates;
+}
+
+/**
+ * Returns sections of a unified kernel image by name for a profile.
+ *
+ * Sections before the first .profile section are shared by all profiles.
+ * Each .profile section starts a profile whose sections override the shared
+ * ones. Images without .profile sections have a single profile.
+ *
+ * @param {PortableExecutable} pe
+ * @param {number} profile
+ * @returns {Map<string, PeSection>}
+ */
+function getUkiSections(pe, profile) {
+  /**
+   * @type {Map<string, PeSection>[]}
+   */
+  const profiles = [new Map()];
+  for (const section of pe.sections) {
+    const name = section.name.replace(/\0+$/, "");
+    if (name === ".profile") {
+      profiles.push(new Map());
+    }
+    const sections = profiles[profiles.length - 1];
+    if (!sections.has(name)) {
+      sections.set(name, section);
+    }
+  }
+
+  const [base, ...rest] = profiles;
+  if (rest.length === 0 && profile === 0) {
+    return base;
+  }
+  if (!Number.isInteger(profile) || profile < 0 || profile >= rest.length) {
+    throw new Error(
+      `Unified kernel image has no profile ${profile}: ${rest.length} profiles`
+    );
+  }
+  return new Map([...base, ...rest[profile]]);
 }
 
 /**
@@ -1254,14 +2804,6 @@ const utf8encoder = new TextEncoder();
 const utf16LeDecoder = new TextDecoder("utf-16le");
 const utf16LeEncoder = new TextEncoderUtf16Le();
 
-/**
- * @param {bytes} bytes
- * @returns {Promise<bytes>}
- */
-async function sha384(bytes) {
-  return new Uint8Array(await crypto.subtle.digest("SHA-384", bytes));
-}
-
 /**
  * @param {string} uuid
  * @returns {bytes}
@@ -1351,3 +2893,36 @@ function indexOfSubarray(haystack, needle) {
   }
   return -1;
 }
+
+/**
+ * Finds null-terminated printable ASCII strings encoded as UCS-2, like the
+ * L"..." literals of edk2 modules.
+ *
+ * @param {bytes} bytes
+ * @param {number} [minLength]
+ * @returns {string[]}
+ */
+function getUcs2Strings(bytes, minLength = 4) {
+  const strings = [];
+  let start = 0;
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    const char = bytes[i];
+    if (bytes[i + 1] === 0 && char >= 0x20 && char < 0x7f) {
+      continue;
+    }
+    if (char === 0 && bytes[i + 1] === 0 && (i - start) / 2 >= minLength) {
+      strings.push(utf16LeDecoder.decode(bytes.subarray(start, i)));
+    }
+    start = i + 2;
+  }
+  return strings;
+}
+
+/**
+ * @param {bytes} a
+ * @param {bytes} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
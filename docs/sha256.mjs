@@ -0,0 +1,189 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * SHA-256 round constants.
+ */
+const K = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+/**
+ * SHA-256 initial hash value.
+ */
+const IV = new Int32Array([
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+]);
+
+const BLOCK_SIZE = 64;
+
+/**
+ * Incremental SHA-256 (FIPS 180-4).
+ *
+ * Used for certificate fingerprints and hashes in signature databases, which
+ * are needed synchronously while parsing firmware.
+ */
+export class Sha256 {
+  constructor() {
+    this.state = IV.slice();
+    this.block = new Uint8Array(BLOCK_SIZE);
+    this.blockLength = 0;
+    this.totalLength = 0;
+    this.w = new Int32Array(64);
+  }
+
+  /**
+   * @param {bytes} bytes
+   * @returns {Sha256}
+   */
+  update(bytes) {
+    let offset = 0;
+    this.totalLength += bytes.length;
+
+    if (this.blockLength > 0) {
+      const count = Math.min(BLOCK_SIZE - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, count), this.blockLength);
+      this.blockLength += count;
+      offset = count;
+      if (this.blockLength < BLOCK_SIZE) {
+        return this;
+      }
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+
+    for (; offset + BLOCK_SIZE <= bytes.length; offset += BLOCK_SIZE) {
+      this.compress(bytes, offset);
+    }
+
+    this.block.set(bytes.subarray(offset), 0);
+    this.blockLength = bytes.length - offset;
+    return this;
+  }
+
+  /**
+   * Finishes hashing. The instance must not be used afterwards.
+   *
+   * @returns {bytes}
+   */
+  digest() {
+    const bitLength = this.totalLength * 8;
+    const padding = new Uint8Array(
+      (this.blockLength < BLOCK_SIZE - 8 ? BLOCK_SIZE : 2 * BLOCK_SIZE) -
+        this.blockLength
+    );
+    const paddingView = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    paddingView.setUint32(
+      padding.length - 8,
+      Math.floor(bitLength / 0x100000000),
+      BE
+    );
+    paddingView.setUint32(padding.length - 4, bitLength >>> 0, BE);
+    this.totalLength -= padding.length;
+    this.update(padding);
+
+    const result = new Uint8Array(32);
+    const view = new DataView(result.buffer);
+    for (let i = 0; i < 8; i++) {
+      view.setInt32(i * 4, this.state[i], BE);
+    }
+    return result;
+  }
+
+  /**
+   * @param {bytes} bytes
+   * @param {number} offset
+   */
+  compress(bytes, offset) {
+    const { state, w } = this;
+    for (let i = 0, j = offset; i < 16; i++, j += 4) {
+      w[i] =
+        (bytes[j] << 24) |
+        (bytes[j + 1] << 16) |
+        (bytes[j + 2] << 8) |
+        bytes[j + 3];
+    }
+    for (let i = 16; i < 64; i++) {
+      const x = w[i - 15];
+      const y = w[i - 2];
+      const s0 = rotr(x, 7) ^ rotr(x, 18) ^ (x >>> 3);
+      const s1 = rotr(y, 17) ^ rotr(y, 19) ^ (y >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+
+    let a = state[0];
+    let b = state[1];
+    let c = state[2];
+    let d = state[3];
+    let e = state[4];
+    let f = state[5];
+    let g = state[6];
+    let h = state[7];
+
+    for (let i = 0; i < 64; i++) {
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (S0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+
+    state[0] += a;
+    state[1] += b;
+    state[2] += c;
+    state[3] += d;
+    state[4] += e;
+    state[5] += f;
+    state[6] += g;
+    state[7] += h;
+  }
+}
+
+/**
+ * @param {number} x
+ * @param {number} n
+ * @returns {number}
+ */
+function rotr(x, n) {
+  return (x >>> n) | (x << (32 - n));
+}
+
+const BE = false;
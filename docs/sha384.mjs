@@ -0,0 +1,284 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * SHA-512 round constants as pairs of high and low 32-bit halves.
+ */
+const K = new Int32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f,
+  0xe9b5dba5, 0x8189dbbc, 0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+  0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118, 0xd807aa98, 0xa3030242,
+  0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235,
+  0xc19bf174, 0xcf692694, 0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+  0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65, 0x2de92c6f, 0x592b0275,
+  0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f,
+  0xbf597fc7, 0xbeef0ee4, 0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+  0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70, 0x27b70a85, 0x46d22ffc,
+  0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6,
+  0x92722c85, 0x1482353b, 0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+  0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30, 0xd192e819, 0xd6ef5218,
+  0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99,
+  0x34b0bcb5, 0xe19b48a8, 0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+  0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3, 0x748f82ee, 0x5defb2fc,
+  0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915,
+  0xc67178f2, 0xe372532b, 0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+  0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178, 0x06f067aa, 0x72176fba,
+  0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc,
+  0x431d67c4, 0x9c100d4c, 0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+  0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+
+/**
+ * SHA-384 initial hash value as pairs of high and low 32-bit halves.
+ */
+const IV = new Int32Array([
+  0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17,
+  0x152fecd8, 0xf70e5939, 0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511,
+  0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4,
+]);
+
+const BLOCK_SIZE = 128;
+
+/**
+ * Incremental SHA-384 (FIPS 180-4).
+ *
+ * Unlike `crypto.subtle.digest`, it does not need the whole message in
+ * memory, and it works in insecure contexts where `crypto.subtle` is
+ * unavailable. 64-bit words are kept as pairs of 32-bit integers.
+ */
+export class Sha384 {
+  constructor() {
+    this.state = IV.slice();
+    this.block = new Uint8Array(BLOCK_SIZE);
+    this.blockLength = 0;
+    this.totalLength = 0;
+    this.wh = new Int32Array(80);
+    this.wl = new Int32Array(80);
+  }
+
+  /**
+   * @param {bytes} bytes
+   * @returns {Sha384}
+   */
+  update(bytes) {
+    let offset = 0;
+    this.totalLength += bytes.length;
+
+    if (this.blockLength > 0) {
+      const count = Math.min(BLOCK_SIZE - this.blockLength, bytes.length);
+      this.block.set(bytes.subarray(0, count), this.blockLength);
+      this.blockLength += count;
+      offset = count;
+      if (this.blockLength < BLOCK_SIZE) {
+        return this;
+      }
+      this.compress(this.block, 0);
+      this.blockLength = 0;
+    }
+
+    for (; offset + BLOCK_SIZE <= bytes.length; offset += BLOCK_SIZE) {
+      this.compress(bytes, offset);
+    }
+
+    this.block.set(bytes.subarray(offset), 0);
+    this.blockLength = bytes.length - offset;
+    return this;
+  }
+
+  /**
+   * Finishes hashing. The instance must not be used afterwards.
+   *
+   * @returns {bytes}
+   */
+  digest() {
+    const bitLength = this.totalLength * 8;
+    const padding = new Uint8Array(
+      (this.blockLength < BLOCK_SIZE - 16 ? BLOCK_SIZE : 2 * BLOCK_SIZE) -
+        this.blockLength
+    );
+    const paddingView = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    paddingView.setUint32(
+      padding.length - 8,
+      Math.floor(bitLength / 0x100000000),
+      BE
+    );
+    paddingView.setUint32(padding.length - 4, bitLength >>> 0, BE);
+    this.totalLength -= padding.length;
+    this.update(padding);
+
+    const result = new Uint8Array(48);
+    const view = new DataView(result.buffer);
+    for (let i = 0; i < 12; i++) {
+      view.setInt32(i * 4, this.state[i], BE);
+    }
+    return result;
+  }
+
+  /**
+   * @param {bytes} bytes
+   * @param {number} offset
+   */
+  compress(bytes, offset) {
+    const { state, wh, wl } = this;
+    for (let i = 0, j = offset; i < 16; i++, j += 8) {
+      wh[i] =
+        (bytes[j] << 24) |
+        (bytes[j + 1] << 16) |
+        (bytes[j + 2] << 8) |
+        bytes[j + 3];
+      wl[i] =
+        (bytes[j + 4] << 24) |
+        (bytes[j + 5] << 16) |
+        (bytes[j + 6] << 8) |
+        bytes[j + 7];
+    }
+    for (let i = 16; i < 80; i++) {
+      // sigma0 = rotr1 ^ rotr8 ^ shr7
+      let h = wh[i - 15];
+      let l = wl[i - 15];
+      const s0h = ((h >>> 1) | (l << 31)) ^ ((h >>> 8) | (l << 24)) ^ (h >>> 7);
+      const s0l =
+        ((l >>> 1) | (h << 31)) ^
+        ((l >>> 8) | (h << 24)) ^
+        ((l >>> 7) | (h << 25));
+
+      // sigma1 = rotr19 ^ rotr61 ^ shr6
+      h = wh[i - 2];
+      l = wl[i - 2];
+      const s1h =
+        ((h >>> 19) | (l << 13)) ^ ((l >>> 29) | (h << 3)) ^ (h >>> 6);
+      const s1l =
+        ((l >>> 19) | (h << 13)) ^
+        ((h >>> 29) | (l << 3)) ^
+        ((l >>> 6) | (h << 26));
+
+      const lo =
+        (s0l >>> 0) + (s1l >>> 0) + (wl[i - 7] >>> 0) + (wl[i - 16] >>> 0);
+      wl[i] = lo;
+      wh[i] = s0h + s1h + wh[i - 7] + wh[i - 16] + ((lo / 0x100000000) | 0);
+    }
+
+    let ah = state[0];
+    let al = state[1];
+    let bh = state[2];
+    let bl = state[3];
+    let ch = state[4];
+    let cl = state[5];
+    let dh = state[6];
+    let dl = state[7];
+    let eh = state[8];
+    let el = state[9];
+    let fh = state[10];
+    let fl = state[11];
+    let gh = state[12];
+    let gl = state[13];
+    let hh = state[14];
+    let hl = state[15];
+
+    for (let i = 0; i < 80; i++) {
+      // Sigma1 = rotr14 ^ rotr18 ^ rotr41
+      const S1h =
+        ((eh >>> 14) | (el << 18)) ^
+        ((eh >>> 18) | (el << 14)) ^
+        ((el >>> 9) | (eh << 23));
+      const S1l =
+        ((el >>> 14) | (eh << 18)) ^
+        ((el >>> 18) | (eh << 14)) ^
+        ((eh >>> 9) | (el << 23));
+      const chh = (eh & fh) ^ (~eh & gh);
+      const chl = (el & fl) ^ (~el & gl);
+
+      const t1l =
+        (hl >>> 0) +
+        (S1l >>> 0) +
+        (chl >>> 0) +
+        (K[i * 2 + 1] >>> 0) +
+        (wl[i] >>> 0);
+      const t1h =
+        (hh + S1h + chh + K[i * 2] + wh[i] + ((t1l / 0x100000000) | 0)) | 0;
+
+      // Sigma0 = rotr28 ^ rotr34 ^ rotr39
+      const S0h =
+        ((ah >>> 28) | (al << 4)) ^
+        ((al >>> 2) | (ah << 30)) ^
+        ((al >>> 7) | (ah << 25));
+      const S0l =
+        ((al >>> 28) | (ah << 4)) ^
+        ((ah >>> 2) | (al << 30)) ^
+        ((ah >>> 7) | (al << 25));
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+
+      hh = gh;
+      hl = gl;
+      gh = fh;
+      gl = fl;
+      fh = eh;
+      fl = el;
+
+      let lo = (dl >>> 0) + (t1l >>> 0);
+      eh = (dh + t1h + ((lo / 0x100000000) | 0)) | 0;
+      el = lo | 0;
+
+      dh = ch;
+      dl = cl;
+      ch = bh;
+      cl = bl;
+      bh = ah;
+      bl = al;
+
+      lo = (t1l >>> 0) + (S0l >>> 0) + (majl >>> 0);
+      ah = (t1h + S0h + majh + ((lo / 0x100000000) | 0)) | 0;
+      al = lo | 0;
+    }
+
+    addTo(state, 0, ah, al);
+    addTo(state, 2, bh, bl);
+    addTo(state, 4, ch, cl);
+    addTo(state, 6, dh, dl);
+    addTo(state, 8, eh, el);
+    addTo(state, 10, fh, fl);
+    addTo(state, 12, gh, gl);
+    addTo(state, 14, hh, hl);
+  }
+}
+
+/**
+ * Adds a 64-bit word to the one at \`index\` in place.
+ *
+ * @param {Int32Array} words
+ * @param {number} index
+ * @param {number} h
+ * @param {number} l
+ */
+function addTo(words, index, h, l) {
+  const lo = (words[index + 1] >>> 0) + (l >>> 0);
+  words[index] = words[index] + h + ((lo / 0x100000000) | 0);
+  words[index + 1] = lo;
+}
+
+const BE = false;
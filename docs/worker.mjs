@@ -0,0 +1,153 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import { parseFirmware, reproduceMrtd, reproduceRtmr } from "./reproduce.mjs";
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} FirmwareRequest
+ * @property {"firmware"} type
+ * @property {number} id
+ * @property {bytes} firmware
+ * @property {string} [firmwareProfile]
+ * @property {import("./reproduce.mjs").FirmwareBuild} [firmwareBuild] Build
+ *   detected by an earlier request for the same image
+ */
+
+/**
+ * Parsed firmware without the profile, which holds functions that cannot be
+ * posted back.
+ *
+ * @typedef {Object} FirmwareInfo
+ * @property {Map<string,import("./reproduce.mjs").EfiSignatureList[]>} secureBootKeys
+ * @property {import("./reproduce.mjs").FirmwareBuild} build
+ * @property {string} profileName
+ * @property {string[]} warnings
+ */
+
+/**
+ * @typedef {Object} MrtdRequest
+ * @property {"mrtd"} type
+ * @property {number} id
+ * @property {bytes} firmware
+ * @property {string} [firmwareProfile]
+ */
+
+/**
+ * @typedef {Object} RtmrRequest
+ * @property {"rtmr"} type
+ * @property {number} id
+ * @property {bytes} firmware
+ * @property {string} [firmwareProfile]
+ * @property {import("./reproduce.mjs").FirmwareBuild} [firmwareBuild] Build
+ *   from the firmware request, detected if not set
+ * @property {import("./reproduce.mjs").TdHardware} hardware
+ * @property {import("./reproduce.mjs").TdSoftware} software
+ */
+
+/**
+ * @typedef {Object} CancelRequest
+ * @property {"cancel"} type
+ * @property {number} id
+ */
+
+/**
+ * @typedef {FirmwareRequest|MrtdRequest|RtmrRequest|CancelRequest} WorkerRequest
+ */
+
+/**
+ * @typedef {{type: "progress", id: number, progress: import("./reproduce.mjs").Progress}
+ *   | {type: "result", id: number, value: any}
+ *   | {type: "error", id: number, message: string}} WorkerResponse
+ */
+
+/**
+ * @type {Map<number, AbortController>}
+ */
+const runs = new Map();
+
+self.addEventListener("message", async (e) => {
+  const request = /** @type {WorkerRequest} */ (e.data);
+  if (request.type === "cancel") {
+    runs.get(request.id)?.abort();
+    runs.delete(request.id);
+    return;
+  }
+
+  const controller = new AbortController();
+  runs.set(request.id, controller);
+  const options = {
+    signal: controller.signal,
+    /**
+     * @param {import("./reproduce.mjs").Progress} progress
+     */
+    onProgress: (progress) =>
+      respond({ type: "progress", id: request.id, progress }),
+  };
+
+  try {
+    options.onProgress({ stage: "Parsing firmware", done: 0, total: 1 });
+    // The build is only detected when the firmware info or the event
+    // sequence of an RTMR run needs it
+    const firmware = parseFirmware(request.firmware, {
+      profile: request.firmwareProfile,
+      build: request.type === "mrtd" ? undefined : request.firmwareBuild,
+    });
+    const value =
+      request.type === "firmware"
+        ? getFirmwareInfo(firmware)
+        : request.type === "mrtd"
+        ? await reproduceMrtd(firmware, options)
+        : await reproduceRtmr(
+            {
+              firmware,
+              hardware: request.hardware,
+              software: request.software,
+            },
+            options
+          );
+    respond({ type: "result", id: request.id, value });
+  } catch (err) {
+    if (!controller.signal.aborted) {
+      respond({ type: "error", id: request.id, message: err.message });
+    }
+  } finally {
+    runs.delete(request.id);
+  }
+});
+
+/**
+ * @param {import("./reproduce.mjs").TdFirmware} firmware
+ * @returns {FirmwareInfo}
+ */
+function getFirmwareInfo(firmware) {
+  return {
+    secureBootKeys: firmware.secureBootKeys,
+    build: firmware.build,
+    profileName: firmware.profile.name,
+    warnings: firmware.warnings,
+  };
+}
+
+/**
+ * @param {WorkerResponse} response
+ */
+function respond(response) {
+  self.postMessage(response);
+}
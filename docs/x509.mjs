@@ -0,0 +1,373 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import { Sha256 } from "./sha256.mjs";
+
+/**
+ * @typedef {Uint8Array<ArrayBuffer>} bytes
+ */
+
+/**
+ * @typedef {Object} Certificate
+ * @property {bytes} raw DER encoding of the whole certificate
+ * @property {bytes} serialNumber
+ * @property {bytes} issuer DER encoding of the issuer name
+ * @property {bytes} subject DER encoding of the subject name
+ * @property {string} issuerName e.g. "C=US, O=Example, CN=Example CA"
+ * @property {string} subjectName
+ * @property {Date} notBefore
+ * @property {Date} notAfter
+ * @property {bytes} fingerprint SHA-256 of the DER encoding
+ */
+
+/**
+ * @typedef {Object} SignerIdentifier
+ * @property {bytes} issuer DER encoding of the issuer name
+ * @property {bytes} serialNumber
+ */
+
+/**
+ * @typedef {Object} SignedData
+ * @property {Certificate[]} certificates
+ * @property {SignerIdentifier[]} signers
+ */
+
+const TAG_INTEGER = 0x02;
+const TAG_OID = 0x06;
+const TAG_UTF8_STRING = 0x0c;
+const TAG_PRINTABLE_STRING = 0x13;
+const TAG_T61_STRING = 0x14;
+const TAG_IA5_STRING = 0x16;
+const TAG_UTC_TIME = 0x17;
+const TAG_GENERALIZED_TIME = 0x18;
+const TAG_BMP_STRING = 0x1e;
+const TAG_SEQUENCE = 0x30;
+const TAG_SET = 0x31;
+const TAG_CONTEXT_0 = 0xa0;
+const TAG_CONTEXT_1 = 0xa1;
+
+const OID_SIGNED_DATA = "1.2.840.113549.1.7.2";
+
+/**
+ * Short names of common attribute types in distinguished names.
+ */
+const NAME_ATTRIBUTES = new Map([
+  ["2.5.4.3", "CN"],
+  ["2.5.4.5", "serialNumber"],
+  ["2.5.4.6", "C"],
+  ["2.5.4.7", "L"],
+  ["2.5.4.8", "ST"],
+  ["2.5.4.10", "O"],
+  ["2.5.4.11", "OU"],
+  ["0.9.2342.19200300.100.1.25", "DC"],
+  ["1.2.840.113549.1.9.1", "emailAddress"],
+]);
+
+/**
+ * Parses an X.509 certificate.
+ *
+ * @param {bytes} der
+ * @returns {Certificate}
+ */
+export function parseCertificate(der) {
+  const certificate = readDer(der, 0);
+  expectTag(certificate, TAG_SEQUENCE, "Certificate");
+  const tbs = readDerChildren(certificate.value)[0];
+  expectTag(tbs, TAG_SEQUENCE, "TBSCertificate");
+  const fields = readDerChildren(tbs.value);
+  // version is an optional explicitly tagged field
+  const offset = fields[0]?.tag === TAG_CONTEXT_0 ? 1 : 0;
+  if (fields.length < offset + 6) {
+    throw new Error("Invalid TBSCertificate");
+  }
+  expectTag(fields[offset], TAG_INTEGER, "serialNumber");
+  expectTag(fields[offset + 2], TAG_SEQUENCE, "issuer");
+  expectTag(fields[offset + 3], TAG_SEQUENCE, "validity");
+  expectTag(fields[offset + 4], TAG_SEQUENCE, "subject");
+  const [notBefore, notAfter] = readDerChildren(fields[offset + 3].value);
+  return {
+    raw: certificate.raw,
+    serialNumber: fields[offset].value,
+    issuer: fields[offset + 2].raw,
+    subject: fields[offset + 4].raw,
+    issuerName: decodeName(fields[offset + 2]),
+    subjectName: decodeName(fields[offset + 4]),
+    notBefore: decodeTime(notBefore),
+    notAfter: decodeTime(notAfter),
+    fingerprint: new Sha256().update(certificate.raw).digest(),
+  };
+}
+
+/**
+ * Parses the certificates and signer identifiers of a PKCS #7 SignedData,
+ * such as an Authenticode signature. Signatures are not verified.
+ *
+ * @param {bytes} der
+ * @returns {SignedData}
+ */
+export function parseSignedData(der) {
+  const contentInfo = readDer(der, 0);
+  expectTag(contentInfo, TAG_SEQUENCE, "ContentInfo");
+  const [contentType, content] = readDerChildren(contentInfo.value);
+  expectTag(contentType, TAG_OID, "contentType");
+  if (decodeOid(contentType.value) !== OID_SIGNED_DATA) {
+    throw new Error("PKCS #7 content is not SignedData");
+  }
+  expectTag(content, TAG_CONTEXT_0, "content");
+  const signedData = readDerChildren(content.value)[0];
+  expectTag(signedData, TAG_SEQUENCE, "SignedData");
+
+  const fields = readDerChildren(signedData.value);
+  /**
+   * @type {Certificate[]}
+   */
+  const certificates = [];
+  /**
+   * @type {SignerIdentifier[]}
+   */
+  const signers = [];
+  for (const field of fields.slice(3)) {
+    if (field.tag === TAG_CONTEXT_0) {
+      for (const cert of readDerChildren(field.value)) {
+        // Skip other certificate choices, e.g. attribute certificates
+        if (cert.tag === TAG_SEQUENCE) {
+          certificates.push(parseCertificate(cert.raw));
+        }
+      }
+    } else if (field.tag === TAG_SET) {
+      for (const signerInfo of readDerChildren(field.value)) {
+        const sid = readDerChildren(signerInfo.value)[1];
+        // Only issuerAndSerialNumber is used by Authenticode
+        if (sid?.tag === TAG_SEQUENCE) {
+          const [issuer, serialNumber] = readDerChildren(sid.value);
+          signers.push({
+            issuer: issuer.raw,
+            serialNumber: serialNumber.value,
+          });
+        }
+      }
+    } else if (field.tag !== TAG_CONTEXT_1) {
+      throw new Error(
+        `Unexpected SignedData field: 0x${field.tag.toString(16)}`
+      );
+    }
+  }
+  return { certificates, signers };
+}
+
+/**
+ * Returns certificates from the signer up to the last one whose issuer is in
+ * the SignedData.
+ *
+ * @param {SignedData} signedData
+ * @param {SignerIdentifier} signer
+ * @returns {Certificate[]}
+ */
+export function getCertificateChain(signedData, signer) {
+  let cert = signedData.certificates.find(
+    (c) =>
+      bytesEqual(c.issuer, signer.issuer) &&
+      bytesEqual(c.serialNumber, signer.serialNumber)
+  );
+  /**
+   * @type {Certificate[]}
+   */
+  const chain = [];
+  while (cert && !chain.includes(cert)) {
+    chain.push(cert);
+    const issuer = cert.issuer;
+    cert = signedData.certificates.find((c) => bytesEqual(c.subject, issuer));
+  }
+  return chain;
+}
+
+/**
+ * @typedef {Object} DerElement
+ * @property {number} tag
+ * @property {bytes} raw Tag, length and value
+ * @property {bytes} value
+ */
+
+/**
+ * @param {bytes} bytes
+ * @param {number} offset
+ * @returns {DerElement}
+ */
+function readDer(bytes, offset) {
+  if (offset + 2 > bytes.length) {
+    throw new Error("DER element overruns data boundary");
+  }
+  const tag = bytes[offset];
+  let length = bytes[offset + 1];
+  let headerLength = 2;
+  if (length & 0x80) {
+    const lengthSize = length & 0x7f;
+    if (lengthSize === 0 || lengthSize > 4) {
+      throw new Error("Unsupported DER length encoding");
+    }
+    if (offset + 2 + lengthSize > bytes.length) {
+      throw new Error("DER element overruns data boundary");
+    }
+    length = 0;
+    for (let i = 0; i < lengthSize; i++) {
+      length = length * 0x100 + bytes[offset + 2 + i];
+    }
+    headerLength += lengthSize;
+  }
+  const end = offset + headerLength + length;
+  if (end > bytes.length) {
+    throw new Error("DER element overruns data boundary");
+  }
+  return {
+    tag,
+    raw: bytes.subarray(offset, end),
+    value: bytes.subarray(offset + headerLength, end),
+  };
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {DerElement[]}
+ */
+function readDerChildren(bytes) {
+  /**
+   * @type {DerElement[]}
+   */
+  const result = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const element = readDer(bytes, offset);
+    result.push(element);
+    offset += element.raw.length;
+  }
+  return result;
+}
+
+/**
+ * @param {DerElement|undefined} element
+ * @param {number} tag
+ * @param {string} name
+ */
+function expectTag(element, tag, name) {
+  if (!element || element.tag !== tag) {
+    throw new Error(`Invalid ${name}`);
+  }
+}
+
+/**
+ * @param {DerElement} name
+ * @returns {string}
+ */
+function decodeName(name) {
+  const parts = [];
+  for (const rdn of readDerChildren(name.value)) {
+    for (const attribute of readDerChildren(rdn.value)) {
+      const [type, value] = readDerChildren(attribute.value);
+      expectTag(type, TAG_OID, "AttributeType");
+      const oid = decodeOid(type.value);
+      parts.push(`${NAME_ATTRIBUTES.get(oid) ?? oid}=${decodeString(value)}`);
+    }
+  }
+  return parts.join(", ");
+}
+
+/**
+ * @param {DerElement} element
+ * @returns {string}
+ */
+function decodeString(element) {
+  switch (element.tag) {
+    case TAG_UTF8_STRING:
+    case TAG_PRINTABLE_STRING:
+    case TAG_IA5_STRING:
+      return utf8decoder.decode(element.value);
+    case TAG_T61_STRING:
+      return latin1decoder.decode(element.value);
+    case TAG_BMP_STRING:
+      return utf16BeDecoder.decode(element.value);
+    default:
+      return "#" + bytesToHex(element.raw);
+  }
+}
+
+/**
+ * @param {DerElement|undefined} element
+ * @returns {Date}
+ */
+function decodeTime(element) {
+  if (!element) {
+    throw new Error("Invalid validity");
+  }
+  const text = utf8decoder.decode(element.value);
+  let match;
+  if (element.tag === TAG_UTC_TIME) {
+    match = /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text);
+    if (match) {
+      // Two-digit years 50-99 are 19xx, RFC 5280 4.1.2.5.1
+      const year = parseInt(match[1]);
+      match[1] = String(year < 50 ? 2000 + year : 1900 + year);
+    }
+  } else if (element.tag === TAG_GENERALIZED_TIME) {
+    match = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})Z$/.exec(text);
+  }
+  if (!match) {
+    throw new Error(`Unsupported certificate time: ${text}`);
+  }
+  const [year, month, day, hours, minutes, seconds] = match
+    .slice(1)
+    .map((x) => parseInt(x));
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function decodeOid(bytes) {
+  const parts = [Math.floor(bytes[0] / 40), bytes[0] % 40];
+  let value = 0;
+  for (const byte of bytes.subarray(1)) {
+    value = value * 0x80 + (byte & 0x7f);
+    if (!(byte & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join(".");
+}
+
+/**
+ * @param {bytes} a
+ * @param {bytes} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * @param {bytes} bytes
+ * @returns {string}
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes)
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const utf8decoder = new TextDecoder();
+const latin1decoder = new TextDecoder("latin1");
+const utf16BeDecoder = new TextDecoder("utf-16be");
@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import { readFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import {
+  DEFAULT_VMM,
+  bytesToHex,
+  getAcpi,
+  getMemoryLayout,
+  parseFirmware,
+  parsePciDevice,
+  reproduceMrtd,
+  reproduceRtmr,
+} from "./index.mjs";
+
+const USAGE = `Usage: tdx-measure --firmware OVMF.fd [options]
+
+Firmware:
+  --firmware <file>       TDVF/OVMF or td-shim image
+  --firmware-profile <id> Event sequence of the firmware build, ovmf-tdx or
+                          td-shim, detected by default
+
+Hardware:
+  --ram <size>            Memory size, e.g. 2G, 2048M
+  --max-ram <size>        Memory size including hot-pluggable DIMMs of the
+                          default configuration, requires --memory-slots
+  --memory-slots <count>  DIMM slots for memory hotplug
+  --max-ram-below-4g <size>
+                          QEMU max-ram-below-4g, which caps the RAM below
+                          the 32-bit PCI hole
+  --pci-hole64-size <size>
+                          QEMU pci-hole64-size of the default
+                          configuration, 32G by default
+  --cpus <count>          vCPU count of the default configuration
+  --max-cpus <count>      vCPU count including hot-pluggable vCPUs, --cpus
+                          by default
+  --disks <count>         Virtio disk count of the default configuration
+  --machine <id>          QEMU version and machine type of the default
+                          configuration, pc-q35-8.2 by default
+  --device <type:slot>    Virtio device of the default configuration on the
+                          given PCI slot, where type is nic, vsock, rng or
+                          serial. Can be repeated; nic:1 by default
+  --numa <cpus:size>      CPUs and memory of a NUMA node of the default
+                          configuration, e.g. 2:2G. Can be repeated, once
+                          for each node
+  --numa-distance <list>  Comma-separated distances from a NUMA node to each
+                          node, e.g. 10,20. Can be repeated, once for each
+                          node
+  --vmm <id>              VMM that launches the TD: qemu (default) or
+                          cloud-hypervisor
+  --acpi <file>           ACPI tables instead of the default QEMU
+                          configuration, required with cloud-hypervisor
+
+Software:
+  --uki <file>            Linux unified kernel image
+  --uki-stub <stub>       systemd or linux, detected by default
+  --profile <number>      Profile of a multi-profile UKI, 0 by default
+  --addon <file>          systemd-stub UKI add-on, can be repeated
+  --credential <file>     systemd-stub credential, can be repeated
+  --sysext <file>         systemd-stub system extension, can be repeated
+  --kernel <file>         Linux kernel
+  --initrd <file>         Initial ramdisk
+  --cmdline <string>      Kernel command-line parameters
+  --boot-option <file>    Boot#### variable from efivarfs that the firmware
+                          logs instead of the profile's boot options, can
+                          be repeated, once for each option in boot order
+
+Output:
+  --json                  Print JSON instead of text
+  --expect-mrtd <hex>     Exit with 1 if MRTD differs
+  --expect-rtmr0..3 <hex> Exit with 1 if the RTMR differs
+  --help                  Print this message
+`;
+
+/**
+ * @typedef {Object} Mismatch
+ * @property {string} register
+ * @property {string} expected
+ * @property {string} actual
+ */
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      firmware: { type: "string" },
+      "firmware-profile": { type: "string" },
+      ram: { type: "string" },
+      "max-ram": { type: "string" },
+      "memory-slots": { type: "string" },
+      "max-ram-below-4g": { type: "string" },
+      "pci-hole64-size": { type: "string" },
+      cpus: { type: "string" },
+      "max-cpus": { type: "string" },
+      disks: { type: "string" },
+      machine: { type: "string" },
+      device: { type: "string", multiple: true },
+      numa: { type: "string", multiple: true },
+      "numa-distance": { type: "string", multiple: true },
+      vmm: { type: "string" },
+      acpi: { type: "string" },
+      uki: { type: "string" },
+      "uki-stub": { type: "string" },
+      profile: { type: "string" },
+      addon: { type: "string", multiple: true },
+      credential: { type: "string", multiple: true },
+      sysext: { type: "string", multiple: true },
+      kernel: { type: "string" },
+      initrd: { type: "string" },
+      cmdline: { type: "string" },
+      "boot-option": { type: "string", multiple: true },
+      json: { type: "boolean" },
+      "expect-mrtd": { type: "string" },
+      "expect-rtmr0": { type: "string" },
+      "expect-rtmr1": { type: "string" },
+      "expect-rtmr2": { type: "string" },
+      "expect-rtmr3": { type: "string" },
+      help: { type: "boolean" },
+    },
+  });
+
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return 0;
+  }
+  if (!values.firmware) {
+    throw new UsageError("--firmware is required");
+  }
+  if (values.uki && values.kernel) {
+    throw new UsageError("--uki and --kernel are mutually exclusive");
+  }
+  const ukiStub = /** @type {"systemd"|"linux"|undefined} */ (
+    values["uki-stub"]
+  );
+  if (ukiStub !== undefined && ukiStub !== "systemd" && ukiStub !== "linux") {
+    throw new UsageError(`Invalid --uki-stub value: ${ukiStub}`);
+  }
+
+  const firmware = parseFirmware(await readBytes(values.firmware), {
+    profile: values["firmware-profile"],
+  });
+  const mrtd = await reproduceMrtd(firmware);
+
+  const expectsRtmr = [0, 1, 2, 3].some(
+    (i) => values[`expect-rtmr${i}`] !== undefined
+  );
+  const hasSoftware = Boolean(values.uki || values.kernel);
+  if (expectsRtmr && !hasSoftware) {
+    throw new UsageError("--uki or --kernel is required to reproduce RTMR");
+  }
+
+  /**
+   * @type {import("./reproduce.mjs").RtmrResult|null}
+   */
+  let rtmr = null;
+  if (hasSoftware) {
+    if (!values.ram) {
+      throw new UsageError("--ram is required to reproduce RTMR");
+    }
+    // The warnings concern the event sequence; detecting the build for them
+    // takes seconds, which MRTD alone does not need
+    for (const warning of firmware.warnings) {
+      process.stderr.write(`tdx-measure: warning: ${warning}\n`);
+    }
+    const vmm = values.vmm ?? DEFAULT_VMM;
+    if (vmm !== DEFAULT_VMM && !values.acpi) {
+      throw new UsageError(`--acpi is required with --vmm ${vmm}`);
+    }
+    const hardware = {
+      totalMemoryBytes: parseSize(values.ram),
+      vmm,
+      maxRamBelow4g: values["max-ram-below-4g"]
+        ? parseSize(values["max-ram-below-4g"])
+        : undefined,
+    };
+    const acpiTables = values.acpi
+      ? await readBytes(values.acpi)
+      : getAcpi(
+          parseCount("--cpus", values.cpus ?? "1"),
+          hardware.totalMemoryBytes,
+          parseCount("--disks", values.disks ?? "0"),
+          {
+            machine: values.machine,
+            maxCpuCount: values["max-cpus"]
+              ? parseCount("--max-cpus", values["max-cpus"])
+              : undefined,
+            maxMemoryBytes: values["max-ram"]
+              ? parseSize(values["max-ram"])
+              : undefined,
+            memorySlots: parseCount(
+              "--memory-slots",
+              values["memory-slots"] ?? "0"
+            ),
+            devices: values.device?.map(parsePciDevice),
+            numa: parseNumaNodes(values.numa ?? [], values["numa-distance"]),
+            memoryLayout: getMemoryLayout(hardware),
+            pciHole64Size: values["pci-hole64-size"]
+              ? parseSize(values["pci-hole64-size"])
+              : undefined,
+          }
+        );
+    const bootOptions = values["boot-option"]
+      ? await Promise.all(values["boot-option"].map(readBootOption))
+      : undefined;
+    rtmr = await reproduceRtmr({
+      hardware: { ...hardware, acpiTables },
+      firmware,
+      software: values.uki
+        ? {
+            kernel: await readBytes(values.uki),
+            ukiStub,
+            profile: parseCount("--profile", values.profile ?? "0"),
+            addons: await readNamedFiles(values.addon),
+            credentials: await readNamedFiles(values.credential),
+            sysexts: await readNamedFiles(values.sysext),
+            bootOptions,
+          }
+        : {
+            kernel: await readBytes(/** @type {string} */ (values.kernel)),
+            initrd: values.initrd ? await readBytes(values.initrd) : undefined,
+            cmdline: values.cmdline,
+            bootOptions,
+          },
+    });
+    for (const warning of rtmr.warnings) {
+      process.stderr.write(`tdx-measure: warning: ${warning}\n`);
+    }
+  }
+
+  /**
+   * @type {Mismatch[]}
+   */
+  const mismatches = [];
+  /**
+   * @param {string} register
+   * @param {string|undefined} expected
+   * @param {Uint8Array<ArrayBuffer>} actual
+   */
+  function check(register, expected, actual) {
+    if (expected === undefined) {
+      return;
+    }
+    const expectedHex = expected.toLowerCase().replace(/^0x/, "");
+    const actualHex = bytesToHex(actual);
+    if (expectedHex !== actualHex) {
+      mismatches.push({ register, expected: expectedHex, actual: actualHex });
+    }
+  }
+  check("MRTD", values["expect-mrtd"], mrtd);
+  if (rtmr) {
+    for (const [i, register] of rtmr.registers.entries()) {
+      check(`RTMR${i}`, values[`expect-rtmr${i}`], register);
+    }
+  }
+
+  if (values.json) {
+    process.stdout.write(
+      JSON.stringify(
+        {
+          mrtd: bytesToHex(mrtd),
+          rtmrs: rtmr ? rtmr.registers.map(bytesToHex) : null,
+          events: rtmr
+            ? rtmr.events.map((ev) => ({
+                name: ev.name,
+                type: ev.type,
+                register: ev.register,
+                metadata: ev.metadata,
+                digest: bytesToHex(ev.digest),
+              }))
+            : null,
+          mismatches,
+        },
+        null,
+        2
+      ) + "\n"
+    );
+  } else {
+    let text = `MRTD   ${bytesToHex(mrtd)}\n`;
+    if (rtmr) {
+      for (const [i, register] of rtmr.registers.entries()) {
+        text += `RTMR${i}  ${bytesToHex(register)}\n`;
+      }
+      text += "\nEvent log:\n";
+      for (const ev of rtmr.events) {
+        text += `\nRTMR${ev.register} ${ev.type}\n  ${ev.name}\n`;
+        for (const [key, value] of Object.entries(ev.metadata)) {
+          text += `  ${key}: ${value}\n`;
+        }
+        text += `  ${bytesToHex(ev.digest)}\n`;
+      }
+    }
+    process.stdout.write(text);
+    for (const mismatch of mismatches) {
+      process.stderr.write(
+        `${mismatch.register} mismatch: expected ${mismatch.expected}, got ${mismatch.actual}\n`
+      );
+    }
+  }
+
+  return mismatches.length > 0 ? 1 : 0;
+}
+
+class UsageError extends Error {}
+
+/**
+ * @param {string} path
+ * @returns {Promise<Uint8Array<ArrayBuffer>>}
+ */
+async function readBytes(path) {
+  const buffer = await readFile(path);
+  return new Uint8Array(
+    buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+  );
+}
+
+/**
+ * @param {string[]|undefined} paths
+ * @returns {Promise<import("./reproduce.mjs").NamedFile[]>}
+ */
+async function readNamedFiles(paths) {
+  return Promise.all(
+    (paths ?? []).map(async (path) => ({
+      name: basename(path),
+      data: await readBytes(path),
+    }))
+  );
+}
+
+/**
+ * Reads an EFI variable as efivarfs exposes it, behind its attributes.
+ *
+ * @param {string} path
+ * @returns {Promise<Uint8Array<ArrayBuffer>>}
+ */
+async function readBootOption(path) {
+  const bytes = await readBytes(path);
+  if (bytes.length < 4) {
+    throw new UsageError(`${path} is not an efivarfs variable`);
+  }
+  return bytes.slice(4);
+}
+
+/**
+ * @param {string} value e.g. 2G, 2048M, 2147483648
+ * @returns {number}
+ */
+function parseSize(value) {
+  const match = /^(\d+)\s*([KMGT]?)(i?B)?$/i.exec(value.trim());
+  if (!match) {
+    throw new UsageError(`Invalid size: ${value}`);
+  }
+  const exponent = ["", "K", "M", "G", "T"].indexOf(match[2].toUpperCase());
+  return parseInt(match[1]) * 1024 ** exponent;
+}
+
+/**
+ * @param {string[]} nodes cpus:size of each node
+ * @param {string[]|undefined} distances Comma-separated distances of each
+ *   node
+ * @returns {import("./acpi.mjs").NumaNode[]}
+ */
+function parseNumaNodes(nodes, distances) {
+  if (distances && distances.length !== nodes.length) {
+    throw new UsageError("--numa-distance must be given once for each --numa");
+  }
+  return nodes.map((spec, i) => {
+    const [cpus, size, ...rest] = spec.split(":");
+    if (rest.length > 0 || size === undefined) {
+      throw new UsageError(`Invalid --numa value: ${spec}`);
+    }
+    /** @type {import("./acpi.mjs").NumaNode} */
+    const node = {
+      cpuCount: parseCount("--numa", cpus),
+      memoryBytes: parseSize(size),
+    };
+    if (distances) {
+      node.distances = distances[i]
+        .split(",")
+        .map((distance) => parseCount("--numa-distance", distance.trim()));
+    }
+    return node;
+  });
+}
+
+/**
+ * @param {string} option
+ * @param {string} value
+ * @returns {number}
+ */
+function parseCount(option, value) {
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid ${option} value: ${value}`);
+  }
+  return parseInt(value);
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (e) => {
+    process.stderr.write(`tdx-measure: ${e.message}\n`);
+    if (e instanceof UsageError || e.code === "ERR_PARSE_ARGS_UNKNOWN_OPTION") {
+      process.stderr.write(`\n${USAGE}`);
+    }
+    process.exitCode = 2;
+  }
+);
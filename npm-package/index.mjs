@@ -2,7 +2,35 @@ export {
   reproduceMrtd,
   reproduceRtmr,
   parseFirmware,
+  replayRtmr,
   bytesToHex,
+  firmwareSteps,
+  registerFirmwareProfile,
+  getFirmwareProfiles,
+  registerVmm,
+  getVmms,
+  getMemoryLayout,
+  DEFAULT_VMM,
 } from "./reproduce.mjs";
 
-export { getAcpi } from "./acpi.mjs";
+export {
+  getAcpi,
+  parsePciDevice,
+  acpiTableBuilders,
+  registerQemuMachine,
+  getQemuMachines,
+} from "./acpi.mjs";
+
+export { decodeAcpiTables, diffAcpiTables } from "./acpitables.mjs";
+export { decodeAml, diffAml, disassembleAml } from "./aml.mjs";
+
+export { parseFirmwareVolumes, getAllFfsFiles } from "./fv.mjs";
+
+export { parseQuote } from "./quote.mjs";
+
+export {
+  parseCcelTable,
+  parseEventLog,
+  diffEvents,
+  serializeEventLog,
+} from "./eventlog.mjs";
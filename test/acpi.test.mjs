@@ -0,0 +1,70 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { getAcpi } from "../docs/acpi.mjs";
+import { decodeAcpiTables } from "../docs/acpitables.mjs";
+import { disassembleAml } from "../docs/aml.mjs";
+
+/**
+ * @param {number} cpuCount
+ */
+function getCpuStructures(cpuCount) {
+  const tables = decodeAcpiTables(getAcpi(cpuCount, 2 * 1024 ** 3, 0));
+  const madt = tables.find((table) => table.signature === "APIC");
+  const dsdt = tables.find((table) => table.signature === "DSDT");
+  assert.ok(madt && dsdt?.aml);
+  const madtNames = madt.children.map((child) => child.name);
+  return {
+    localApics: madtNames.filter((name) => name === "Processor Local APIC")
+      .length,
+    localX2apics: madtNames.filter((name) => name === "Processor Local x2APIC")
+      .length,
+    nmi: madtNames[madtNames.length - 1],
+    processors: disassembleAml(dsdt.aml).match(/Processor \(C[0-9A-F]{3}/g)
+      ?.length,
+  };
+}
+
+// QEMU switches each structure to x2APIC at its own APIC ID
+test("x2APIC thresholds around 255 vCPUs", () => {
+  assert.deepEqual(getCpuStructures(254), {
+    localApics: 254,
+    localX2apics: 0,
+    nmi: "Local APIC NMI",
+    processors: 254,
+  });
+  assert.deepEqual(getCpuStructures(255), {
+    localApics: 255,
+    localX2apics: 0,
+    nmi: "Local x2APIC NMI",
+    processors: 255,
+  });
+  assert.deepEqual(getCpuStructures(256), {
+    localApics: 255,
+    localX2apics: 1,
+    nmi: "Local x2APIC NMI",
+    processors: 256,
+  });
+  assert.deepEqual(getCpuStructures(257), {
+    localApics: 255,
+    localX2apics: 2,
+    nmi: "Local x2APIC NMI",
+    processors: 256,
+  });
+});
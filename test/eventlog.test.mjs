@@ -0,0 +1,42 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { parseEventLog, serializeEventLog } from "../docs/eventlog.mjs";
+
+test("event types without a name round-trip by their value", () => {
+  const digest = new Uint8Array(48).fill(1);
+  const data = new Uint8Array([1, 2, 3]);
+  const { events } = parseEventLog(
+    serializeEventLog([
+      { name: "", type: "EV_SEPARATOR", metadata: {}, register: 0, digest },
+      { name: "", type: "0x800000ff", metadata: {}, register: 1, digest, data },
+    ])
+  );
+  assert.deepEqual(
+    events.map(({ type }) => type),
+    ["EV_SEPARATOR", "0x800000ff"]
+  );
+  assert.throws(
+    () =>
+      serializeEventLog([
+        { name: "", type: "EV_UNKNOWN", metadata: {}, register: 0, digest },
+      ]),
+    /Unknown event type: EV_UNKNOWN/
+  );
+});
@@ -0,0 +1,236 @@
+// Copyright 2025 Quex Technologies
+
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+
+//     http://www.apache.org/licenses/LICENSE-2.0
+
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+// @ts-check
+
+import assert from "node:assert/strict";
+import test from "node:test";
+
+import { getAcpi } from "../docs/acpi.mjs";
+import {
+  bytesToHex,
+  firmwareSteps,
+  getFirmwareProfiles,
+  reproduceRtmr,
+} from "../docs/reproduce.mjs";
+
+const GIB = 1024 ** 3;
+
+/**
+ * TDVF with only the metadata sections that the TD HOB depends on.
+ *
+ * @param {import("../docs/reproduce.mjs").FirmwareStep[]} steps
+ */
+function getFirmware(steps) {
+  return {
+    bytes: new Uint8Array(0),
+    type: "tdvf",
+    tdxMetadataSections: [
+      {
+        rawOffset: 0,
+        rawSize: 0,
+        memBase: 0x809000,
+        memSize: 0x2000,
+        sectionType: "TD_HOB",
+        extendMr: false,
+      },
+      {
+        rawOffset: 0,
+        rawSize: 0,
+        memBase: 0x80b000,
+        memSize: 0xf5000,
+        sectionType: "TempMem",
+        extendMr: false,
+      },
+    ],
+    efiVariables: new Map(),
+    secureBootKeys: new Map(),
+    profile: { id: "test", name: "Test", steps },
+    build: { versions: [], modules: [], tdxModules: [] },
+    warnings: [],
+  };
+}
+
+/**
+ * PE32+ image with the given sections and no code.
+ *
+ * @param {[string, Uint8Array][]} sections Names and bodies
+ * @returns {Uint8Array<ArrayBuffer>}
+ */
+function getPe(sections) {
+  const headersSize = 0x40 + 24 + 240 + sections.length * 40;
+  const size = sections.reduce(
+    (offset, [, body]) => offset + body.length,
+    headersSize
+  );
+  const bytes = new Uint8Array(size);
+  const view = new DataView(bytes.buffer);
+  bytes.set([0x4d, 0x5a]);
+  view.setUint32(0x3c, 0x40, true);
+  bytes.set([0x50, 0x45, 0, 0], 0x40);
+  view.setUint16(0x44, 0x8664, true);
+  view.setUint16(0x46, sections.length, true);
+  view.setUint16(0x54, 240, true);
+  view.setUint16(0x58, 0x20b, true);
+  view.setUint32(0x58 + 60, headersSize, true);
+  view.setUint32(0x58 + 108, 16, true);
+  let offset = headersSize;
+  for (const [i, [name, body]] of sections.entries()) {
+    const header = 0x58 + 240 + i * 40;
+    bytes.set(new TextEncoder().encode(name), header);
+    view.setUint32(header + 8, body.length, true);
+    view.setUint32(header + 16, body.length, true);
+    view.setUint32(header + 20, offset, true);
+    bytes.set(body, offset);
+    offset += body.length;
+  }
+  return bytes;
+}
+
+/**
+ * Digest of the TD HOB preimage that RTMR0 is extended with.
+ *
+ * @param {number} memoryBytes
+ * @param {import("../docs/acpi.mjs").AcpiOptions} options
+ * @returns {Promise<string>}
+ */
+async function getHobDigest(memoryBytes, options) {
+  const { events } = await reproduceRtmr(
+    /** @type {import("../docs/reproduce.mjs").TrustDomain} */ ({
+      hardware: {
+        totalMemoryBytes: memoryBytes,
+        acpiTables: getAcpi(4, memoryBytes, 0, options),
+      },
+      firmware: getFirmware([firmwareSteps.handoffTables]),
+      software: { kernel: new Uint8Array(0) },
+    })
+  );
+  assert.equal(events.length, 1);
+  return bytesToHex(events[0].digest);
+}
+
+test("NUMA nodes do not change the TD HOB", async () => {
+  const hob = await getHobDigest(6 * GIB, {});
+  assert.equal(
+    await getHobDigest(6 * GIB, {
+      numa: [
+        { cpuCount: 2, memoryBytes: 2 * GIB },
+        { cpuCount: 2, memoryBytes: 4 * GIB },
+      ],
+    }),
+    hob
+  );
+  assert.notEqual(await getHobDigest(8 * GIB, {}), hob);
+});
+
+test("memory hotplug does not change the TD HOB", async () => {
+  const hob = await getHobDigest(6 * GIB, {});
+  assert.equal(
+    await getHobDigest(6 * GIB, { maxMemoryBytes: 16 * GIB, memorySlots: 4 }),
+    hob
+  );
+});
+
+test("UKIs whose initrd systemd-stub combines warn about RTMR2", async () => {
+  const linux = getPe([]);
+  const initrd = new Uint8Array([1, 2, 3]);
+  /**
+   * @param {[string, Uint8Array][]} sections
+   */
+  async function getWarnings(sections) {
+    const { warnings } = await reproduceRtmr(
+      /** @type {import("../docs/reproduce.mjs").TrustDomain} */ ({
+        hardware: {
+          totalMemoryBytes: 2 * GIB,
+          acpiTables: getAcpi(1, 2 * GIB, 0),
+        },
+        firmware: getFirmware([firmwareSteps.payload]),
+        software: {
+          kernel: getPe([
+            [".sdmagic", new Uint8Array(1)],
+            [".linux", linux],
+            [".initrd", initrd],
+            ...sections,
+          ]),
+        },
+      })
+    );
+    return warnings;
+  }
+
+  assert.deepEqual(await getWarnings([]), []);
+  const warnings = await getWarnings([
+    [".ucode", new Uint8Array([4])],
+    [".pcrsig", new Uint8Array([5])],
+  ]);
+  assert.equal(warnings.length, 1);
+  assert.match(warnings[0], /^RTMR2 cannot be reproduced/);
+  assert.match(warnings[0], /\.ucode, \.pcrsig/);
+});
+
+test("Cloud Hypervisor starts a kernel with its command line as is", async () => {
+  const profile = getFirmwareProfiles().find(({ id }) => id === "ovmf-tdx");
+  const { events } = await reproduceRtmr(
+    /** @type {import("../docs/reproduce.mjs").TrustDomain} */ ({
+      hardware: {
+        totalMemoryBytes: 2 * GIB,
+        acpiTables: getAcpi(1, 2 * GIB, 0),
+        vmm: "cloud-hypervisor",
+      },
+      firmware: { ...getFirmware([]), profile },
+      software: {
+        kernel: getPe([]),
+        initrd: new Uint8Array([1, 2, 3]),
+        cmdline: "console=hvc0",
+      },
+    })
+  );
+  assert.deepEqual(events.map(({ name }) => name).slice(-6), [
+    "Separator",
+    "Linux kernel",
+    "Linux kernel command-line parameters",
+    "Linux initial ramdisk",
+    "Exit Boot Services Invocation",
+    "Exit Boot Services Returned with Success",
+  ]);
+  assert.equal(
+    events.find(({ metadata }) => metadata.cmdline)?.metadata.cmdline,
+    "console=hvc0"
+  );
+});
+
+test("boot options of the software replace those of the profile", async () => {
+  const bootOptions = [new Uint8Array([1, 0, 0, 0]), new Uint8Array([2])];
+  const { events } = await reproduceRtmr(
+    /** @type {import("../docs/reproduce.mjs").TrustDomain} */ ({
+      hardware: {
+        totalMemoryBytes: 2 * GIB,
+        acpiTables: getAcpi(1, 2 * GIB, 0),
+      },
+      firmware: getFirmware([firmwareSteps.bootVariables]),
+      software: { kernel: new Uint8Array(0), bootOptions },
+    })
+  );
+  assert.deepEqual(
+    events.map(({ name }) => name),
+    [
+      "BootOrder boot variable",
+      "Boot0000 boot variable",
+      "Boot0001 boot variable",
+    ]
+  );
+  // UEFI_VARIABLE_DATA ends with the value of the variable
+  assert.deepEqual(events[0].data.slice(-4), new Uint8Array([0, 0, 1, 0]));
+  assert.deepEqual(events[2].data.slice(-1), bootOptions[1]);
+});